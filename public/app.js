@@ -1,15 +1,45 @@
 const STORAGE_NAME_KEY = "texting_mafia_name";
 const STORAGE_BACKEND_KEY = "texting_mafia_backend";
+const STORAGE_SESSION_KEY = "texting_mafia_session";
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 15000;
+const NO_LYNCH = "no_lynch";
+const LOAD_OLDER_THRESHOLD_PX = 40;
+const MUTE_SECONDS = 120;
+const EXTEND_SECONDS = 30;
+// Chat lists in the state and the channel name patches use for them.
+const MESSAGE_CHANNELS = {
+  mainMessages: "main",
+  teamMessages: "team",
+  graveyardMessages: "graveyard",
+  spectatorMessages: "spectators"
+};
 
 let ws = null;
 let state = null;
+let stateSeq = null;
+let resyncRequested = false;
 let session = null;
 let activeTab = "main";
 let selectedDmPeerId = null;
 let nextReqId = 1;
 let expectedClose = false;
+let roleSettingsError = "";
+let lobbySettingsError = "";
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+let joinRetryTimer = null;
+// Set while an invite link waits for the player to pick a name.
+let pendingInviteCode = null;
+// The saved will last copied into the will box, so unsaved edits survive re-renders.
+let shownWill = null;
+let drawnInviteUrl = "";
 
 const pendingAcks = new Map();
+// Messages older than what the state carries, paged in with `fetch_messages`
+// as the reader scrolls up. Keyed by channel ("dm:<peerId>" for DMs):
+// { messages, hasMore, loading }.
+const chatHistory = new Map();
 
 const els = {
   nameModal: document.getElementById("name-modal"),
@@ -17,6 +47,7 @@ const els = {
   nameInput: document.getElementById("name-input"),
   nameDisplay: document.getElementById("name-display"),
   changeNameBtn: document.getElementById("change-name-btn"),
+  connectionStatus: document.getElementById("connection-status"),
 
   menuScreen: document.getElementById("menu-screen"),
   lobbyScreen: document.getElementById("lobby-screen"),
@@ -27,16 +58,40 @@ const els = {
   backendStatus: document.getElementById("backend-status"),
 
   createLobbyBtn: document.getElementById("create-lobby-btn"),
-  joinLobbyBtn: document.getElementById("join-lobby-btn"),
+  createPasswordInput: document.getElementById("create-password-input"),
+  joinForm: document.getElementById("join-form"),
   joinCodeInput: document.getElementById("join-code-input"),
+  joinPasswordInput: document.getElementById("join-password-input"),
+  spectateLobbyBtn: document.getElementById("spectate-lobby-btn"),
   menuError: document.getElementById("menu-error"),
+  quickMatchBtn: document.getElementById("quick-match-btn"),
+  refreshLobbiesBtn: document.getElementById("refresh-lobbies-btn"),
+  publicLobbiesList: document.getElementById("public-lobbies-list"),
+  publicLobbiesHint: document.getElementById("public-lobbies-hint"),
 
   lobbyCode: document.getElementById("lobby-code"),
   copyCodeBtn: document.getElementById("copy-code-btn"),
+  inviteQr: document.getElementById("invite-qr"),
+  inviteHint: document.getElementById("invite-hint"),
   lobbyPlayers: document.getElementById("lobby-players"),
+  lobbySpectators: document.getElementById("lobby-spectators"),
   startGameBtn: document.getElementById("start-game-btn"),
+  addBotBtn: document.getElementById("add-bot-btn"),
+  readyBtn: document.getElementById("ready-btn"),
   leaveLobbyBtn: document.getElementById("leave-lobby-btn"),
   startHint: document.getElementById("start-hint"),
+  roleSettingsList: document.getElementById("role-settings-list"),
+  scaleMafiaInput: document.getElementById("scale-mafia-input"),
+  roleSettingsHint: document.getElementById("role-settings-hint"),
+  lobbySettingsList: document.getElementById("lobby-settings-list"),
+  lobbySettingsHint: document.getElementById("lobby-settings-hint"),
+  passwordControls: document.getElementById("password-controls"),
+  lobbyPasswordInput: document.getElementById("lobby-password-input"),
+  setPasswordBtn: document.getElementById("set-password-btn"),
+  clearPasswordBtn: document.getElementById("clear-password-btn"),
+  passwordHint: document.getElementById("password-hint"),
+  pastResults: document.getElementById("past-results"),
+  pastResultsList: document.getElementById("past-results-list"),
 
   roleValue: document.getElementById("role-value"),
   aliveValue: document.getElementById("alive-value"),
@@ -45,12 +100,32 @@ const els = {
   winnerValue: document.getElementById("winner-value"),
   roleReveal: document.getElementById("role-reveal"),
   cooldownText: document.getElementById("cooldown-text"),
+  privateNotes: document.getElementById("private-notes"),
+  replayLinks: document.getElementById("replay-links"),
+  replayViewLink: document.getElementById("replay-view-link"),
+  replayDownloadLink: document.getElementById("replay-download-link"),
+  rematchControls: document.getElementById("rematch-controls"),
+  roundControls: document.getElementById("round-controls"),
+  pauseBtn: document.getElementById("pause-btn"),
+  extendRoundBtn: document.getElementById("extend-round-btn"),
+  skipRoundBtn: document.getElementById("skip-round-btn"),
+  rematchBtn: document.getElementById("rematch-btn"),
+  returnLobbyBtn: document.getElementById("return-lobby-btn"),
+  rematchHint: document.getElementById("rematch-hint"),
 
   gamePlayers: document.getElementById("game-players"),
+  gameSpectators: document.getElementById("game-spectators"),
+  noLynchBtn: document.getElementById("no-lynch-btn"),
   leaveGameBtn: document.getElementById("leave-game-btn"),
 
   mainTabBtn: document.getElementById("main-tab-btn"),
   dmTabBtn: document.getElementById("dm-tab-btn"),
+  teamTabBtn: document.getElementById("team-tab-btn"),
+  teamChatView: document.getElementById("team-chat-view"),
+  graveyardTabBtn: document.getElementById("graveyard-tab-btn"),
+  graveyardChatView: document.getElementById("graveyard-chat-view"),
+  spectatorTabBtn: document.getElementById("spectator-tab-btn"),
+  spectatorChatView: document.getElementById("spectator-chat-view"),
   mainChatView: document.getElementById("main-chat-view"),
   dmChatWrapper: document.getElementById("dm-chat-wrapper"),
   dmTargetSelect: document.getElementById("dm-target-select"),
@@ -59,7 +134,11 @@ const els = {
   chatInput: document.getElementById("chat-input"),
   chatError: document.getElementById("chat-error"),
 
-  historyList: document.getElementById("history-list")
+  historyList: document.getElementById("history-list"),
+  willPanel: document.getElementById("will-panel"),
+  willInput: document.getElementById("will-input"),
+  saveWillBtn: document.getElementById("save-will-btn"),
+  willHint: document.getElementById("will-hint")
 };
 
 function normalizeBackendUrl(rawUrl) {
@@ -82,6 +161,10 @@ function normalizeBackendUrl(rawUrl) {
 }
 
 function fallbackBackendUrl() {
+  const configured = normalizeBackendUrl(window.TEXTING_MAFIA_BACKEND || "");
+  if (configured) {
+    return configured;
+  }
   if (location.hostname === "localhost" || location.hostname === "127.0.0.1") {
     return "http://127.0.0.1:8787";
   }
@@ -114,6 +197,33 @@ function setStoredBackendUrl(url) {
   return normalized;
 }
 
+function getStoredSession() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_SESSION_KEY) || "null");
+    if (parsed?.code && parsed?.playerId && parsed?.sessionSecret) {
+      return parsed;
+    }
+  } catch {
+    // Ignore malformed stored sessions.
+  }
+  return null;
+}
+
+function setStoredSession(sessionData) {
+  if (!sessionData) {
+    localStorage.removeItem(STORAGE_SESSION_KEY);
+    return;
+  }
+  localStorage.setItem(
+    STORAGE_SESSION_KEY,
+    JSON.stringify({
+      code: sessionData.code,
+      playerId: sessionData.playerId,
+      sessionSecret: sessionData.sessionSecret
+    })
+  );
+}
+
 function cleanName(rawName) {
   return String(rawName || "")
     .replace(/\s+/g, " ")
@@ -141,10 +251,8 @@ function formatTime(ts) {
 }
 
 function roleLabel(role) {
-  if (role === "mafia") return "Mafia";
-  if (role === "guardian") return "Guardian Angel";
-  if (role === "villager") return "Villager";
-  return "-";
+  const entry = (state?.roleCatalog || []).find((item) => item.id === role);
+  return entry ? entry.label : "-";
 }
 
 function setMenuError(text) {
@@ -155,6 +263,11 @@ function setChatError(text) {
   els.chatError.textContent = text || "";
 }
 
+function setConnectionStatus(text) {
+  els.connectionStatus.textContent = text || "";
+  els.connectionStatus.classList.toggle("hidden", !text);
+}
+
 function showNameModal(forceOpen) {
   const current = getStoredName();
   if (!current || forceOpen) {
@@ -198,11 +311,89 @@ function showScreen(screen) {
   els.gameScreen.classList.toggle("hidden", screen !== "game");
 }
 
-function currentMafiaCooldownMs() {
-  if (!state || state.youRole !== "mafia") {
+function stageLabel(stage) {
+  if (stage === "night") return "Night";
+  if (stage === "day") return "Day";
+  return "";
+}
+
+function isStage(stage) {
+  return !!state && state.phase === "in_round" && state.stage === stage;
+}
+
+function isTeammate(playerId) {
+  return (state?.teammates || []).some((mate) => mate.id === playerId);
+}
+
+function spectatorNames() {
+  return (state?.spectators || [])
+    .map((spectator) => `${spectator.name}${spectator.isConnected ? "" : " (offline)"}`)
+    .join(", ");
+}
+
+function canChatInTab(tab) {
+  if (tab === "graveyard") {
+    return !!state.canUseGraveyard;
+  }
+  if (state.isSpectator) {
+    return tab === "spectators";
+  }
+  return state.canChat || (tab === "main" && hasLastWords());
+}
+
+// A freshly eliminated player may post one last message in the main chat.
+function hasLastWords() {
+  return !!state.lastWordsEndsAt && state.lastWordsEndsAt > Date.now();
+}
+
+function chatBlockedReason() {
+  if (state.isSpectator) {
+    return "Spectators can only chat in the Graveyard and Spectators tabs.";
+  }
+  return "Eliminated players can only chat in the Graveyard tab.";
+}
+
+function voteCountFor(targetId) {
+  const entry = (state?.voteTally || []).find((item) => item.targetId === targetId);
+  return entry ? entry.count : 0;
+}
+
+function currentActionCooldownMs() {
+  if (!state || !state.nightAction) {
     return 0;
   }
-  return Math.max(0, (state.mafiaCooldownEndsAt || 0) - Date.now());
+  return Math.max(0, (state.nightAction.cooldownEndsAt || 0) - Date.now());
+}
+
+function nightActionBlocked() {
+  const action = state.nightAction;
+  return (
+    isPaused() || action.lockedIn || action.usesLeft === 0 || currentActionCooldownMs() > 0
+  );
+}
+
+function isPaused() {
+  return state.pausedTimeLeftMs !== null && state.pausedTimeLeftMs !== undefined;
+}
+
+// A paused round keeps the time it had left instead of a deadline.
+function roundTimeLeftMs() {
+  if (isPaused()) {
+    return state.pausedTimeLeftMs;
+  }
+  return Math.max(0, (state.roundEndsAt || 0) - Date.now());
+}
+
+function formatRoundClock() {
+  const clock = formatClock(roundTimeLeftMs());
+  return isPaused() ? `${clock} (paused)` : clock;
+}
+
+function nightActionButtonText(targetId) {
+  const action = state.nightAction;
+  if (action.targetId === targetId) return `${action.icon} Set`;
+  if (action.lockedIn || action.usesLeft === 0) return `${action.icon} Used`;
+  return action.icon;
 }
 
 function wsUrlFromBackend(sessionData) {
@@ -216,16 +407,24 @@ function wsUrlFromBackend(sessionData) {
 }
 
 async function apiPost(path, payload) {
+  return apiRequest(path, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function apiGet(path) {
+  return apiRequest(path, { method: "GET" });
+}
+
+async function apiRequest(path, init) {
   const backend = requireBackend();
   if (!backend) {
     throw new Error("Backend URL is missing.");
   }
 
-  const response = await fetch(`${backend}${path}`, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify(payload)
-  });
+  const response = await fetch(`${backend}${path}`, init);
 
   let body = null;
   try {
@@ -235,7 +434,12 @@ async function apiPost(path, payload) {
   }
 
   if (!response.ok || !body?.ok) {
-    throw new Error(body?.error || `Request failed (${response.status})`);
+    const error = new Error(body?.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.code = body?.code || null;
+    error.retryAfterMs =
+      body?.retryAfterMs || Number(response.headers.get("Retry-After")) * 1000 || 0;
+    throw error;
   }
   return body;
 }
@@ -248,6 +452,96 @@ function clearPendingAcks(reason) {
   pendingAcks.clear();
 }
 
+function messageListFor(event) {
+  if (event.channel !== "dm") {
+    const field = Object.keys(MESSAGE_CHANNELS).find(
+      (key) => MESSAGE_CHANNELS[key] === event.channel
+    );
+    state[field] = state[field] || [];
+    return state[field];
+  }
+  let thread = state.dmThreads.find((entry) => entry.peerId === event.peerId);
+  if (!thread) {
+    thread = { peerId: event.peerId, peerName: event.peerName, messages: [] };
+    state.dmThreads.push(thread);
+  }
+  return thread.messages;
+}
+
+function lastMessageAt(thread) {
+  return thread.messages.length ? thread.messages[thread.messages.length - 1].at : 0;
+}
+
+function historyKey(channel, peerId) {
+  return channel === "dm" ? `dm:${peerId}` : channel;
+}
+
+// A chat list that was replaced rather than appended to (a new game, a peer
+// leaving) no longer lines up with the history loaded before it.
+function dropReplacedHistory(fields) {
+  for (const [field, channel] of Object.entries(MESSAGE_CHANNELS)) {
+    if (field in fields) {
+      chatHistory.delete(channel);
+    }
+  }
+  if ("dmThreads" in fields) {
+    for (const key of [...chatHistory.keys()]) {
+      if (key.startsWith("dm:")) {
+        chatHistory.delete(key);
+      }
+    }
+  }
+}
+
+// Mirrors `applyPatch` in shared/view-sync.js.
+function applyStateEvent(event) {
+  if (event.type === "phase_changed" || event.type === "fields_changed") {
+    dropReplacedHistory(event.fields);
+    Object.assign(state, event.fields);
+    return;
+  }
+  if (event.type === "player_updated") {
+    const index = state.players.findIndex((player) => player.id === event.player.id);
+    if (index === -1) {
+      state.players.push(event.player);
+    } else {
+      state.players[index] = event.player;
+    }
+    state.players.sort((a, b) => a.name.localeCompare(b.name));
+    return;
+  }
+  if (event.type === "player_removed") {
+    state.players = state.players.filter((player) => player.id !== event.playerId);
+    return;
+  }
+  if (event.type === "message_added") {
+    const messages = messageListFor(event);
+    messages.push(event.message);
+    const trimmed = messages.splice(0, Math.max(0, messages.length - event.keep));
+    // Once older history is loaded, messages falling out of the state's window
+    // move into it so the chat stays continuous.
+    chatHistory.get(historyKey(event.channel, event.peerId))?.messages.push(...trimmed);
+    if (event.channel === "dm") {
+      state.dmThreads.sort((a, b) => lastMessageAt(b) - lastMessageAt(a));
+    }
+  }
+}
+
+// A patch that does not follow on from our last update means we missed one;
+// ask for a fresh snapshot and ignore patches until it arrives.
+function requestResync() {
+  if (resyncRequested || !ws || ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  resyncRequested = true;
+  sendAction("resync").catch((error) => {
+    resyncRequested = false;
+    if (error.code === "rate_limited") {
+      setTimeout(requestResync, error.retryAfterMs);
+    }
+  });
+}
+
 function handleSocketMessage(rawMessage) {
   let message;
   try {
@@ -258,13 +552,36 @@ function handleSocketMessage(rawMessage) {
 
   if (message.type === "state") {
     state = message.state;
+    stateSeq = message.seq;
+    chatHistory.clear();
+    resyncRequested = false;
+    render();
+    return;
+  }
+
+  if (message.type === "patch") {
+    if (!state || stateSeq === null) {
+      return;
+    }
+    if (message.prevSeq !== stateSeq) {
+      requestResync();
+      return;
+    }
+    for (const event of message.events) {
+      applyStateEvent(event);
+    }
+    stateSeq = message.seq;
     render();
     return;
   }
 
   if (message.type === "round_result") {
     if (message.result?.youWereEliminated) {
-      setChatError("You were eliminated this round.");
+      setChatError(
+        message.result.stage === "day"
+          ? "You were voted out."
+          : "You were eliminated this round."
+      );
     }
     return;
   }
@@ -279,7 +596,7 @@ function handleSocketMessage(rawMessage) {
     if (message.ok) {
       pending.resolve(message);
     } else {
-      pending.reject(new Error(message.error || "Action failed."));
+      pending.reject(ackError(message));
     }
     return;
   }
@@ -295,6 +612,52 @@ function handleSocketMessage(rawMessage) {
   }
 }
 
+function cancelReconnect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempt = 0;
+  setConnectionStatus("");
+}
+
+function scheduleReconnect(sessionData, minDelayMs = 0) {
+  const backoff = Math.min(
+    RECONNECT_MAX_DELAY_MS,
+    RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempt
+  );
+  const delay = Math.max(backoff, minDelayMs);
+  reconnectAttempt += 1;
+  setConnectionStatus(`Connection lost. Reconnecting in ${Math.ceil(delay / 1000)}s...`);
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(() => {
+    resumeSession(sessionData);
+  }, delay);
+}
+
+// Rejoins a stored seat. A 4xx from the backend means the seat is gone, apart
+// from a 429, which waits out the rate limit; any other failure is treated as
+// a network blip and retried with backoff.
+async function resumeSession(sessionData) {
+  setConnectionStatus("Reconnecting...");
+  try {
+    await apiPost("/api/resume", sessionData);
+    await connectLobbySocket(sessionData);
+    cancelReconnect();
+  } catch (error) {
+    if (error.status === 429) {
+      scheduleReconnect(sessionData, error.retryAfterMs);
+      return;
+    }
+    if (error.status >= 400 && error.status < 500) {
+      cancelReconnect();
+      setStoredSession(null);
+      leaveLobbyLocally();
+      setMenuError(error.message);
+      return;
+    }
+    scheduleReconnect(sessionData);
+  }
+}
+
 function handleSocketClose() {
   clearPendingAcks("Connection closed.");
   ws = null;
@@ -303,16 +666,13 @@ function handleSocketClose() {
     return;
   }
   if (session) {
-    state = null;
-    session = null;
-    activeTab = "main";
-    selectedDmPeerId = null;
-    render();
-    setMenuError("Disconnected from lobby.");
+    scheduleReconnect(session);
   }
 }
 
 function connectLobbySocket(sessionData) {
+  // Taking any seat drops a join that is still waiting out a rate limit.
+  clearTimeout(joinRetryTimer);
   return new Promise((resolve, reject) => {
     const url = wsUrlFromBackend(sessionData);
     const socket = new WebSocket(url);
@@ -335,7 +695,10 @@ function connectLobbySocket(sessionData) {
       clearTimeout(timeout);
       expectedClose = false;
       ws = socket;
+      stateSeq = null;
+      resyncRequested = false;
       session = sessionData;
+      setStoredSession(sessionData);
       setMenuError("");
       resolve();
     };
@@ -363,6 +726,21 @@ function connectLobbySocket(sessionData) {
   });
 }
 
+// A rejected action. The backend's rate limiter answers with `rate_limited`
+// and how long to wait, which is worth telling the player as such.
+function ackError(message) {
+  if (message.code === "rate_limited") {
+    const seconds = Math.max(1, Math.ceil((message.retryAfterMs || 0) / 1000));
+    const error = new Error(`Slow down: try again in ${seconds}s.`);
+    error.code = message.code;
+    error.retryAfterMs = message.retryAfterMs || seconds * 1000;
+    return error;
+  }
+  const error = new Error(message.error || "Action failed.");
+  error.code = message.code || null;
+  return error;
+}
+
 function sendAction(type, payload = {}) {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     return Promise.reject(new Error("Not connected to a lobby."));
@@ -381,6 +759,8 @@ function sendAction(type, payload = {}) {
 
 function leaveLobbyLocally() {
   clearPendingAcks("Left lobby.");
+  cancelReconnect();
+  setStoredSession(null);
   if (ws) {
     expectedClose = true;
     try {
@@ -394,10 +774,13 @@ function leaveLobbyLocally() {
   ws = null;
   session = null;
   state = null;
+  stateSeq = null;
+  chatHistory.clear();
   activeTab = "main";
   selectedDmPeerId = null;
   setChatError("");
   render();
+  loadPublicLobbies();
 }
 
 async function leaveLobby() {
@@ -415,12 +798,137 @@ async function leaveLobby() {
 function renderLobbyPlayers() {
   els.lobbyPlayers.innerHTML = "";
   for (const player of state.players) {
-    const li = document.createElement("li");
-    const badges = [];
-    if (player.isHost) badges.push("host");
-    li.textContent = badges.length ? `${player.name} (${badges.join(", ")})` : player.name;
-    els.lobbyPlayers.appendChild(li);
+    els.lobbyPlayers.appendChild(makePlayerRow(player));
+  }
+  const watching = spectatorNames();
+  els.lobbySpectators.textContent = watching ? `Watching: ${watching}` : "";
+}
+
+function collectRoleSettings() {
+  return { roleCounts: collectRoleCounts(), scaleMafia: els.scaleMafiaInput.checked };
+}
+
+function collectRoleCounts() {
+  const counts = {};
+  for (const input of els.roleSettingsList.querySelectorAll("input[data-role-id]")) {
+    counts[input.dataset.roleId] = Number(input.value) || 0;
   }
+  return counts;
+}
+
+async function submitRoleCounts() {
+  try {
+    await sendAction("set_role_counts", collectRoleSettings());
+    roleSettingsError = "";
+  } catch (error) {
+    roleSettingsError = error.message;
+  }
+  render();
+}
+
+function renderRoleSettings() {
+  const isHost = state.youId === state.hostId;
+  const roles = state.roleCatalog.filter((role) => role.id !== "villager");
+
+  for (const role of roles) {
+    let input = els.roleSettingsList.querySelector(`input[data-role-id="${role.id}"]`);
+    if (!input) {
+      const row = document.createElement("label");
+      row.className = "role-row";
+      row.title = role.description;
+      const name = document.createElement("span");
+      name.textContent = `${role.label} (${role.teamLabel})`;
+      input = document.createElement("input");
+      input.type = "number";
+      input.dataset.roleId = role.id;
+      input.min = String(role.minCount);
+      input.max = String(role.maxCount);
+      input.addEventListener("change", submitRoleCounts);
+      row.appendChild(name);
+      row.appendChild(input);
+      els.roleSettingsList.appendChild(row);
+    }
+    input.disabled = !isHost;
+    if (document.activeElement !== input) {
+      input.value = String(state.roleCounts[role.id] || 0);
+    }
+  }
+
+  els.scaleMafiaInput.disabled = !isHost;
+  els.scaleMafiaInput.checked = state.scaleMafia;
+  const mafiaInput = els.roleSettingsList.querySelector('input[data-role-id="mafia"]');
+  if (mafiaInput && state.scaleMafia) {
+    mafiaInput.disabled = true;
+  }
+
+  const specials = Object.values(state.roleCounts).reduce((sum, count) => sum + count, 0);
+  const villagers = Math.max(0, state.players.length - specials);
+  els.roleSettingsHint.textContent =
+    roleSettingsError || `Everyone else is a villager (${villagers} right now).`;
+}
+
+async function submitLobbySetting(event) {
+  const input = event.target;
+  const key = input.dataset.settingKey;
+  let value = input.type === "checkbox" ? input.checked : Number(input.value);
+  if (input.tagName === "SELECT") {
+    value = input.value;
+  }
+  try {
+    await sendAction("update_settings", { settings: { [key]: value } });
+    lobbySettingsError = "";
+  } catch (error) {
+    lobbySettingsError = error.message;
+  }
+  render();
+}
+
+function renderLobbySettings() {
+  const isHost = state.youId === state.hostId;
+
+  for (const field of state.settingsCatalog) {
+    let input = els.lobbySettingsList.querySelector(`[data-setting-key="${field.key}"]`);
+    const isToggle = field.type === "toggle";
+    const isChoice = field.type === "choice";
+    if (!input) {
+      const row = document.createElement("label");
+      row.className = isToggle ? "check-row" : isChoice ? "role-row choice-row" : "role-row";
+      const name = document.createElement("span");
+      name.textContent = field.label;
+      if (isChoice) {
+        input = document.createElement("select");
+        for (const option of field.options) {
+          input.appendChild(new Option(option.label, option.value));
+        }
+      } else {
+        input = document.createElement("input");
+        input.type = isToggle ? "checkbox" : "number";
+      }
+      input.dataset.settingKey = field.key;
+      if (!isToggle && !isChoice) {
+        input.min = String(field.min);
+        input.max = String(field.max);
+      }
+      input.addEventListener("change", submitLobbySetting);
+      if (isToggle) {
+        row.appendChild(input);
+        row.appendChild(name);
+      } else {
+        row.appendChild(name);
+        row.appendChild(input);
+      }
+      els.lobbySettingsList.appendChild(row);
+    }
+    input.disabled = !isHost;
+    if (isToggle) {
+      input.checked = !!state.settings[field.key];
+    } else if (document.activeElement !== input) {
+      input.value = String(state.settings[field.key]);
+    }
+  }
+
+  els.lobbySettingsHint.textContent =
+    lobbySettingsError || (isHost ? "" : "Only the host can change settings.");
 }
 
 function renderHistory() {
@@ -436,15 +944,30 @@ function renderHistory() {
   for (const item of rows) {
     const li = document.createElement("li");
     const parts = [`Round ${item.round}`];
-    parts.push(`Killed: ${item.killedName || "No one"}`);
-    parts.push(`Saved: ${item.savedName || "No one"}`);
-    if (item.survivedBySaveName) {
-      parts.push(`${item.survivedBySaveName} survived because they were saved`);
-    } else if (item.eliminatedName) {
-      parts.push(`${item.eliminatedName} was eliminated`);
-    } else {
+    parts.push(`Killed: ${item.killedNames.join(", ") || "No one"}`);
+    parts.push(`Saved: ${item.savedNames.join(", ") || "No one"}`);
+    for (const name of item.survivedBySaveNames) {
+      parts.push(`${name} survived because they were saved`);
+    }
+    for (const name of item.eliminatedNames) {
+      parts.push(`${name} was eliminated`);
+    }
+    if (!item.survivedBySaveNames.length && !item.eliminatedNames.length) {
       parts.push("No elimination");
     }
+    if (item.voteOutcome === "lynched") {
+      parts.push(`Vote: ${item.lynchedName} was voted out`);
+    } else if (item.voteOutcome === "tie") {
+      parts.push("Vote: tie, no one eliminated");
+    } else if (item.voteOutcome === "no_lynch") {
+      parts.push("Vote: no elimination");
+    }
+    for (const reveal of item.revealedRoles || []) {
+      parts.push(`${reveal.name} was the ${roleLabel(reveal.role)}`);
+    }
+    for (const will of item.wills || []) {
+      parts.push(`${will.name}'s will: ${will.text}`);
+    }
     li.textContent = parts.join(" | ");
     els.historyList.appendChild(li);
   }
@@ -461,14 +984,20 @@ function renderMessage(container, message) {
   if (message.type === "system") {
     card.classList.add("system");
   }
-  if (message.fromId && state && message.fromId === state.youId) {
+  const ownAlias = message.anonymous && state?.yourAlias && message.fromName === state.yourAlias;
+  if ((message.fromId && state && message.fromId === state.youId) || ownAlias) {
     card.classList.add("self");
   }
+  if (message.lastWords) {
+    card.classList.add("last-words");
+  }
 
   const head = document.createElement("div");
   head.className = "message-head";
   const from = document.createElement("strong");
-  from.textContent = message.fromName || "System";
+  from.textContent = message.lastWords
+    ? `${message.fromName} (last words)`
+    : message.fromName || "System";
   const time = document.createElement("span");
   time.textContent = formatTime(message.at);
   head.appendChild(from);
@@ -482,12 +1011,57 @@ function renderMessage(container, message) {
   container.appendChild(card);
 }
 
-function renderMainChat() {
-  els.mainChatView.innerHTML = "";
-  for (const msg of state.mainMessages) {
-    renderMessage(els.mainChatView, msg);
+function liveMessagesFor(channel, peerId) {
+  if (channel === "dm") {
+    return state.dmThreads.find((thread) => thread.peerId === peerId)?.messages || [];
+  }
+  const field = Object.keys(MESSAGE_CHANNELS).find((key) => MESSAGE_CHANNELS[key] === channel);
+  return state[field] || [];
+}
+
+// Renders loaded history followed by the live messages. A reader at the bottom
+// stays there; anyone scrolled up keeps their place as messages come in or
+// older ones are added above.
+function renderChatView(container, channel, peerId = null) {
+  const fromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+  const older = chatHistory.get(historyKey(channel, peerId))?.messages || [];
+  container.innerHTML = "";
+  for (const msg of [...older, ...liveMessagesFor(channel, peerId)]) {
+    renderMessage(container, msg);
+  }
+  container.scrollTop =
+    fromBottom <= LOAD_OLDER_THRESHOLD_PX
+      ? container.scrollHeight
+      : container.scrollHeight - container.clientHeight - fromBottom;
+}
+
+async function loadOlderMessages(channel, peerId = null) {
+  if (!state) return;
+  const key = historyKey(channel, peerId);
+  const entry = chatHistory.get(key) || { messages: [], hasMore: true, loading: false };
+  const oldest = entry.messages[0] || liveMessagesFor(channel, peerId)[0];
+  if (!entry.hasMore || entry.loading || !oldest) return;
+
+  chatHistory.set(key, entry);
+  entry.loading = true;
+  try {
+    const page = await sendAction("fetch_messages", { channel, peerId, before: oldest.id });
+    if (chatHistory.get(key) === entry) {
+      entry.messages = [...page.messages, ...entry.messages];
+      entry.hasMore = page.hasMore;
+    }
+  } catch (error) {
+    setChatError(error.message);
+  } finally {
+    entry.loading = false;
+  }
+  if (state) {
+    renderChatArea();
   }
-  els.mainChatView.scrollTop = els.mainChatView.scrollHeight;
+}
+
+function renderMainChat() {
+  renderChatView(els.mainChatView, "main");
 }
 
 function renderDmTargets() {
@@ -509,21 +1083,97 @@ function renderDmTargets() {
   }
 }
 
+function renderTeamChat() {
+  renderChatView(els.teamChatView, "team");
+}
+
+function renderGraveyardChat() {
+  renderChatView(els.graveyardChatView, "graveyard");
+}
+
+function renderSpectatorChat() {
+  renderChatView(els.spectatorChatView, "spectators");
+}
+
 function renderDmChat() {
-  els.dmChatView.innerHTML = "";
   const thread = activeDmThread();
   if (!thread || !thread.messages.length) {
+    els.dmChatView.innerHTML = "";
     const empty = document.createElement("div");
     empty.className = "message system";
     empty.textContent = "No private messages yet.";
     els.dmChatView.appendChild(empty);
     return;
   }
+  renderChatView(els.dmChatView, "dm", selectedDmPeerId);
+}
+
+function isMuted(player) {
+  return !!player.mutedUntil && player.mutedUntil > Date.now();
+}
 
-  for (const msg of thread.messages) {
-    renderMessage(els.dmChatView, msg);
+// Host actions report errors next to the start button in the lobby and under
+// the chat in game.
+async function sendHostAction(type, payload) {
+  try {
+    await sendAction(type, payload);
+    if (state?.phase === "lobby") {
+      els.startHint.textContent = "";
+    } else {
+      setChatError("");
+    }
+  } catch (error) {
+    if (state?.phase === "lobby") {
+      els.startHint.textContent = error.message;
+    } else {
+      setChatError(error.message);
+    }
+  }
+}
+
+function appendHostButtons(actions, player) {
+  const kick = {
+    label: player.isBot ? "Remove" : "Kick",
+    run: () => {
+      if (confirm(`${player.isBot ? "Remove" : "Kick"} ${player.name} from the lobby?`)) {
+        sendHostAction("kick_player", { targetId: player.id });
+      }
+    }
+  };
+  const buttons = player.isBot ? [kick] : [
+    {
+      label: isMuted(player) ? "Unmute" : "Mute",
+      run: () =>
+        sendHostAction("mute_player", {
+          targetId: player.id,
+          seconds: isMuted(player) ? 0 : MUTE_SECONDS
+        })
+    },
+    {
+      label: "Host",
+      run: () => {
+        if (confirm(`Make ${player.name} the host? You will lose the host controls.`)) {
+          sendHostAction("transfer_host", { targetId: player.id });
+        }
+      }
+    },
+    kick,
+    {
+      label: "Ban",
+      run: () => {
+        if (confirm(`Ban ${player.name}? Nobody with that name can rejoin this lobby.`)) {
+          sendHostAction("ban_player", { targetId: player.id });
+        }
+      }
+    }
+  ];
+  for (const { label, run } of buttons) {
+    const button = document.createElement("button");
+    button.className = "small-btn ghost-btn";
+    button.textContent = label;
+    button.addEventListener("click", run);
+    actions.appendChild(button);
   }
-  els.dmChatView.scrollTop = els.dmChatView.scrollHeight;
 }
 
 function makePlayerRow(player) {
@@ -536,12 +1186,26 @@ function makePlayerRow(player) {
   sub.className = "player-meta";
 
   const labels = [];
-  labels.push(player.isAlive ? "alive" : "dead");
+  if (state.phase !== "lobby") labels.push(player.isAlive ? "alive" : "dead");
   if (player.isHost) labels.push("host");
+  if (player.isBot) labels.push("bot");
+  if (state.phase === "lobby" && player.isReady) labels.push("ready");
+  if (!player.isConnected) labels.push("offline");
+  if (isMuted(player)) labels.push("muted");
   if (player.roleVisible && player.roleVisible !== "villager") {
     labels.push(roleLabel(player.roleVisible).toLowerCase());
   }
   if (player.isSelf) labels.push("you");
+  const proposal = (state.nightAction?.proposals || []).find(
+    (item) => item.targetId === player.id
+  );
+  if (isStage("night") && proposal) {
+    labels.push(`proposed ×${proposal.count}`);
+  }
+  if (isStage("day") && player.isAlive) {
+    const votes = voteCountFor(player.id);
+    labels.push(`${votes} vote${votes === 1 ? "" : "s"}`);
+  }
   sub.textContent = labels.join(" • ");
   meta.appendChild(name);
   meta.appendChild(sub);
@@ -549,7 +1213,7 @@ function makePlayerRow(player) {
   const actions = document.createElement("div");
   actions.className = "player-actions";
 
-  if (!player.isSelf) {
+  if (!player.isSelf && !state.isSpectator && state.phase !== "lobby") {
     const dmBtn = document.createElement("button");
     dmBtn.className = "small-btn ghost-btn";
     dmBtn.textContent = "DM";
@@ -561,45 +1225,48 @@ function makePlayerRow(player) {
     actions.appendChild(dmBtn);
   }
 
-  if (state.phase === "in_round" && state.youAreAlive && player.isAlive && !player.isSelf) {
-    if (state.youRole === "mafia") {
-      const cooldownMs = currentMafiaCooldownMs();
-      const killBtn = document.createElement("button");
-      killBtn.className = "small-btn kill-btn";
-      killBtn.dataset.targetId = player.id;
-      if (state.pendingKillId === player.id) {
-        killBtn.textContent = "💀 Set";
-      } else if (state.mafiaKillUsedThisRound) {
-        killBtn.textContent = "💀 Used";
-      } else {
-        killBtn.textContent = "💀";
+  const nightAction = state.nightAction;
+  if (
+    isStage("night") &&
+    state.youAreAlive &&
+    nightAction &&
+    player.isAlive &&
+    (nightAction.allowSelf || !player.isSelf) &&
+    (nightAction.allowTeammates || !isTeammate(player.id))
+  ) {
+    const actionBtn = document.createElement("button");
+    actionBtn.className = `small-btn action-btn ${nightAction.kind}-btn`;
+    actionBtn.dataset.targetId = player.id;
+    actionBtn.textContent = nightActionButtonText(player.id);
+    actionBtn.disabled = nightActionBlocked();
+    actionBtn.addEventListener("click", async () => {
+      try {
+        await sendAction(nightAction.action, { targetId: player.id });
+        setChatError("");
+      } catch (error) {
+        setChatError(error.message);
       }
-      killBtn.disabled = cooldownMs > 0 || state.mafiaKillUsedThisRound;
-      killBtn.addEventListener("click", async () => {
-        try {
-          await sendAction("mafia_kill", { targetId: player.id });
-          setChatError("");
-        } catch (error) {
-          setChatError(error.message);
-        }
-      });
-      actions.appendChild(killBtn);
-    }
-
-    if (state.youRole === "guardian") {
-      const saveBtn = document.createElement("button");
-      saveBtn.className = "small-btn save-btn";
-      saveBtn.textContent = state.pendingSaveId === player.id ? "🙏 Set" : "🙏";
-      saveBtn.addEventListener("click", async () => {
-        try {
-          await sendAction("guardian_save", { targetId: player.id });
-          setChatError("");
-        } catch (error) {
-          setChatError(error.message);
-        }
-      });
-      actions.appendChild(saveBtn);
-    }
+    });
+    actions.appendChild(actionBtn);
+  }
+
+  if (isStage("day") && state.youAreAlive && player.isAlive && !player.isSelf) {
+    const voteBtn = document.createElement("button");
+    voteBtn.className = "small-btn vote-btn";
+    voteBtn.textContent = state.yourVoteId === player.id ? "🗳️ Set" : "🗳️";
+    voteBtn.addEventListener("click", async () => {
+      try {
+        await sendAction("cast_vote", { targetId: player.id });
+        setChatError("");
+      } catch (error) {
+        setChatError(error.message);
+      }
+    });
+    actions.appendChild(voteBtn);
+  }
+
+  if (state.youId === state.hostId && !player.isSelf) {
+    appendHostButtons(actions, player);
   }
 
   li.appendChild(meta);
@@ -612,30 +1279,215 @@ function renderPlayersPanel() {
   for (const player of state.players) {
     els.gamePlayers.appendChild(makePlayerRow(player));
   }
+
+  const watching = spectatorNames();
+  els.gameSpectators.textContent = watching ? `Watching: ${watching}` : "";
+
+  const canVote = isStage("day") && state.youAreAlive;
+  els.noLynchBtn.classList.toggle("hidden", !canVote);
+  els.noLynchBtn.textContent =
+    state.yourVoteId === NO_LYNCH ? "No Lynch (voted)" : "Vote No Lynch";
 }
 
 function renderChatArea() {
-  const isMain = activeTab === "main";
-  els.mainTabBtn.classList.toggle("active", isMain);
-  els.dmTabBtn.classList.toggle("active", !isMain);
-
-  els.mainChatView.classList.toggle("hidden", !isMain);
-  els.dmChatWrapper.classList.toggle("hidden", isMain);
+  const hasTeam = !!state.teamChannel;
+  const isSpectator = !!state.isSpectator;
+  if (
+    (activeTab === "team" && !hasTeam) ||
+    (activeTab === "spectators" && !isSpectator) ||
+    (activeTab === "graveyard" && !state.canUseGraveyard) ||
+    (activeTab === "dm" && isSpectator)
+  ) {
+    activeTab = "main";
+  }
+  els.teamTabBtn.classList.toggle("hidden", !hasTeam);
+  els.teamTabBtn.textContent = hasTeam ? state.teamChannel : "Team";
+  els.dmTabBtn.classList.toggle("hidden", isSpectator);
+  els.graveyardTabBtn.classList.toggle("hidden", !state.canUseGraveyard);
+  els.spectatorTabBtn.classList.toggle("hidden", !isSpectator);
+
+  els.mainTabBtn.classList.toggle("active", activeTab === "main");
+  els.dmTabBtn.classList.toggle("active", activeTab === "dm");
+  els.teamTabBtn.classList.toggle("active", activeTab === "team");
+  els.graveyardTabBtn.classList.toggle("active", activeTab === "graveyard");
+  els.spectatorTabBtn.classList.toggle("active", activeTab === "spectators");
+
+  els.mainChatView.classList.toggle("hidden", activeTab !== "main");
+  els.dmChatWrapper.classList.toggle("hidden", activeTab !== "dm");
+  els.teamChatView.classList.toggle("hidden", activeTab !== "team");
+  els.graveyardChatView.classList.toggle("hidden", activeTab !== "graveyard");
+  els.spectatorChatView.classList.toggle("hidden", activeTab !== "spectators");
+
+  const writable = canChatInTab(activeTab);
+  els.chatInput.disabled = !writable;
+  els.chatInput.placeholder =
+    writable && !state.canChat && activeTab === "main"
+      ? "Your last words (one message)..."
+      : "Send a message...";
+  if (!writable) {
+    setChatError(chatBlockedReason());
+  } else if (els.chatError.textContent === chatBlockedReason()) {
+    setChatError("");
+  }
 
   renderMainChat();
   renderDmTargets();
   renderDmChat();
+  renderTeamChat();
+  renderGraveyardChat();
+  renderSpectatorChat();
+}
+
+// Opening this link fills in the backend and code and joins straight away.
+function inviteUrl(code) {
+  const query = new URLSearchParams({ join: code, backend: getStoredBackendUrl() });
+  return `${location.origin}${location.pathname}?${query}`;
+}
+
+function renderInviteQr() {
+  const url = inviteUrl(state.lobbyCode);
+  if (url === drawnInviteUrl) return;
+  drawnInviteUrl = url;
+  try {
+    drawQrCode(els.inviteQr, url);
+    els.inviteQr.classList.remove("hidden");
+    els.inviteHint.textContent = "Scan to join this lobby.";
+  } catch {
+    els.inviteQr.classList.add("hidden");
+    els.inviteHint.textContent = "The invite link is too long for a QR code.";
+  }
+}
+
+function replayPageUrl(gameId) {
+  const query = new URLSearchParams({ game: gameId, backend: getStoredBackendUrl() });
+  return `replay.html?${query}`;
+}
+
+function renderPastResults() {
+  const results = state.pastResults || [];
+  els.pastResults.classList.toggle("hidden", !results.length);
+  els.pastResultsList.innerHTML = "";
+  for (const result of [...results].reverse()) {
+    const li = document.createElement("li");
+    const title = document.createElement("strong");
+    const rounds = result.rounds === 1 ? "1 round" : `${result.rounds} rounds`;
+    const winner = result.winner || "No one";
+    title.textContent = `Game ${result.gameNumber}: ${winner} won after ${rounds}`;
+    const meta = document.createElement("span");
+    meta.className = "player-meta";
+    meta.textContent = result.players
+      .map((player) => {
+        const fate = player.survived ? "" : ", dead";
+        return `${player.name} (${roleLabel(player.role)}${fate})`;
+      })
+      .join(", ");
+    li.appendChild(title);
+    li.appendChild(meta);
+    if (result.gameId) {
+      const link = document.createElement("a");
+      link.href = replayPageUrl(result.gameId);
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = "Replay";
+      li.appendChild(link);
+    }
+    els.pastResultsList.appendChild(li);
+  }
+}
+
+function renderPublicLobbies(lobbies) {
+  els.publicLobbiesList.innerHTML = "";
+  els.publicLobbiesHint.textContent = lobbies.length
+    ? ""
+    : "No public lobbies are open right now. Create one and list it from the lobby settings.";
+  for (const lobby of lobbies) {
+    const li = document.createElement("li");
+    const meta = document.createElement("div");
+    const name = document.createElement("strong");
+    name.textContent = lobby.hostName ? `${lobby.code} · ${lobby.hostName}'s lobby` : lobby.code;
+    const sub = document.createElement("div");
+    sub.className = "player-meta";
+    const seats = lobby.playerCount + (lobby.botCount || 0);
+    sub.textContent = [
+      `${seats}/${lobby.maxPlayers} players (needs ${lobby.minPlayers})`,
+      lobby.botCount ? `${lobby.botCount} bot${lobby.botCount === 1 ? "" : "s"}` : "",
+      `${lobby.nightSeconds}s nights, ${lobby.daySeconds}s days`,
+      lobby.roles
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    meta.appendChild(name);
+    meta.appendChild(sub);
+
+    const actions = document.createElement("div");
+    actions.className = "player-actions";
+    const joinBtn = document.createElement("button");
+    joinBtn.className = "small-btn";
+    joinBtn.textContent = "Join";
+    joinBtn.addEventListener("click", () => joinByCode(lobby.code));
+    actions.appendChild(joinBtn);
+
+    li.appendChild(meta);
+    li.appendChild(actions);
+    els.publicLobbiesList.appendChild(li);
+  }
+}
+
+async function loadPublicLobbies() {
+  if (!getStoredBackendUrl()) {
+    els.publicLobbiesHint.textContent = "Set a backend URL to see public lobbies.";
+    return;
+  }
+  els.publicLobbiesHint.textContent = "Loading lobbies...";
+  try {
+    const { lobbies } = await apiGet("/api/lobbies");
+    renderPublicLobbies(lobbies);
+  } catch (error) {
+    els.publicLobbiesHint.textContent = error.message;
+  }
 }
 
 function renderLobbyScreen() {
   els.lobbyCode.textContent = state.lobbyCode;
   renderLobbyPlayers();
+  renderRoleSettings();
+  renderLobbySettings();
+  renderPastResults();
+  renderInviteQr();
 
   const isHost = state.youId === state.hostId;
+  els.passwordControls.classList.toggle("hidden", !isHost);
+  els.clearPasswordBtn.disabled = !state.hasPassword;
+  els.passwordHint.textContent = state.hasPassword
+    ? "Players need the password to join or watch. Share it along with the code."
+    : "Anyone with the code can join.";
   els.startGameBtn.classList.toggle("hidden", !isHost);
-  els.startGameBtn.disabled = state.players.length < state.minPlayers;
-  if (isHost && state.players.length < state.minPlayers) {
+  els.startGameBtn.textContent = state.startsAt ? "Cancel Start" : "Start Game";
+  els.startGameBtn.disabled =
+    !state.startsAt && (state.players.length < state.minPlayers || waitingOnReady());
+  els.addBotBtn.classList.toggle("hidden", !isHost);
+  els.addBotBtn.disabled = state.players.length >= state.settings.maxPlayers;
+  const self = state.players.find((player) => player.isSelf);
+  els.readyBtn.classList.toggle("hidden", !self);
+  els.readyBtn.textContent = self?.isReady ? "Not Ready" : "Ready";
+  renderStartHint();
+}
+
+function waitingOnReady() {
+  return state.settings.requireReady && state.players.some((player) => !player.isReady);
+}
+
+function renderStartHint() {
+  const isHost = state.youId === state.hostId;
+  if (state.startsAt) {
+    const seconds = Math.max(0, Math.ceil((state.startsAt - Date.now()) / 1000));
+    els.startHint.textContent = `The game starts in ${seconds}...`;
+  } else if (state.isSpectator) {
+    els.startHint.textContent = "You are watching. The game shows up here once the host starts.";
+  } else if (isHost && state.players.length < state.minPlayers) {
     els.startHint.textContent = `Need ${state.minPlayers} players to start.`;
+  } else if (waitingOnReady()) {
+    els.startHint.textContent = "Waiting for everyone to be ready.";
   } else if (isHost) {
     els.startHint.textContent = "You can start the game.";
   } else {
@@ -648,29 +1500,30 @@ function renderLiveRoundBits() {
     return;
   }
 
-  const timeLeftMs = Math.max(0, (state.roundEndsAt || 0) - Date.now());
-  els.timerValue.textContent = formatClock(timeLeftMs);
-
-  if (state.youRole === "mafia" && state.youAreAlive) {
-    const cooldownMs = currentMafiaCooldownMs();
-    if (state.mafiaKillUsedThisRound) {
-      els.cooldownText.textContent = "Skull action used for this round.";
+  els.timerValue.textContent = formatRoundClock();
+
+  if (isPaused()) {
+    els.cooldownText.textContent = "The host paused the game.";
+  } else if (state.stage === "day") {
+    const skips = voteCountFor(NO_LYNCH);
+    els.cooldownText.textContent = `Day vote is open. Votes for no lynch: ${skips}.`;
+  } else if (state.nightAction && state.youAreAlive) {
+    const action = state.nightAction;
+    const cooldownMs = currentActionCooldownMs();
+    if (action.usesLeft === 0) {
+      els.cooldownText.textContent = `${action.icon} action already used this game.`;
+    } else if (action.lockedIn) {
+      els.cooldownText.textContent = `${action.icon} action used for this night.`;
     } else if (cooldownMs > 0) {
-      els.cooldownText.textContent = `Skull cooldown: ${Math.ceil(cooldownMs / 1000)}s`;
+      els.cooldownText.textContent = `${action.icon} cooldown: ${Math.ceil(cooldownMs / 1000)}s`;
     } else {
-      els.cooldownText.textContent = "Skull cooldown ready.";
+      els.cooldownText.textContent = `${action.icon} action ready.`;
     }
 
-    const killButtons = els.gamePlayers.querySelectorAll(".kill-btn");
-    for (const button of killButtons) {
-      if (state.pendingKillId === button.dataset.targetId) {
-        button.textContent = "💀 Set";
-      } else if (state.mafiaKillUsedThisRound) {
-        button.textContent = "💀 Used";
-      } else {
-        button.textContent = "💀";
-      }
-      button.disabled = cooldownMs > 0 || state.mafiaKillUsedThisRound;
+    const actionButtons = els.gamePlayers.querySelectorAll(".action-btn");
+    for (const button of actionButtons) {
+      button.textContent = nightActionButtonText(button.dataset.targetId);
+      button.disabled = nightActionBlocked();
     }
   } else {
     els.cooldownText.textContent = "";
@@ -678,31 +1531,79 @@ function renderLiveRoundBits() {
 }
 
 function renderGameScreen() {
-  els.roleValue.textContent = roleLabel(state.youRole);
-  els.aliveValue.textContent = state.youAreAlive ? "Alive" : "Dead / Spectator";
-  els.roundValue.textContent = state.roundNumber || "-";
-  els.timerValue.textContent = state.phase === "in_round" ? formatClock(state.timeLeftMs || 0) : "00:00";
+  els.roleValue.textContent = state.isSpectator ? "Spectator" : roleLabel(state.youRole);
+  if (state.isSpectator) {
+    els.aliveValue.textContent = "Watching";
+  } else {
+    els.aliveValue.textContent = state.youAreAlive ? "Alive" : "Dead";
+  }
+  els.roundValue.textContent = state.roundNumber
+    ? `${state.roundNumber} ${stageLabel(state.stage)}`.trim()
+    : "-";
+  els.timerValue.textContent = state.phase === "in_round" ? formatRoundClock() : "00:00";
   els.winnerValue.textContent = state.winner || "None yet";
 
   if (!state.youAreAlive && state.revealRoles) {
     els.roleReveal.classList.remove("hidden");
-    els.roleReveal.textContent = `You are eliminated. Mafia: ${state.revealRoles.mafiaName || "unknown"} | Guardian: ${
-      state.revealRoles.guardianName || "unknown"
-    }`;
+    const roles = state.revealRoles.map((entry) => `${roleLabel(entry.role)}: ${entry.name}`);
+    const lead = state.isSpectator ? "You are watching." : "You are eliminated.";
+    els.roleReveal.textContent = `${lead} ${roles.join(" | ") || "No special roles."}`;
   } else {
     els.roleReveal.classList.add("hidden");
     els.roleReveal.textContent = "";
   }
 
+  const notes = [];
+  if (state.yourAlias) {
+    notes.push(`Your alias in the main chat: ${state.yourAlias}`);
+  }
+  if (state.teamChannel) {
+    const mates = state.teammates.map((mate) => `${mate.name}${mate.isAlive ? "" : " (dead)"}`);
+    notes.push(`${state.teamChannel} team: ${mates.join(", ") || "just you"}`);
+  }
+  const investigations = state.investigations || [];
+  if (investigations.length) {
+    notes.push(
+      `Investigations: ${investigations
+        .map((entry) => `Night ${entry.round}: ${entry.targetName} is ${entry.teamLabel}`)
+        .join(" | ")}`
+    );
+  }
+  els.privateNotes.classList.toggle("hidden", !notes.length);
+  els.privateNotes.textContent = notes.join(" — ");
+
+  // The backend files the replay as the game ends; it outlives the lobby.
+  const showReplay = state.phase === "ended" && !!state.gameId;
+  els.replayLinks.classList.toggle("hidden", !showReplay);
+  if (showReplay) {
+    els.replayViewLink.href = replayPageUrl(state.gameId);
+    els.replayDownloadLink.href = `${getStoredBackendUrl()}/api/replay/${state.gameId}?download`;
+  }
+
+  const isHost = state.youId === state.hostId;
+  els.rematchControls.classList.toggle("hidden", state.phase !== "ended");
+  els.rematchBtn.classList.toggle("hidden", !isHost);
+  els.returnLobbyBtn.classList.toggle("hidden", !isHost);
+  if (!isHost) {
+    els.rematchHint.textContent = "Waiting for the host to start a new game.";
+  }
+  els.roundControls.classList.toggle("hidden", !isHost || state.phase !== "in_round");
+  els.pauseBtn.textContent = isPaused() ? "Resume" : "Pause";
+  els.extendRoundBtn.textContent = `+${EXTEND_SECONDS}s`;
+  els.skipRoundBtn.textContent = `End ${stageLabel(state.stage)} Now`;
+
+  els.willPanel.classList.toggle("hidden", state.isSpectator || !state.youAreAlive);
+  if (state.yourWill !== shownWill) {
+    shownWill = state.yourWill;
+    els.willInput.value = shownWill || "";
+  }
+
   renderPlayersPanel();
   renderChatArea();
   renderHistory();
   renderLiveRoundBits();
 
-  els.chatInput.disabled = !state.canChat;
-  if (!state.canChat) {
-    setChatError("Eliminated players cannot send chat messages.");
-  }
+  els.chatInput.maxLength = state.settings.maxChatLength;
 }
 
 function render() {
@@ -733,6 +1634,11 @@ els.nameForm.addEventListener("submit", (event) => {
   setStoredName(name);
   showNameModal(false);
   render();
+  if (pendingInviteCode) {
+    const code = pendingInviteCode;
+    pendingInviteCode = null;
+    joinByCode(code);
+  }
 });
 
 els.changeNameBtn.addEventListener("click", () => {
@@ -745,6 +1651,7 @@ els.saveBackendBtn.addEventListener("click", () => {
     setMenuError("Invalid backend URL.");
   } else {
     setMenuError("");
+    loadPublicLobbies();
   }
   render();
 });
@@ -755,7 +1662,9 @@ els.createLobbyBtn.addEventListener("click", async () => {
 
   setMenuError("Creating lobby...");
   try {
-    const created = await apiPost("/api/create-lobby", { name });
+    const password = els.createPasswordInput.value;
+    const created = await apiPost("/api/create-lobby", { name, password });
+    els.createPasswordInput.value = "";
     await connectLobbySocket({
       code: created.code,
       playerId: created.playerId,
@@ -767,19 +1676,56 @@ els.createLobbyBtn.addEventListener("click", async () => {
   }
 });
 
-els.joinLobbyBtn.addEventListener("click", async () => {
+// A 429 here usually means a room full of people scanned the same QR code
+// from one network, so wait out the limit and try again rather than failing.
+async function joinByCode(code, password = "") {
+  clearTimeout(joinRetryTimer);
+  joinRetryTimer = null;
   const name = requireName();
   if (!name || !requireBackend()) return;
 
+  setMenuError("Joining lobby...");
+  try {
+    const joined = await apiPost("/api/join-lobby", { name, code, password });
+    await connectLobbySocket({
+      code: joined.code,
+      playerId: joined.playerId,
+      sessionSecret: joined.sessionSecret
+    });
+    els.joinPasswordInput.value = "";
+    setMenuError("");
+  } catch (error) {
+    if (error.status === 429) {
+      const delay = Math.max(1000, error.retryAfterMs);
+      setMenuError(`Busy joining. Trying again in ${Math.ceil(delay / 1000)}s...`);
+      joinRetryTimer = setTimeout(() => joinByCode(code, password), delay);
+      return;
+    }
+    setMenuError(error.message);
+    if (error.status === 403) {
+      els.joinCodeInput.value = code;
+      els.joinPasswordInput.focus();
+    }
+  }
+}
+
+els.joinForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
   const code = cleanCode(els.joinCodeInput.value);
   if (code.length !== 5) {
     setMenuError("Join code must be 5 characters.");
     return;
   }
+  await joinByCode(code, els.joinPasswordInput.value);
+});
 
-  setMenuError("Joining lobby...");
+els.quickMatchBtn.addEventListener("click", async () => {
+  const name = requireName();
+  if (!name || !requireBackend()) return;
+
+  setMenuError("Finding a lobby...");
   try {
-    const joined = await apiPost("/api/join-lobby", { name, code });
+    const joined = await apiPost("/api/quick-match", { name });
     await connectLobbySocket({
       code: joined.code,
       playerId: joined.playerId,
@@ -791,29 +1737,145 @@ els.joinLobbyBtn.addEventListener("click", async () => {
   }
 });
 
+els.refreshLobbiesBtn.addEventListener("click", loadPublicLobbies);
+
+els.spectateLobbyBtn.addEventListener("click", async () => {
+  const name = requireName();
+  if (!name || !requireBackend()) return;
+
+  const code = cleanCode(els.joinCodeInput.value);
+  if (code.length !== 5) {
+    setMenuError("Join code must be 5 characters.");
+    return;
+  }
+
+  setMenuError("Joining as spectator...");
+  try {
+    const password = els.joinPasswordInput.value;
+    const watching = await apiPost("/api/spectate", { name, code, password });
+    await connectLobbySocket({
+      code: watching.code,
+      playerId: watching.playerId,
+      sessionSecret: watching.sessionSecret
+    });
+    els.joinPasswordInput.value = "";
+    setMenuError("");
+  } catch (error) {
+    setMenuError(error.message);
+    if (error.status === 403) {
+      els.joinPasswordInput.focus();
+    }
+  }
+});
+
 els.copyCodeBtn.addEventListener("click", async () => {
   if (!state?.lobbyCode) return;
+  const url = inviteUrl(state.lobbyCode);
   try {
-    await navigator.clipboard.writeText(state.lobbyCode);
-    els.startHint.textContent = "Join code copied.";
+    await navigator.clipboard.writeText(url);
+    els.startHint.textContent = "Invite link copied.";
   } catch {
-    els.startHint.textContent = `Code: ${state.lobbyCode}`;
+    els.startHint.textContent = `Invite link: ${url}`;
+  }
+});
+
+els.scaleMafiaInput.addEventListener("change", submitRoleCounts);
+
+els.addBotBtn.addEventListener("click", () => sendHostAction("add_bot"));
+
+els.readyBtn.addEventListener("click", async () => {
+  const self = state?.players.find((player) => player.isSelf);
+  if (!self) return;
+  try {
+    await sendAction("set_ready", { ready: !self.isReady });
+  } catch (error) {
+    els.startHint.textContent = error.message;
+  }
+});
+
+els.pauseBtn.addEventListener("click", () =>
+  sendHostAction(isPaused() ? "resume_game" : "pause_game")
+);
+
+els.extendRoundBtn.addEventListener("click", () =>
+  sendHostAction("extend_round", { seconds: EXTEND_SECONDS })
+);
+
+els.skipRoundBtn.addEventListener("click", () => {
+  if (confirm(`End the ${stageLabel(state.stage).toLowerCase()} now?`)) {
+    sendHostAction("skip_round");
+  }
+});
+
+els.saveWillBtn.addEventListener("click", async () => {
+  try {
+    await sendAction("set_will", { text: els.willInput.value });
+    els.willHint.textContent = els.willInput.value.trim() ? "Will saved." : "Will cleared.";
+  } catch (error) {
+    els.willHint.textContent = error.message;
   }
 });
 
 els.startGameBtn.addEventListener("click", async () => {
   try {
-    await sendAction("start_game");
+    await sendAction(state.startsAt ? "cancel_start" : "start_game");
     els.startHint.textContent = "";
   } catch (error) {
     els.startHint.textContent = error.message;
   }
 });
 
+els.rematchBtn.addEventListener("click", async () => {
+  try {
+    await sendAction("rematch");
+    els.rematchHint.textContent = "";
+  } catch (error) {
+    els.rematchHint.textContent = error.message;
+  }
+});
+
+els.returnLobbyBtn.addEventListener("click", async () => {
+  try {
+    await sendAction("return_to_lobby");
+    els.rematchHint.textContent = "";
+  } catch (error) {
+    els.rematchHint.textContent = error.message;
+  }
+});
+
+async function submitPassword(password) {
+  try {
+    await sendAction("set_password", { password });
+    els.lobbyPasswordInput.value = "";
+  } catch (error) {
+    els.passwordHint.textContent = error.message;
+  }
+}
+
+els.setPasswordBtn.addEventListener("click", () => {
+  const password = els.lobbyPasswordInput.value;
+  if (!password) {
+    els.passwordHint.textContent = "Type a password first, or use Remove to drop it.";
+    return;
+  }
+  submitPassword(password);
+});
+
+els.clearPasswordBtn.addEventListener("click", () => submitPassword(""));
+
 els.leaveLobbyBtn.addEventListener("click", async () => {
   await leaveLobby();
 });
 
+els.noLynchBtn.addEventListener("click", async () => {
+  try {
+    await sendAction("cast_vote", { targetId: NO_LYNCH });
+    setChatError("");
+  } catch (error) {
+    setChatError(error.message);
+  }
+});
+
 els.leaveGameBtn.addEventListener("click", async () => {
   await leaveLobby();
 });
@@ -828,8 +1890,39 @@ els.dmTabBtn.addEventListener("click", () => {
   renderChatArea();
 });
 
+els.teamTabBtn.addEventListener("click", () => {
+  activeTab = "team";
+  renderChatArea();
+});
+
+els.graveyardTabBtn.addEventListener("click", () => {
+  activeTab = "graveyard";
+  renderChatArea();
+});
+
+els.spectatorTabBtn.addEventListener("click", () => {
+  activeTab = "spectators";
+  renderChatArea();
+});
+
+for (const [view, channel] of [
+  [els.mainChatView, "main"],
+  [els.teamChatView, "team"],
+  [els.graveyardChatView, "graveyard"],
+  [els.spectatorChatView, "spectators"],
+  [els.dmChatView, "dm"]
+]) {
+  view.addEventListener("scroll", () => {
+    if (view.scrollTop <= LOAD_OLDER_THRESHOLD_PX) {
+      loadOlderMessages(channel, channel === "dm" ? selectedDmPeerId : null);
+    }
+  });
+}
+
 els.dmTargetSelect.addEventListener("change", () => {
   selectedDmPeerId = els.dmTargetSelect.value;
+  // A different thread opens at its newest message.
+  els.dmChatView.scrollTop = els.dmChatView.scrollHeight;
   renderDmChat();
 });
 
@@ -839,14 +1932,20 @@ els.chatForm.addEventListener("submit", async (event) => {
 
   const text = String(els.chatInput.value || "").trim();
   if (!text) return;
-  if (!state.canChat) {
-    setChatError("Eliminated players cannot send chat messages.");
+  if (!canChatInTab(activeTab)) {
+    setChatError(chatBlockedReason());
     return;
   }
 
   try {
-    if (activeTab === "main") {
+    if (activeTab === "graveyard") {
+      await sendAction("send_graveyard_message", { text });
+    } else if (activeTab === "spectators") {
+      await sendAction("send_spectator_message", { text });
+    } else if (activeTab === "main") {
       await sendAction("send_main_message", { text });
+    } else if (activeTab === "team") {
+      await sendAction("send_team_message", { text });
     } else {
       if (!selectedDmPeerId) {
         setChatError("Pick a player for private chat.");
@@ -862,11 +1961,52 @@ els.chatForm.addEventListener("submit", async (event) => {
 });
 
 setInterval(() => {
+  if (state?.phase === "lobby" && state.startsAt) {
+    renderStartHint();
+  }
   if (!state || state.phase !== "in_round") {
     return;
   }
   renderLiveRoundBits();
 }, 1000);
 
+// Reads an invite link (`?join=CODE&backend=URL`) and drops it from the address bar so a
+// reload does not join again.
+function takeInviteFromUrl() {
+  const params = new URLSearchParams(location.search);
+  const code = cleanCode(params.get("join"));
+  if (!params.has("join") && !params.has("backend")) {
+    return null;
+  }
+  if (normalizeBackendUrl(params.get("backend"))) {
+    setStoredBackendUrl(params.get("backend"));
+  }
+  params.delete("join");
+  params.delete("backend");
+  const query = params.toString();
+  history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}`);
+  return code.length === 5 ? code : null;
+}
+
+const inviteCode = takeInviteFromUrl();
+if (inviteCode) {
+  els.joinCodeInput.value = inviteCode;
+}
 showNameModal(false);
 render();
+
+const storedSession = getStoredSession();
+if (storedSession && getStoredBackendUrl() && storedSession.code === inviteCode) {
+  resumeSession(storedSession);
+} else if (inviteCode) {
+  if (getStoredName()) {
+    joinByCode(inviteCode);
+  } else {
+    pendingInviteCode = inviteCode;
+  }
+  loadPublicLobbies();
+} else if (storedSession && getStoredBackendUrl()) {
+  resumeSession(storedSession);
+} else {
+  loadPublicLobbies();
+}
@@ -0,0 +1,3 @@
+// Default backend URL for this copy of the frontend. Leave empty for GitHub
+// Pages; `server.js` serves its own version pointing at itself.
+window.TEXTING_MAFIA_BACKEND = "";
@@ -0,0 +1,380 @@
+// A small QR code encoder, so invite links can be shown as a code without
+// calling out to an image service. It covers what an invite URL needs: byte
+// mode, error correction level M and versions 1-10 (up to 213 bytes).
+// The layout follows ISO/IEC 18004; `drawQrCode` paints the result on a canvas.
+const QrCode = (() => {
+  // Per version (index 0 is version 1): error correction codewords per block
+  // and the data codewords of each block, for level M.
+  const VERSIONS = [
+    { ecPerBlock: 10, blocks: [16] },
+    { ecPerBlock: 16, blocks: [28] },
+    { ecPerBlock: 26, blocks: [44] },
+    { ecPerBlock: 18, blocks: [32, 32] },
+    { ecPerBlock: 24, blocks: [43, 43] },
+    { ecPerBlock: 16, blocks: [27, 27, 27, 27] },
+    { ecPerBlock: 18, blocks: [31, 31, 31, 31] },
+    { ecPerBlock: 22, blocks: [38, 38, 39, 39] },
+    { ecPerBlock: 22, blocks: [36, 36, 36, 37, 37] },
+    { ecPerBlock: 26, blocks: [43, 43, 43, 43, 44] }
+  ];
+  const ALIGNMENT_POSITIONS = [
+    [],
+    [6, 18],
+    [6, 22],
+    [6, 26],
+    [6, 30],
+    [6, 34],
+    [6, 22, 38],
+    [6, 24, 42],
+    [6, 26, 46],
+    [6, 28, 50]
+  ];
+  const LEVEL_M_FORMAT_BITS = 0;
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ];
+
+  function bitAt(value, index) {
+    return ((value >>> index) & 1) !== 0;
+  }
+
+  // Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i -= 1) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i += 1) {
+      for (let j = 0; j < degree; j += 1) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, index) => {
+        result[index] ^= gfMultiply(coefficient, factor);
+      });
+    }
+    return result;
+  }
+
+  function dataCapacity(version) {
+    return VERSIONS[version - 1].blocks.reduce((sum, count) => sum + count, 0);
+  }
+
+  // Mode indicator, length and payload, padded out to the version's capacity.
+  function dataCodewords(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i -= 1) {
+        bits.push(bitAt(value, i) ? 1 : 0);
+      }
+    };
+    const capacityBits = dataCapacity(version) * 8;
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => push(byte, 8));
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  // Splits the data into blocks, adds each block's error correction and
+  // interleaves everything in the order it is laid out.
+  function allCodewords(data, version) {
+    const { ecPerBlock, blocks } = VERSIONS[version - 1];
+    const divisor = rsDivisor(ecPerBlock);
+    let offset = 0;
+    const split = blocks.map((length) => {
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      return { data: block, ec: rsRemainder(block, divisor) };
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i += 1) {
+      for (const block of split) {
+        if (i < block.data.length) {
+          result.push(block.data[i]);
+        }
+      }
+    }
+    for (let i = 0; i < ecPerBlock; i += 1) {
+      for (const block of split) {
+        result.push(block.ec[i]);
+      }
+    }
+    return result;
+  }
+
+  function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    return { version, size, modules, reserved, set };
+  }
+
+  function drawFunctionPatterns(grid) {
+    const { size, set, version } = grid;
+    for (let i = 0; i < size; i += 1) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    for (const [cx, cy] of [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4]
+    ]) {
+      for (let dy = -4; dy <= 4; dy += 1) {
+        for (let dx = -4; dx <= 4; dx += 1) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const distance = Math.max(Math.abs(dx), Math.abs(dy));
+            set(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    }
+
+    const positions = ALIGNMENT_POSITIONS[version - 1];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy += 1) {
+          for (let dx = -2; dx <= 2; dx += 1) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    drawFormatBits(grid, 0);
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i += 1) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      }
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i += 1) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, bitAt(bits, i));
+        set(b, a, bitAt(bits, i));
+      }
+    }
+  }
+
+  function drawFormatBits(grid, mask) {
+    const { size, set } = grid;
+    const data = (LEVEL_M_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i += 1) {
+      set(8, i, bitAt(bits, i));
+    }
+    set(8, 7, bitAt(bits, 6));
+    set(8, 8, bitAt(bits, 7));
+    set(7, 8, bitAt(bits, 8));
+    for (let i = 9; i < 15; i += 1) {
+      set(14 - i, 8, bitAt(bits, i));
+    }
+    for (let i = 0; i < 8; i += 1) {
+      set(size - 1 - i, 8, bitAt(bits, i));
+    }
+    for (let i = 8; i < 15; i += 1) {
+      set(8, size - 15 + i, bitAt(bits, i));
+    }
+    set(8, size - 8, true);
+  }
+
+  // Fills the free modules two columns at a time, zig-zagging up and down
+  // from the bottom-right corner and skipping the vertical timing column.
+  function drawCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+      const upward = ((right + 1) & 2) === 0;
+      for (let step = 0; step < size; step += 1) {
+        const y = upward ? size - 1 - step : step;
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          if (!reserved[y][x] && bit < codewords.length * 8) {
+            modules[y][x] = bitAt(codewords[bit >>> 3], 7 - (bit & 7));
+            bit += 1;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(grid, mask) {
+    const { size, modules, reserved } = grid;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  }
+
+  // The spec's four penalty rules; the mask with the lowest score is used.
+  function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && line[i] === line[i - 1]) {
+          run += 1;
+          continue;
+        }
+        if (run >= 5) {
+          score += run - 2;
+        }
+        run = 1;
+      }
+      for (let i = 0; i + 11 <= size; i += 1) {
+        if (finderLike.some((pattern) => pattern.every((dark, k) => line[i + k] === dark))) {
+          score += 40;
+        }
+      }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (modules[y][x]) {
+          dark += 1;
+        }
+        if (
+          x + 1 < size &&
+          y + 1 < size &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  /**
+   * Encodes `text` as UTF-8 and returns `{ size, modules }`, where
+   * `modules[y][x]` is true for a dark module. Throws if the text does not fit.
+   */
+  function encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    const version = VERSIONS.findIndex((entry, index) => {
+      const headerBits = 4 + (index + 1 < 10 ? 8 : 16);
+      return headerBits + bytes.length * 8 <= dataCapacity(index + 1) * 8;
+    });
+    if (version === -1) {
+      throw new Error("Text is too long for a QR code.");
+    }
+
+    const codewords = allCodewords(dataCodewords(bytes, version + 1), version + 1);
+    let best = null;
+    MASKS.forEach((_, mask) => {
+      const grid = createGrid(version + 1);
+      drawFunctionPatterns(grid);
+      drawCodewords(grid, codewords);
+      applyMask(grid, mask);
+      drawFormatBits(grid, mask);
+      const score = penalty(grid);
+      if (!best || score < best.score) {
+        best = { score, grid };
+      }
+    });
+    return { size: best.grid.size, modules: best.grid.modules };
+  }
+
+  return { encode };
+})();
+
+/** Draws `text` as a QR code on `canvas`, with the usual 4-module quiet zone. */
+function drawQrCode(canvas, text, pixelsPerModule = 4) {
+  const { size, modules } = QrCode.encode(text);
+  const quietZone = 4;
+  const side = (size + quietZone * 2) * pixelsPerModule;
+  canvas.width = side;
+  canvas.height = side;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, side, side);
+  context.fillStyle = "#000";
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        context.fillRect(
+          (x + quietZone) * pixelsPerModule,
+          (y + quietZone) * pixelsPerModule,
+          pixelsPerModule,
+          pixelsPerModule
+        );
+      }
+    });
+  });
+}
@@ -0,0 +1,412 @@
+const STORAGE_BACKEND_KEY = "texting_mafia_backend";
+const PLAY_STEP_MS = 700;
+const NO_LYNCH = "no_lynch";
+
+let replay = null;
+let position = 0;
+let playTimer = null;
+
+const els = {
+  fileInput: document.getElementById("replay-file-input"),
+  error: document.getElementById("replay-error"),
+  screen: document.getElementById("replay-screen"),
+
+  lobby: document.getElementById("replay-lobby"),
+  winner: document.getElementById("replay-winner"),
+  round: document.getElementById("replay-round"),
+  clock: document.getElementById("replay-clock"),
+  position: document.getElementById("replay-position"),
+
+  prevBtn: document.getElementById("replay-prev-btn"),
+  playBtn: document.getElementById("replay-play-btn"),
+  nextBtn: document.getElementById("replay-next-btn"),
+  scrubber: document.getElementById("replay-scrubber"),
+  hideSystem: document.getElementById("replay-hide-system"),
+
+  players: document.getElementById("replay-players"),
+  timeline: document.getElementById("replay-timeline"),
+  rounds: document.getElementById("replay-rounds")
+};
+
+// Same lookup as app.js: a saved backend, then the page's configured default.
+function normalizeBackendUrl(rawUrl) {
+  let value = String(rawUrl || "").trim();
+  if (!value) {
+    return "";
+  }
+  if (!/^https?:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+  try {
+    const parsed = new URL(value);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return "";
+    }
+    return parsed.origin;
+  } catch {
+    return "";
+  }
+}
+
+function backendUrl(params) {
+  return (
+    normalizeBackendUrl(params.get("backend")) ||
+    normalizeBackendUrl(localStorage.getItem(STORAGE_BACKEND_KEY)) ||
+    normalizeBackendUrl(window.TEXTING_MAFIA_BACKEND) ||
+    (location.hostname === "localhost" || location.hostname === "127.0.0.1"
+      ? "http://127.0.0.1:8787"
+      : "")
+  );
+}
+
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const min = Math.floor(totalSeconds / 60);
+  const sec = totalSeconds % 60;
+  return `${String(min).padStart(2, "0")}:${String(sec).padStart(2, "0")}`;
+}
+
+function setError(text) {
+  els.error.textContent = text || "";
+}
+
+function playerName(playerId) {
+  if (playerId === NO_LYNCH) {
+    return "No Lynch";
+  }
+  return replay.players.find((player) => player.id === playerId)?.name || "Unknown";
+}
+
+function namesOf(ids) {
+  return (ids || []).map(playerName).join(", ") || "No one";
+}
+
+function roleOf(roleId) {
+  return replay.roleCatalog.find((role) => role.id === roleId) || null;
+}
+
+function channelLabel(channel, message) {
+  if (channel === "main") return "Main";
+  if (channel === "graveyard") return "Graveyard";
+  if (channel === "spectators") return "Spectators";
+  if (channel.startsWith("team:")) {
+    const team = channel.slice("team:".length);
+    const role = replay.roleCatalog.find((entry) => entry.team === team);
+    return `${role ? role.teamLabel : team} team`;
+  }
+  if (channel.startsWith("dm:")) {
+    return `DM ${message.fromName} → ${playerName(message.toId)}`;
+  }
+  return channel;
+}
+
+// One line of the timeline: where it happened and what was said or done.
+function describeEvent(event) {
+  if (event.type === "message") {
+    // Anonymous games logged the alias; the replay shows who was behind it.
+    const alias = event.message.anonymous
+      ? replay.players.find((player) => player.alias === event.message.fromName)
+      : null;
+    return {
+      label: channelLabel(event.channel, event.message),
+      from: alias
+        ? `${event.message.fromName} (${alias.name})`
+        : event.message.fromName || "System",
+      text: event.message.text,
+      system: event.message.type === "system",
+      channel: event.channel
+    };
+  }
+  if (event.type === "game_started") {
+    const roles = event.players.map(
+      (player) => `${player.name}: ${roleOf(player.role)?.label || player.role}`
+    );
+    return { label: "Game", text: `Game started. ${roles.join(" | ")}`, system: true };
+  }
+  if (event.type === "night_action") {
+    const action = replay.nightActions.find((entry) => entry.action === event.action);
+    const actor = playerName(event.actorId);
+    const target = playerName(event.targetId);
+    return {
+      label: action ? `${action.icon} ${action.roleLabel}` : "Night action",
+      text: `${actor} picked ${target} (${action ? action.kind : event.action})`
+    };
+  }
+  if (event.type === "vote") {
+    return {
+      label: "Vote",
+      text: `${playerName(event.voterId)} voted for ${playerName(event.targetId)}`
+    };
+  }
+  if (event.type === "round_ended") {
+    return { label: "Round", text: describeRound(event), system: true };
+  }
+  if (event.type === "player_left") {
+    return {
+      label: "Departure",
+      text: `${playerName(event.playerId)} ${event.reason}`,
+      system: true
+    };
+  }
+  if (event.type === "spectator_joined") {
+    return { label: "Spectators", text: `${event.name} started watching`, system: true };
+  }
+  if (event.type === "spectator_left") {
+    return { label: "Spectators", text: `${event.name} stopped watching`, system: true };
+  }
+  if (event.type === "game_ended") {
+    return { label: "Game", text: `Game over: ${event.winner} won.`, system: true };
+  }
+  return { label: event.type, text: "", system: true };
+}
+
+function describeRound(event) {
+  if (event.stage === "night") {
+    const parts = [
+      `Night ${event.round} ended`,
+      `Killed: ${namesOf(event.killedIds)}`,
+      `Saved: ${namesOf(event.savedIds)}`
+    ];
+    if (event.eliminatedIds.length) {
+      parts.push(`Eliminated: ${namesOf(event.eliminatedIds)}`);
+    }
+    return parts.join(" | ");
+  }
+  if (event.voteOutcome === "lynched") {
+    return `Day ${event.round} ended | ${playerName(event.lynchedId)} was voted out`;
+  }
+  if (event.voteOutcome === "tie") {
+    return `Day ${event.round} ended | Tie, no one eliminated`;
+  }
+  return `Day ${event.round} ended | No elimination`;
+}
+
+// Replays the first `count` events to find out who is still alive, which
+// round it is and how much game time has passed.
+function snapshotAt(count) {
+  const status = new Map(replay.players.map((player) => [player.id, "alive"]));
+  let round = 0;
+  let stage = null;
+  let ended = false;
+  for (const event of replay.events.slice(0, count)) {
+    if (event.type === "game_started") {
+      round = 1;
+      stage = "night";
+    } else if (event.type === "round_ended" && event.stage === "night") {
+      for (const id of event.eliminatedIds) {
+        status.set(id, "dead");
+      }
+      stage = "day";
+    } else if (event.type === "round_ended") {
+      if (event.lynchedId) {
+        status.set(event.lynchedId, "dead");
+      }
+      round = event.round + 1;
+      stage = "night";
+    } else if (event.type === "player_left") {
+      status.set(event.playerId, "left");
+    } else if (event.type === "game_ended") {
+      ended = true;
+    }
+  }
+  const last = replay.events[count - 1];
+  return {
+    status,
+    round,
+    stage,
+    ended,
+    elapsedMs: last && replay.startedAt ? last.at - replay.startedAt : 0
+  };
+}
+
+function renderPlayers(snapshot) {
+  els.players.innerHTML = "";
+  for (const player of replay.players) {
+    const li = document.createElement("li");
+    const name = document.createElement("strong");
+    name.textContent = player.name;
+    const meta = document.createElement("span");
+    meta.className = "player-meta";
+    const role = roleOf(player.role);
+    const state = snapshot.status.get(player.id);
+    const parts = [`${role?.label || player.role} (${role?.teamLabel || "?"})`, state];
+    if (player.alias) parts.push(`as ${player.alias}`);
+    if (player.isBot) parts.push("bot");
+    meta.textContent = parts.join(" · ");
+    li.appendChild(name);
+    li.appendChild(meta);
+    els.players.appendChild(li);
+  }
+}
+
+function renderTimeline() {
+  els.timeline.innerHTML = "";
+  const hideSystem = els.hideSystem.checked;
+  replay.events.slice(0, position).forEach((event, index) => {
+    const line = describeEvent(event);
+    if (hideSystem && line.system && event.type === "message") {
+      return;
+    }
+    const card = document.createElement("div");
+    card.className = "message";
+    if (line.system) {
+      card.classList.add("system");
+    }
+    if (line.channel && line.channel !== "main") {
+      card.classList.add("private");
+    }
+    if (index === position - 1) {
+      card.classList.add("current");
+    }
+
+    const head = document.createElement("div");
+    head.className = "message-head";
+    const from = document.createElement("strong");
+    from.textContent = line.from ? `${line.label} · ${line.from}` : line.label;
+    const time = document.createElement("span");
+    time.textContent = formatClock(event.at - replay.startedAt);
+    head.appendChild(from);
+    head.appendChild(time);
+
+    const body = document.createElement("div");
+    body.textContent = line.text;
+
+    card.appendChild(head);
+    card.appendChild(body);
+    els.timeline.appendChild(card);
+  });
+  els.timeline.scrollTop = els.timeline.scrollHeight;
+}
+
+function renderRounds() {
+  els.rounds.innerHTML = "";
+  const rounds = replay.events
+    .slice(0, position)
+    .filter((event) => event.type === "round_ended")
+    .reverse();
+  if (!rounds.length) {
+    const li = document.createElement("li");
+    li.textContent = "No rounds ended yet.";
+    els.rounds.appendChild(li);
+    return;
+  }
+  for (const event of rounds) {
+    const li = document.createElement("li");
+    li.textContent = describeRound(event);
+    els.rounds.appendChild(li);
+  }
+}
+
+function render() {
+  const snapshot = snapshotAt(position);
+  els.lobby.textContent = replay.lobbyCode || "-";
+  els.winner.textContent = snapshot.ended ? replay.winner || "-" : "Not yet";
+  if (snapshot.ended) {
+    els.round.textContent = "Over";
+  } else {
+    els.round.textContent = snapshot.round ? `${snapshot.round} ${snapshot.stage}` : "-";
+  }
+  els.clock.textContent = formatClock(snapshot.elapsedMs);
+  els.position.textContent = `${position} / ${replay.events.length}`;
+  els.scrubber.max = String(replay.events.length);
+  els.scrubber.value = String(position);
+  els.prevBtn.disabled = position === 0;
+  els.nextBtn.disabled = position === replay.events.length;
+
+  renderPlayers(snapshot);
+  renderTimeline();
+  renderRounds();
+}
+
+function seek(nextPosition) {
+  position = Math.min(Math.max(0, nextPosition), replay.events.length);
+  if (position === replay.events.length) {
+    stopPlaying();
+  }
+  render();
+}
+
+function stopPlaying() {
+  clearInterval(playTimer);
+  playTimer = null;
+  els.playBtn.textContent = "Play";
+}
+
+function togglePlaying() {
+  if (playTimer) {
+    stopPlaying();
+    return;
+  }
+  if (position === replay.events.length) {
+    position = 0;
+  }
+  els.playBtn.textContent = "Pause";
+  playTimer = setInterval(() => seek(position + 1), PLAY_STEP_MS);
+}
+
+function showReplay(data) {
+  if (!data || !Array.isArray(data.events) || !Array.isArray(data.players)) {
+    setError("That is not a Texting Mafia replay.");
+    return;
+  }
+  stopPlaying();
+  replay = data;
+  position = replay.events.length;
+  setError("");
+  els.screen.classList.remove("hidden");
+  render();
+}
+
+async function loadFromBackend(gameId, params) {
+  const backend = backendUrl(params);
+  if (!backend) {
+    setError("No backend configured. Open this page from the game, or load a replay file.");
+    return;
+  }
+  setError("Loading replay...");
+  try {
+    const response = await fetch(`${backend}/api/replay/${encodeURIComponent(gameId)}`);
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      setError(body?.error || `Request failed (${response.status})`);
+      return;
+    }
+    showReplay(body);
+  } catch (error) {
+    setError(error.message);
+  }
+}
+
+els.fileInput.addEventListener("change", async () => {
+  const file = els.fileInput.files[0];
+  if (!file) return;
+  try {
+    showReplay(JSON.parse(await file.text()));
+  } catch {
+    setError("Could not read that file.");
+  }
+});
+
+els.prevBtn.addEventListener("click", () => {
+  stopPlaying();
+  seek(position - 1);
+});
+
+els.nextBtn.addEventListener("click", () => {
+  stopPlaying();
+  seek(position + 1);
+});
+
+els.playBtn.addEventListener("click", togglePlaying);
+
+els.scrubber.addEventListener("input", () => {
+  stopPlaying();
+  seek(Number(els.scrubber.value));
+});
+
+els.hideSystem.addEventListener("change", renderTimeline);
+
+const params = new URLSearchParams(location.search);
+if (params.get("game")) {
+  loadFromBackend(params.get("game"), params);
+}
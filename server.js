@@ -1,757 +1,642 @@
-const path = require("path");
-const http = require("http");
-const express = require("express");
-const { Server } = require("socket.io");
+import path from "node:path";
+import http from "node:http";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import express from "express";
+import { WebSocketServer } from "ws";
+import {
+  applyAction,
+  buildReplay,
+  connectMember,
+  createLobby,
+  disconnectMember,
+  hasMember,
+  historyQueryFor,
+  isSpectator,
+  joinLobby,
+  lobbyListing,
+  memberForSession,
+  nextWakeAt,
+  openLobbies,
+  passwordHashFor,
+  randomCode,
+  roundResultFor,
+  sanitizeCode,
+  sanitizeGameId,
+  sanitizeName,
+  setPasswordHash,
+  spectateLobby,
+  takeNewEvents,
+  takeNewMessages,
+  tick,
+  viewerIds,
+  viewFor
+} from "./shared/engine.js";
+import { ViewStreams } from "./shared/view-sync.js";
+import {
+  RateLimiter,
+  rateLimitedAck,
+  rateLimitedBody,
+  rateLimitsFromEnv
+} from "./shared/rate-limit.js";
 
 const PORT = process.env.PORT || 3000;
-const MIN_PLAYERS = 4;
-const ROUND_DURATION_MS = 2 * 60 * 1000;
-const MAFIA_COOLDOWN_MS = 60 * 1000;
-const MAX_NAME_LEN = 24;
-const MAX_CHAT_LEN = 280;
-const MAX_MAIN_MESSAGES = 200;
-const MAX_DM_MESSAGES = 120;
-
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server);
-
-app.use(express.static(path.join(__dirname, "public")));
-
-const lobbies = new Map();
-const socketLobby = new Map();
-
-function makeId() {
-  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
-}
-
-function sanitizeName(rawName) {
-  const name = String(rawName || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, MAX_NAME_LEN);
-  return name || "Player";
-}
-
-function sanitizeCode(rawCode) {
-  return String(rawCode || "")
-    .toUpperCase()
-    .replace(/[^A-Z0-9]/g, "")
-    .slice(0, 5);
-}
-
-function sanitizeMessage(rawMessage) {
-  const text = String(rawMessage || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, MAX_CHAT_LEN);
-  return text;
-}
-
-function randomInt(max) {
-  return Math.floor(Math.random() * max);
-}
-
-function shuffle(items) {
-  const copy = [...items];
-  for (let i = copy.length - 1; i > 0; i -= 1) {
-    const j = randomInt(i + 1);
-    [copy[i], copy[j]] = [copy[j], copy[i]];
-  }
-  return copy;
-}
-
-function makeLobbyCode() {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
-  for (let attempt = 0; attempt < 200; attempt += 1) {
-    let code = "";
-    for (let i = 0; i < 5; i += 1) {
-      code += chars[randomInt(chars.length)];
-    }
-    if (!lobbies.has(code)) {
-      return code;
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "public");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Expose-Headers": "Retry-After",
+  "Access-Control-Max-Age": "86400"
+};
+
+const OPEN = 1;
+
+/**
+ * Builds the local Node backend without listening. It speaks the same REST
+ * routes and `/ws/:code` protocol as the Worker, so the shipped frontend works
+ * against either. Each lobby lives in memory with a single timer that plays
+ * the part of the Durable Object alarm. `rateLimits` defaults to the same env
+ * vars the Worker reads.
+ */
+export function createMafiaServer({
+  reconnectGraceMs = process.env.RECONNECT_GRACE_MS,
+  rateLimits = rateLimitsFromEnv(process.env)
+} = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ noServer: true });
+  // Socket actions are limited per player, REST requests and upgrades per IP.
+  const actionLimiter = new RateLimiter(rateLimits.action);
+  const apiLimiter = new RateLimiter(rateLimits.api);
+
+  // code -> { state, views: ViewStreams, log: Map<channel, message[]>,
+  //          gameEvents: { gameId, event }[],
+  //          sockets: Map<playerId, Set<WebSocket>>, alarm }
+  const lobbies = new Map();
+  // gameId -> replay of a finished game. Kept for as long as the server runs.
+  const replays = new Map();
+
+  function makeLobbyCode() {
+    for (let attempt = 0; attempt < 200; attempt += 1) {
+      const code = randomCode();
+      if (!lobbies.has(code)) {
+        return code;
+      }
     }
-  }
-  return null;
-}
-
-function sortedPairKey(a, b) {
-  return a < b ? `${a}:${b}` : `${b}:${a}`;
-}
-
-function createPlayer(socket, name) {
-  return {
-    id: socket.id,
-    name,
-    role: "villager",
-    isAlive: true,
-    joinedAt: Date.now(),
-    eliminatedAt: null
-  };
-}
-
-function getLobbyForSocket(socket) {
-  const code = socketLobby.get(socket.id);
-  if (!code) {
     return null;
   }
-  return lobbies.get(code) || null;
-}
-
-function applyRoles(lobby) {
-  for (const player of lobby.players.values()) {
-    player.role = "villager";
-  }
-  if (lobby.mafiaId && lobby.players.has(lobby.mafiaId)) {
-    lobby.players.get(lobby.mafiaId).role = "mafia";
-  }
-  if (lobby.guardianId && lobby.players.has(lobby.guardianId)) {
-    lobby.players.get(lobby.guardianId).role = "guardian";
-  }
-}
 
-function addSystemMessage(lobby, text) {
-  const message = {
-    id: makeId(),
-    type: "system",
-    fromId: null,
-    fromName: "System",
-    text,
-    at: Date.now()
-  };
-  lobby.mainMessages.push(message);
-  if (lobby.mainMessages.length > MAX_MAIN_MESSAGES) {
-    lobby.mainMessages.shift();
+  function socketsForPlayer(lobby, playerId) {
+    return [...(lobby.sockets.get(playerId) || [])];
   }
-}
 
-function addMainMessage(lobby, fromPlayer, text) {
-  const message = {
-    id: makeId(),
-    type: "chat",
-    fromId: fromPlayer.id,
-    fromName: fromPlayer.name,
-    text,
-    at: Date.now()
-  };
-  lobby.mainMessages.push(message);
-  if (lobby.mainMessages.length > MAX_MAIN_MESSAGES) {
-    lobby.mainMessages.shift();
+  function anyOpenSocketForPlayer(lobby, playerId) {
+    return socketsForPlayer(lobby, playerId).some((socket) => socket.readyState === OPEN);
   }
-}
 
-function addDmMessage(lobby, fromPlayer, toPlayer, text) {
-  const key = sortedPairKey(fromPlayer.id, toPlayer.id);
-  const existing = lobby.dmThreads.get(key) || [];
-  existing.push({
-    id: makeId(),
-    fromId: fromPlayer.id,
-    fromName: fromPlayer.name,
-    toId: toPlayer.id,
-    text,
-    at: Date.now()
-  });
-  if (existing.length > MAX_DM_MESSAGES) {
-    existing.shift();
+  function sendToSocket(socket, payload) {
+    if (socket.readyState !== OPEN) {
+      return;
+    }
+    socket.send(JSON.stringify(payload));
   }
-  lobby.dmThreads.set(key, existing);
-}
 
-function winnerForLobby(lobby) {
-  const mafia = lobby.players.get(lobby.mafiaId);
-  if (!mafia || !mafia.isAlive) {
-    return "Villagers";
-  }
-  const aliveNonMafia = [...lobby.players.values()].filter(
-    (player) => player.isAlive && player.id !== lobby.mafiaId
-  ).length;
-  if (aliveNonMafia <= 1) {
-    return "Mafia";
+  function sendToPlayer(lobby, playerId, payload) {
+    for (const socket of socketsForPlayer(lobby, playerId)) {
+      sendToSocket(socket, payload);
+    }
   }
-  return null;
-}
 
-function mapHistoryEntry(lobby, entry) {
-  return {
-    id: entry.id,
-    round: entry.round,
-    killedName: entry.killedId ? lobby.players.get(entry.killedId)?.name || "Unknown" : null,
-    savedName: entry.savedId ? lobby.players.get(entry.savedId)?.name || "Unknown" : null,
-    eliminatedName: entry.eliminatedId
-      ? lobby.players.get(entry.eliminatedId)?.name || "Unknown"
-      : null,
-    survivedBySaveName: entry.survivedBySaveId
-      ? lobby.players.get(entry.survivedBySaveId)?.name || "Unknown"
-      : null,
-    at: entry.at
-  };
-}
-
-function shouldRevealRoles(lobby, viewerId) {
-  const viewer = lobby.players.get(viewerId);
-  if (!viewer) {
-    return false;
+  function closeSocket(socket, code, reason) {
+    try {
+      socket.close(code, reason);
+    } catch {
+      // Ignore close errors.
+    }
   }
-  return !viewer.isAlive || lobby.phase === "ended";
-}
 
-function dmThreadsForViewer(lobby, viewerId) {
-  const threads = [];
-  for (const [key, messages] of lobby.dmThreads.entries()) {
-    const [a, b] = key.split(":");
-    if (a !== viewerId && b !== viewerId) {
-      continue;
-    }
-    const peerId = a === viewerId ? b : a;
-    const peer = lobby.players.get(peerId);
-    if (!peer) {
-      continue;
-    }
-    threads.push({
-      peerId,
-      peerName: peer.name,
-      messages
-    });
+  // Sends each viewer only what changed for them since their last update.
+  function broadcastState(lobby) {
+    const now = Date.now();
+    const ids = viewerIds(lobby.state);
+    lobby.views.advance();
+    for (const playerId of ids) {
+      const message = lobby.views.update(playerId, viewFor(lobby.state, playerId, now));
+      if (message) {
+        sendToPlayer(lobby, playerId, message);
+      }
+    }
+    lobby.views.retain(ids);
   }
-  threads.sort((x, y) => {
-    const xLast = x.messages.length ? x.messages[x.messages.length - 1].at : 0;
-    const yLast = y.messages.length ? y.messages[y.messages.length - 1].at : 0;
-    return yLast - xLast;
-  });
-  return threads;
-}
 
-function buildStateForViewer(lobby, viewerId) {
-  const viewer = lobby.players.get(viewerId);
-  if (!viewer) {
-    return null;
+  function sendSnapshot(lobby, socket, playerId) {
+    const view = viewFor(lobby.state, playerId, Date.now());
+    sendToSocket(socket, lobby.views.snapshot(playerId, view));
   }
 
-  const now = Date.now();
-  const revealRoles = shouldRevealRoles(lobby, viewerId);
-  const mafiaCooldownMs =
-    viewerId === lobby.mafiaId && lobby.phase === "in_round"
-      ? Math.max(0, MAFIA_COOLDOWN_MS - (now - lobby.lastMafiaActionAt))
-      : 0;
-  const mafiaKillUsedThisRound =
-    viewerId === lobby.mafiaId &&
-    lobby.phase === "in_round" &&
-    lobby.mafiaKillRound === lobby.roundNumber;
-
-  const players = [...lobby.players.values()]
-    .map((player) => {
-      let roleVisible = null;
-      if (lobby.phase !== "lobby") {
-        if (player.id === viewerId) {
-          roleVisible = player.role;
-        } else if (revealRoles && player.id === lobby.mafiaId) {
-          roleVisible = "mafia";
-        } else if (revealRoles && player.id === lobby.guardianId) {
-          roleVisible = "guardian";
-        }
+  // The in-memory counterpart of the Worker's SQLite message log.
+  function logMessages(lobby, entries) {
+    for (const { channel, message } of entries) {
+      if (!lobby.log.has(channel)) {
+        lobby.log.set(channel, []);
       }
-      return {
-        id: player.id,
-        name: player.name,
-        isSelf: player.id === viewerId,
-        isHost: player.id === lobby.hostId,
-        isAlive: player.isAlive,
-        roleVisible
-      };
-    })
-    .sort((a, b) => a.name.localeCompare(b.name));
-
-  const revealPanel =
-    revealRoles && lobby.phase !== "lobby"
-      ? {
-          mafiaName: lobby.mafiaId ? lobby.players.get(lobby.mafiaId)?.name || null : null,
-          guardianName: lobby.guardianId ? lobby.players.get(lobby.guardianId)?.name || null : null
-        }
-      : null;
-
-  return {
-    lobbyCode: lobby.code,
-    phase: lobby.phase,
-    started: lobby.phase !== "lobby",
-    minPlayers: MIN_PLAYERS,
-    hostId: lobby.hostId,
-    winner: lobby.winner,
-    youId: viewer.id,
-    youName: viewer.name,
-    youRole: lobby.phase === "lobby" ? null : viewer.role,
-    youAreAlive: viewer.isAlive,
-    canChat: lobby.phase === "lobby" || viewer.isAlive,
-    roundNumber: lobby.roundNumber,
-    roundDurationMs: ROUND_DURATION_MS,
-    roundEndsAt: lobby.roundEndsAt,
-    timeLeftMs:
-      lobby.phase === "in_round" && lobby.roundEndsAt ? Math.max(0, lobby.roundEndsAt - now) : 0,
-    mafiaCooldownMs,
-    mafiaKillUsedThisRound,
-    pendingKillId: viewer.id === lobby.mafiaId ? lobby.pendingKillId : null,
-    pendingSaveId: viewer.id === lobby.guardianId ? lobby.pendingSaveId : null,
-    players,
-    mainMessages: lobby.mainMessages,
-    dmThreads: dmThreadsForViewer(lobby, viewerId),
-    history: lobby.history.map((entry) => mapHistoryEntry(lobby, entry)),
-    revealRoles: revealPanel
-  };
-}
-
-function emitLobbyState(lobby) {
-  for (const playerId of lobby.players.keys()) {
-    const state = buildStateForViewer(lobby, playerId);
-    if (state) {
-      io.to(playerId).emit("state", state);
+      lobby.log.get(channel).push(message);
     }
   }
-}
-
-function buildRoundResultForViewer(lobby, viewerId, summary) {
-  const viewer = lobby.players.get(viewerId);
-  const revealRoles = viewer && !viewer.isAlive;
-  return {
-    round: summary.round,
-    killedName: summary.killedId ? lobby.players.get(summary.killedId)?.name || null : null,
-    savedName: summary.savedId ? lobby.players.get(summary.savedId)?.name || null : null,
-    eliminatedName: summary.eliminatedId
-      ? lobby.players.get(summary.eliminatedId)?.name || null
-      : null,
-    survivedBySaveName: summary.survivedBySaveId
-      ? lobby.players.get(summary.survivedBySaveId)?.name || null
-      : null,
-    youWereEliminated: summary.eliminatedId === viewerId,
-    revealRoles:
-      revealRoles && lobby.phase !== "lobby"
-        ? {
-            mafiaName: lobby.mafiaId ? lobby.players.get(lobby.mafiaId)?.name || null : null,
-            guardianName: lobby.guardianId
-              ? lobby.players.get(lobby.guardianId)?.name || null
-              : null
-          }
-        : null
-  };
-}
 
-function alivePlayerIds(lobby) {
-  return [...lobby.players.values()].filter((player) => player.isAlive).map((player) => player.id);
-}
-
-function ensureRolesAfterDeparture(lobby) {
-  if (lobby.phase === "lobby") {
-    return;
+  // Collects replay events and files each game's replay once it ends, so it
+  // outlives the lobby like the Worker's GameReplay objects.
+  function logGameEvents(lobby, entries) {
+    lobby.gameEvents.push(...entries);
+    for (const { gameId, event } of entries) {
+      if (event.type !== "game_ended") {
+        continue;
+      }
+      const events = lobby.gameEvents
+        .filter((entry) => entry.gameId === gameId)
+        .map((entry) => entry.event);
+      replays.set(gameId, buildReplay(gameId, events));
+      lobby.gameEvents = lobby.gameEvents.filter((entry) => entry.gameId !== gameId);
+    }
   }
 
-  if (lobby.mafiaId && !lobby.players.has(lobby.mafiaId)) {
-    lobby.mafiaId = null;
-  }
-  if (lobby.guardianId && !lobby.players.has(lobby.guardianId)) {
-    lobby.guardianId = null;
+  function readMessages(lobby, { channel, before, limit }) {
+    const messages = lobby.log.get(channel) || [];
+    let end = messages.length;
+    if (before) {
+      end = messages.findIndex((message) => message.id === before);
+      if (end === -1) {
+        return { messages: [], hasMore: false };
+      }
+    }
+    const start = Math.max(0, end - limit);
+    return { messages: messages.slice(start, end), hasMore: start > 0 };
   }
 
-  const aliveIds = alivePlayerIds(lobby);
-  if (!lobby.mafiaId) {
-    const mafiaCandidates = aliveIds.filter((id) => id !== lobby.guardianId);
-    lobby.mafiaId = mafiaCandidates.length ? mafiaCandidates[randomInt(mafiaCandidates.length)] : null;
-  }
-  if (!lobby.guardianId) {
-    const guardianCandidates = aliveIds.filter((id) => id !== lobby.mafiaId);
-    lobby.guardianId = guardianCandidates.length
-      ? guardianCandidates[randomInt(guardianCandidates.length)]
-      : null;
+  // Tells a kicked or banned member why, then closes their sockets.
+  function closeRemovedMember(lobby, { memberId, error }) {
+    for (const socket of socketsForPlayer(lobby, memberId)) {
+      sendToSocket(socket, { type: "session_invalid", error });
+      socket.membership.ignoreClose = true;
+      closeSocket(socket, 1008, "Removed by host");
+    }
   }
-  applyRoles(lobby);
-}
 
-function removeSocketFromLobby(socket) {
-  const code = socketLobby.get(socket.id);
-  if (!code) {
-    return;
+  function sendRoundResult(lobby, roundResult) {
+    for (const playerId of viewerIds(lobby.state)) {
+      sendToPlayer(lobby, playerId, {
+        type: "round_result",
+        result: roundResultFor(lobby.state, playerId, roundResult)
+      });
+    }
   }
 
-  socketLobby.delete(socket.id);
-  socket.leave(code);
-
-  const lobby = lobbies.get(code);
-  if (!lobby) {
-    return;
+  // Like the Worker, a lobby has one alarm, set to the earliest time the
+  // engine has work to do (round deadline or a held seat expiring).
+  function scheduleAlarm(code) {
+    const lobby = lobbies.get(code);
+    if (!lobby) {
+      return;
+    }
+    clearTimeout(lobby.alarm);
+    lobby.alarm = null;
+    const at = nextWakeAt(lobby.state);
+    if (at) {
+      lobby.alarm = setTimeout(() => runAlarm(code), Math.max(0, at - Date.now()));
+    }
   }
 
-  const leavingPlayer = lobby.players.get(socket.id);
-  if (!leavingPlayer) {
-    return;
+  function runAlarm(code) {
+    const lobby = lobbies.get(code);
+    if (!lobby) {
+      return;
+    }
+    commit(code, tick(lobby.state, Date.now()));
+    scheduleAlarm(code);
   }
 
-  const leavingName = leavingPlayer.name;
-  const wasHost = lobby.hostId === socket.id;
-  const wasMafia = lobby.mafiaId === socket.id;
-  const wasGuardian = lobby.guardianId === socket.id;
-
-  lobby.players.delete(socket.id);
-  if (lobby.players.size === 0) {
+  function closeLobby(code) {
+    clearTimeout(lobbies.get(code)?.alarm);
     lobbies.delete(code);
-    return;
-  }
-
-  if (wasHost) {
-    lobby.hostId = [...lobby.players.keys()][0];
-  }
-  if (wasMafia) {
-    lobby.mafiaId = null;
-  }
-  if (wasGuardian) {
-    lobby.guardianId = null;
   }
 
-  ensureRolesAfterDeparture(lobby);
-  if (lobby.phase !== "lobby") {
-    const winner = winnerForLobby(lobby);
-    if (winner) {
-      lobby.phase = "ended";
-      lobby.winner = winner;
-      lobby.roundEndsAt = null;
+  // Applies the outcome of an engine call: drops closed lobbies and pushes the
+  // new state and any round results to everyone still in the lobby.
+  function commit(code, result) {
+    if (result.closed) {
+      closeLobby(code);
+      return;
+    }
+    const lobby = lobbies.get(code);
+    if (!lobby || !result.changed) {
+      return;
+    }
+    logMessages(lobby, takeNewMessages(lobby.state));
+    logGameEvents(lobby, takeNewEvents(lobby.state));
+    scheduleAlarm(code);
+    broadcastState(lobby);
+    for (const roundResult of result.roundResults) {
+      sendRoundResult(lobby, roundResult);
+    }
+    for (const removed of result.removed) {
+      closeRemovedMember(lobby, removed);
     }
   }
 
-  addSystemMessage(lobby, `${leavingName} left the lobby.`);
-  emitLobbyState(lobby);
-}
-
-function startGame(lobby) {
-  const playerIds = shuffle([...lobby.players.keys()]);
-  lobby.mafiaId = playerIds[0] || null;
-  lobby.guardianId = playerIds[1] || null;
-  for (const player of lobby.players.values()) {
-    player.isAlive = true;
-    player.eliminatedAt = null;
-  }
-  applyRoles(lobby);
-
-  lobby.phase = "in_round";
-  lobby.winner = null;
-  lobby.roundNumber = 1;
-  lobby.roundEndsAt = Date.now() + ROUND_DURATION_MS;
-  lobby.lastMafiaActionAt = 0;
-  lobby.mafiaKillRound = 0;
-  lobby.pendingKillId = null;
-  lobby.pendingSaveId = null;
-  lobby.history = [];
-  lobby.dmThreads = new Map();
-  lobby.mainMessages = [];
-
-  addSystemMessage(
-    lobby,
-    "Game started. You can chat in public and private. Rounds are 2 minutes."
-  );
-}
-
-function finishRound(lobby) {
-  if (lobby.phase !== "in_round") {
-    return;
+  function ack(socket, reqId, payload) {
+    if (!reqId) {
+      return;
+    }
+    sendToSocket(socket, { type: "ack", reqId, ...payload });
   }
 
-  const now = Date.now();
-  let killedId = lobby.pendingKillId;
-  let savedId = lobby.pendingSaveId;
-
-  if (!killedId || !lobby.players.get(killedId)?.isAlive) {
-    killedId = null;
-  }
-  if (!savedId || !lobby.players.get(savedId)?.isAlive) {
-    savedId = null;
-  }
+  async function handleAction(socket, message) {
+    const { code, playerId } = socket.membership;
+    const lobby = lobbies.get(code);
+    const reqId = typeof message.reqId === "string" ? message.reqId : null;
+    if (!lobby || !hasMember(lobby.state, playerId)) {
+      sendToSocket(socket, { type: "session_invalid", error: "Session no longer exists." });
+      closeSocket(socket, 1008, "Invalid session");
+      return;
+    }
+    const retryAfterMs = actionLimiter.take(`${code}:${playerId}`, Date.now());
+    if (retryAfterMs) {
+      ack(socket, reqId, rateLimitedAck(retryAfterMs));
+      return;
+    }
+    if (message.type === "resync") {
+      sendSnapshot(lobby, socket, playerId);
+      ack(socket, reqId, { ok: true });
+      return;
+    }
+    if (message.type === "fetch_messages") {
+      const query = historyQueryFor(lobby.state, playerId, message);
+      if (!query.ok) {
+        ack(socket, reqId, { ok: false, error: query.error });
+        return;
+      }
+      ack(socket, reqId, { ok: true, ...readMessages(lobby, query) });
+      return;
+    }
 
-  let eliminatedId = null;
-  let survivedBySaveId = null;
-  if (killedId && killedId === savedId) {
-    survivedBySaveId = killedId;
-  } else if (killedId) {
-    const target = lobby.players.get(killedId);
-    if (target && target.isAlive) {
-      target.isAlive = false;
-      target.eliminatedAt = now;
-      eliminatedId = target.id;
+    // The engine only ever sees the hash of a new password.
+    if (message.type === "set_password") {
+      const passwordHash = await passwordHashFor(lobby.state, message.password);
+      message = { type: message.type, passwordHash };
     }
-  }
 
-  const summary = {
-    id: makeId(),
-    round: lobby.roundNumber,
-    killedId,
-    savedId,
-    eliminatedId,
-    survivedBySaveId,
-    at: now
-  };
-  lobby.history.push(summary);
-  lobby.pendingKillId = null;
-  lobby.pendingSaveId = null;
-
-  const killedName = killedId ? lobby.players.get(killedId)?.name || "Unknown" : "No one";
-  const savedName = savedId ? lobby.players.get(savedId)?.name || "No one" : "No one";
-  addSystemMessage(lobby, `Round ${summary.round} ended. Killed: ${killedName}. Saved: ${savedName}.`);
-
-  const winner = winnerForLobby(lobby);
-  if (winner) {
-    lobby.phase = "ended";
-    lobby.winner = winner;
-    lobby.roundEndsAt = null;
-    addSystemMessage(lobby, `${winner} win.`);
-  } else {
-    lobby.roundNumber += 1;
-    lobby.roundEndsAt = now + ROUND_DURATION_MS;
-  }
+    const result = applyAction(lobby.state, playerId, message, Date.now());
+    if (!result.ok) {
+      ack(socket, reqId, { ok: false, error: result.error });
+      return;
+    }
 
-  emitLobbyState(lobby);
-  for (const playerId of lobby.players.keys()) {
-    io.to(playerId).emit("round_result", buildRoundResultForViewer(lobby, playerId, summary));
+    commit(code, result);
+    ack(socket, reqId, { ok: true });
+    if (message.type === "leave_lobby") {
+      socket.membership.ignoreClose = true;
+      closeSocket(socket, 1000, "Left lobby");
+    }
   }
-}
-
-io.on("connection", (socket) => {
-  socket.on("create_lobby", (payload, ack = () => {}) => {
-    removeSocketFromLobby(socket);
 
-    const name = sanitizeName(payload?.name);
-    const code = makeLobbyCode();
-    if (!code) {
-      ack({ ok: false, error: "Failed to create a lobby code. Try again." });
+  function handleSocketMessage(socket, data) {
+    let message = null;
+    try {
+      message = JSON.parse(String(data));
+    } catch {
+      sendToSocket(socket, { type: "error", error: "Invalid JSON payload." });
       return;
     }
+    handleAction(socket, message || {});
+  }
 
-    const player = createPlayer(socket, name);
-    const lobby = {
-      code,
-      hostId: socket.id,
-      players: new Map([[socket.id, player]]),
-      phase: "lobby",
-      winner: null,
-      roundNumber: 0,
-      roundEndsAt: null,
-      lastMafiaActionAt: 0,
-      mafiaKillRound: 0,
-      mafiaId: null,
-      guardianId: null,
-      pendingKillId: null,
-      pendingSaveId: null,
-      mainMessages: [],
-      dmThreads: new Map(),
-      history: []
-    };
-
-    lobbies.set(code, lobby);
-    socketLobby.set(socket.id, code);
-    socket.join(code);
-
-    addSystemMessage(lobby, `${name} created lobby ${code}.`);
-    emitLobbyState(lobby);
-    ack({ ok: true, code });
-  });
-
-  socket.on("join_lobby", (payload, ack = () => {}) => {
-    removeSocketFromLobby(socket);
-
-    const code = sanitizeCode(payload?.code);
-    const name = sanitizeName(payload?.name);
+  function handleSocketClose(socket) {
+    const { code, playerId, ignoreClose } = socket.membership;
     const lobby = lobbies.get(code);
     if (!lobby) {
-      ack({ ok: false, error: "Lobby code not found." });
       return;
     }
-    if (lobby.phase !== "lobby") {
-      ack({ ok: false, error: "Game already started. Join before the host starts." });
-      return;
+    const sockets = lobby.sockets.get(playerId);
+    sockets?.delete(socket);
+    if (sockets && !sockets.size) {
+      lobby.sockets.delete(playerId);
     }
-
-    const player = createPlayer(socket, name);
-    lobby.players.set(socket.id, player);
-    socketLobby.set(socket.id, code);
-    socket.join(code);
-
-    addSystemMessage(lobby, `${name} joined the lobby.`);
-    emitLobbyState(lobby);
-    ack({ ok: true, code });
-  });
-
-  socket.on("leave_lobby", (_payload, ack = () => {}) => {
-    removeSocketFromLobby(socket);
-    ack({ ok: true });
-  });
-
-  socket.on("start_game", (_payload, ack = () => {}) => {
-    const lobby = getLobbyForSocket(socket);
-    if (!lobby) {
-      ack({ ok: false, error: "Join a lobby first." });
+    if (ignoreClose || !hasMember(lobby.state, playerId)) {
       return;
     }
-    if (lobby.hostId !== socket.id) {
-      ack({ ok: false, error: "Only the host can start the game." });
+    if (anyOpenSocketForPlayer(lobby, playerId)) {
       return;
     }
-    if (lobby.phase !== "lobby") {
-      ack({ ok: false, error: "Game already started." });
+    commit(code, disconnectMember(lobby.state, playerId, Date.now()));
+  }
+
+  function attachSocket(socket, code, playerId) {
+    const lobby = lobbies.get(code);
+    // Everyone already connected hears about this as a patch. The new socket
+    // joins afterwards and starts from a snapshot.
+    commit(code, connectMember(lobby.state, playerId, Date.now()));
+
+    socket.membership = { code, playerId, ignoreClose: false };
+    if (!lobby.sockets.has(playerId)) {
+      lobby.sockets.set(playerId, new Set());
+    }
+    lobby.sockets.get(playerId).add(socket);
+    socket.on("message", (data) => handleSocketMessage(socket, data));
+    socket.on("close", () => handleSocketClose(socket));
+    socket.on("error", () => closeSocket(socket, 1011, "Socket error"));
+    sendSnapshot(lobby, socket, playerId);
+  }
+
+  function rejectUpgrade(socket, status, message, headers = "") {
+    socket.end(
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+        headers +
+        "Content-Type: text/plain; charset=utf-8\r\n" +
+        `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+        "Connection: close\r\n\r\n" +
+        message
+    );
+  }
+
+  server.on("upgrade", (request, socket, head) => {
+    const url = new URL(request.url, "http://localhost");
+    if (!url.pathname.startsWith("/ws/")) {
+      rejectUpgrade(socket, 404, "Not found");
       return;
     }
-    if (lobby.players.size < MIN_PLAYERS) {
-      ack({ ok: false, error: `Need at least ${MIN_PLAYERS} players to start.` });
+    const retryAfterMs = apiLimiter.take(request.socket.remoteAddress, Date.now());
+    if (retryAfterMs) {
+      const retryAfter = `Retry-After: ${Math.ceil(retryAfterMs / 1000)}\r\n`;
+      rejectUpgrade(socket, 429, "Too many requests", retryAfter);
       return;
     }
-
-    startGame(lobby);
-    emitLobbyState(lobby);
-    ack({ ok: true });
-  });
-
-  socket.on("send_main_message", (payload, ack = () => {}) => {
-    const lobby = getLobbyForSocket(socket);
-    if (!lobby) {
-      ack({ ok: false, error: "Join a lobby first." });
+    const code = sanitizeCode(url.pathname.slice("/ws/".length));
+    if (code.length !== 5) {
+      rejectUpgrade(socket, 400, "Invalid lobby code");
       return;
     }
-    const sender = lobby.players.get(socket.id);
-    if (!sender) {
-      ack({ ok: false, error: "Player not found in lobby." });
+    const lobby = lobbies.get(code);
+    if (!lobby) {
+      rejectUpgrade(socket, 404, "Lobby not found");
       return;
     }
-    if (lobby.phase !== "lobby" && !sender.isAlive) {
-      ack({ ok: false, error: "Eliminated players cannot send chat messages." });
+    const member = memberForSession(
+      lobby.state,
+      url.searchParams.get("pid"),
+      url.searchParams.get("sec")
+    );
+    if (!member) {
+      rejectUpgrade(socket, 403, "Invalid session");
       return;
     }
 
-    const text = sanitizeMessage(payload?.text);
-    if (!text) {
-      ack({ ok: false, error: "Message is empty." });
-      return;
-    }
-    addMainMessage(lobby, sender, text);
-    emitLobbyState(lobby);
-    ack({ ok: true });
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      if (!lobbies.has(code)) {
+        closeSocket(ws, 1008, "Lobby closed");
+        return;
+      }
+      attachSocket(ws, code, member.id);
+    });
   });
 
-  socket.on("send_private_message", (payload, ack = () => {}) => {
-    const lobby = getLobbyForSocket(socket);
+  function sendJson(res, payload, status = 200) {
+    res.status(status).json(payload);
+  }
+
+  // Looks up the lobby named in a request body. Answers the request itself
+  // when the code is malformed or unknown.
+  function lobbyForRequest(req, res) {
+    const code = sanitizeCode(req.body?.code);
+    if (code.length !== 5) {
+      sendJson(res, { ok: false, error: "Lobby code must be 5 characters." }, 400);
+      return null;
+    }
+    const lobby = lobbies.get(code);
     if (!lobby) {
-      ack({ ok: false, error: "Join a lobby first." });
-      return;
+      sendJson(res, { ok: false, error: "Lobby code not found." }, 404);
+      return null;
     }
+    return { code, lobby };
+  }
 
-    const sender = lobby.players.get(socket.id);
-    if (!sender) {
-      ack({ ok: false, error: "Player not found in lobby." });
+  const api = express.Router();
+  api.use((req, res, next) => {
+    res.set(CORS_HEADERS);
+    if (req.method === "OPTIONS") {
+      res.status(204).end();
       return;
     }
-    if (lobby.phase !== "lobby" && !sender.isAlive) {
-      ack({ ok: false, error: "Eliminated players cannot send chat messages." });
+    next();
+  });
+  api.use((req, res, next) => {
+    if (req.path === "/health") {
+      next();
       return;
     }
-
-    const toId = String(payload?.toId || "");
-    const recipient = lobby.players.get(toId);
-    if (!recipient || recipient.id === sender.id) {
-      ack({ ok: false, error: "Select a valid player for private chat." });
+    const retryAfterMs = apiLimiter.take(req.ip, Date.now());
+    if (!retryAfterMs) {
+      next();
       return;
     }
-
-    const text = sanitizeMessage(payload?.text);
-    if (!text) {
-      ack({ ok: false, error: "Message is empty." });
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    sendJson(res, rateLimitedBody(retryAfterMs), 429);
+  });
+  api.use(express.json());
+  // A body that is not valid JSON is treated as empty, as the Worker does.
+  api.use((error, req, res, next) => {
+    if (error.type !== "entity.parse.failed") {
+      next(error);
       return;
     }
+    req.body = null;
+    next();
+  });
 
-    addDmMessage(lobby, sender, recipient, text);
-    emitLobbyState(lobby);
-    ack({ ok: true });
+  api.get("/health", (req, res) => {
+    sendJson(res, { ok: true });
   });
 
-  socket.on("mafia_kill", (payload, ack = () => {}) => {
-    const lobby = getLobbyForSocket(socket);
-    if (!lobby) {
-      ack({ ok: false, error: "Join a lobby first." });
-      return;
-    }
-    if (lobby.phase !== "in_round") {
-      ack({ ok: false, error: "Kills can only happen during a live round." });
+  api.post("/create-lobby", async (req, res) => {
+    const code = makeLobbyCode();
+    if (!code) {
+      sendJson(res, { ok: false, error: "Could not create a unique lobby code. Try again." }, 500);
       return;
     }
+    const state = createLobby(code, { reconnectGraceMs });
+    const passwordHash = await passwordHashFor(state, req.body?.password);
+    setPasswordHash(state, passwordHash);
+    lobbies.set(code, {
+      state,
+      views: new ViewStreams(),
+      log: new Map(),
+      gameEvents: [],
+      sockets: new Map(),
+      alarm: null
+    });
+    const joined = joinLobby(state, sanitizeName(req.body?.name), Date.now(), { passwordHash });
+    commit(code, joined);
+    sendJson(res, {
+      ok: true,
+      code,
+      playerId: joined.playerId,
+      sessionSecret: joined.sessionSecret
+    });
+  });
 
-    const mafia = lobby.players.get(socket.id);
-    if (!mafia || mafia.id !== lobby.mafiaId || !mafia.isAlive) {
-      ack({ ok: false, error: "Only the alive mafia can use this action." });
+  api.post("/join-lobby", async (req, res) => {
+    const found = lobbyForRequest(req, res);
+    if (!found) {
       return;
     }
-    if (lobby.mafiaKillRound === lobby.roundNumber) {
-      ack({ ok: false, error: "Mafia can only pick one kill target per round." });
+    const { state } = found.lobby;
+    const passwordHash = await passwordHashFor(state, req.body?.password);
+    const joined = joinLobby(state, sanitizeName(req.body?.name), Date.now(), { passwordHash });
+    if (!joined.ok) {
+      sendJson(res, { ok: false, error: joined.error }, joined.wrongPassword ? 403 : 409);
       return;
     }
+    commit(found.code, joined);
+    sendJson(res, {
+      ok: true,
+      code: found.code,
+      playerId: joined.playerId,
+      sessionSecret: joined.sessionSecret
+    });
+  });
 
-    const cooldownMs = Math.max(0, MAFIA_COOLDOWN_MS - (Date.now() - lobby.lastMafiaActionAt));
-    if (cooldownMs > 0) {
-      ack({ ok: false, error: `Skull cooldown active (${Math.ceil(cooldownMs / 1000)}s left).` });
+  // Every lobby lives in this process, so the public list is read straight
+  // off them instead of from a registry.
+  function openListings() {
+    return openLobbies(
+      [...lobbies.values()].map((lobby) => lobbyListing(lobby.state)).filter(Boolean)
+    );
+  }
+
+  api.get("/lobbies", (req, res) => {
+    sendJson(res, { ok: true, lobbies: openListings() });
+  });
+
+  api.post("/quick-match", (req, res) => {
+    const name = sanitizeName(req.body?.name);
+    for (const listing of openListings()) {
+      const joined = joinLobby(lobbies.get(listing.code).state, name, Date.now());
+      if (!joined.ok) {
+        continue;
+      }
+      commit(listing.code, joined);
+      sendJson(res, {
+        ok: true,
+        code: listing.code,
+        playerId: joined.playerId,
+        sessionSecret: joined.sessionSecret
+      });
       return;
     }
+    sendJson(
+      res,
+      { ok: false, error: "No open public lobbies right now. Create one instead." },
+      404
+    );
+  });
 
-    const targetId = String(payload?.targetId || "");
-    const target = lobby.players.get(targetId);
-    if (!target || !target.isAlive || target.id === mafia.id) {
-      ack({ ok: false, error: "Pick an alive target other than yourself." });
+  api.post("/spectate", async (req, res) => {
+    const found = lobbyForRequest(req, res);
+    if (!found) {
       return;
     }
-
-    lobby.pendingKillId = targetId;
-    lobby.lastMafiaActionAt = Date.now();
-    lobby.mafiaKillRound = lobby.roundNumber;
-    emitLobbyState(lobby);
-    ack({ ok: true });
+    const { state } = found.lobby;
+    const passwordHash = await passwordHashFor(state, req.body?.password);
+    const watching = spectateLobby(state, sanitizeName(req.body?.name), Date.now(), {
+      passwordHash
+    });
+    if (!watching.ok) {
+      sendJson(res, { ok: false, error: watching.error }, watching.wrongPassword ? 403 : 409);
+      return;
+    }
+    commit(found.code, watching);
+    sendJson(res, {
+      ok: true,
+      code: found.code,
+      playerId: watching.playerId,
+      sessionSecret: watching.sessionSecret,
+      spectator: true
+    });
   });
 
-  socket.on("guardian_save", (payload, ack = () => {}) => {
-    const lobby = getLobbyForSocket(socket);
-    if (!lobby) {
-      ack({ ok: false, error: "Join a lobby first." });
+  api.post("/resume", (req, res) => {
+    const found = lobbyForRequest(req, res);
+    if (!found) {
       return;
     }
-    if (lobby.phase !== "in_round") {
-      ack({ ok: false, error: "Saves can only happen during a live round." });
+    const member = memberForSession(
+      found.lobby.state,
+      req.body?.playerId,
+      req.body?.sessionSecret
+    );
+    if (!member) {
+      sendJson(res, { ok: false, error: "Your seat in this lobby has expired." }, 403);
       return;
     }
+    sendJson(res, {
+      ok: true,
+      code: found.code,
+      playerId: member.id,
+      spectator: isSpectator(found.lobby.state, member.id)
+    });
+  });
 
-    const guardian = lobby.players.get(socket.id);
-    if (!guardian || guardian.id !== lobby.guardianId || !guardian.isAlive) {
-      ack({ ok: false, error: "Only the alive guardian angel can use this action." });
+  api.get("/replay/:gameId", (req, res) => {
+    const gameId = sanitizeGameId(req.params.gameId);
+    if (!gameId) {
+      sendJson(res, { ok: false, error: "Invalid game id." }, 400);
       return;
     }
-
-    const targetId = String(payload?.targetId || "");
-    const target = lobby.players.get(targetId);
-    if (!target || !target.isAlive) {
-      ack({ ok: false, error: "Pick an alive target to save." });
+    const replay = replays.get(gameId);
+    if (!replay) {
+      sendJson(res, { ok: false, error: "Replay not found." }, 404);
       return;
     }
+    if ("download" in req.query) {
+      res.attachment(`mafia-replay-${gameId}.json`);
+    }
+    sendJson(res, replay);
+  });
 
-    lobby.pendingSaveId = targetId;
-    emitLobbyState(lobby);
-    ack({ ok: true });
+  api.use((req, res) => {
+    sendJson(res, { ok: false, error: "Not found." }, 404);
   });
 
-  socket.on("disconnect", () => {
-    removeSocketFromLobby(socket);
+  app.use("/api", api);
+
+  // Pages served from here use this server as their default backend.
+  app.get("/backend-config.js", (req, res) => {
+    res.type("application/javascript").send("window.TEXTING_MAFIA_BACKEND = location.origin;\n");
   });
-});
+  app.use(express.static(PUBLIC_DIR));
 
-setInterval(() => {
-  const now = Date.now();
-  for (const lobby of lobbies.values()) {
-    if (lobby.phase === "in_round" && lobby.roundEndsAt && now >= lobby.roundEndsAt) {
-      finishRound(lobby);
-      continue;
+  function close() {
+    for (const code of [...lobbies.keys()]) {
+      closeLobby(code);
     }
-    if (lobby.phase === "in_round") {
-      emitLobbyState(lobby);
+    for (const socket of wss.clients) {
+      socket.terminate();
     }
+    return new Promise((resolve) => {
+      wss.close(() => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    });
   }
-}, 1000);
 
-server.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Texting Mafia listening on http://localhost:${PORT}`);
-});
+  return { app, server, lobbies, runAlarm, close };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { server } = createMafiaServer();
+  server.listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Texting Mafia listening on http://localhost:${PORT}`);
+  });
+}
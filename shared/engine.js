@@ -0,0 +1,2464 @@
+// Game rules shared by the Cloudflare Worker (worker/src/worker.js) and the
+// local Node server (server.js). Lobby state is a plain JSON-serializable
+// object that these functions mutate in place. Nothing in here reads the clock
+// or talks to sockets: callers pass `now` in, then save, broadcast `viewFor`
+// to every viewer and deliver any round results the call returned.
+
+const MAX_NAME_LEN = 24;
+const MAX_PASSWORD_LEN = 64;
+const DEFAULT_RECONNECT_GRACE_MS = 60 * 1000;
+const NO_LYNCH = "no_lynch";
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const PAST_RESULTS_LIMIT = 10;
+const MAX_MUTE_SECONDS = 30 * 60;
+const MAX_WILL_LEN = 500;
+const MAX_EXTEND_SECONDS = 5 * 60;
+const START_COUNTDOWN_MS = 5 * 1000;
+// How long a freshly eliminated player has to post their one last message.
+const LAST_WORDS_SECONDS = 30;
+const CHAT_ACTIONS = new Set([
+  "send_main_message",
+  "send_team_message",
+  "send_private_message",
+  "send_graveyard_message"
+]);
+const BOT_NAMES = ["Ada", "Basil", "Clover", "Dash", "Echo", "Fig", "Gus", "Hazel", "Iris", "Juno"];
+// Bots act once per night or day, somewhere between these fractions of it.
+const BOT_DELAY_RANGE = [0.15, 0.6];
+const BOT_CHAT_CHANCE = 0.4;
+const BOT_CHAT_LINES = [
+  "I have a bad feeling about {name}.",
+  "{name} has been awfully quiet.",
+  "I'm voting {name}. Change my mind.",
+  "Let's not rush this.",
+  "I'm just a simple villager, I promise.",
+  "Anyone have a better idea?"
+];
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const GAME_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Host-editable lobby settings. Each entry is an integer range unless it is
+// marked as a toggle or a choice between named options; the defaults are what
+// a fresh lobby starts with.
+const SETTINGS_SCHEMA = {
+  nightSeconds: { label: "Night length (seconds)", min: 30, max: 600, default: 120 },
+  daySeconds: { label: "Day length (seconds)", min: 30, max: 600, default: 90 },
+  mafiaCooldownSeconds: { label: "Mafia cooldown (seconds)", min: 0, max: 300, default: 60 },
+  minPlayers: { label: "Minimum players", min: 4, max: 20, default: 4 },
+  maxPlayers: { label: "Maximum players", min: 4, max: 30, default: 15 },
+  maxChatLength: { label: "Max message length", min: 20, max: 1000, default: 280 },
+  mainHistoryLimit: { label: "Main chat history", min: 50, max: 1000, default: 200 },
+  dmHistoryLimit: { label: "Private chat history", min: 20, max: 500, default: 120 },
+  spectatorsSeeRoles: { label: "Spectators see roles", type: "toggle", default: false },
+  publicLobby: { label: "List in the public lobby browser", type: "toggle", default: false },
+  requireReady: { label: "Everyone must be ready to start", type: "toggle", default: false },
+  deathReveal: {
+    label: "Role reveals",
+    type: "choice",
+    options: {
+      dead: "Only the dead see roles",
+      public: "Announce each role on death",
+      closed: "No reveals until the game ends"
+    },
+    default: "dead"
+  },
+  anonymous: { label: "Anonymous main chat (aliases)", type: "toggle", default: false }
+};
+
+const ALIAS_COLORS = ["Amber", "Blue", "Coral", "Green", "Grey", "Indigo", "Olive", "Red"];
+const ALIAS_ANIMALS = ["Badger", "Crow", "Fox", "Hare", "Lynx", "Moth", "Otter", "Wolf"];
+
+function villageWins(counts) {
+  return counts.mafia === 0 && counts.serial_killer === 0;
+}
+
+function mafiaWins(counts) {
+  return counts.mafia > 0 && counts.serial_killer === 0 && counts.mafia >= counts.alive - counts.mafia;
+}
+
+function serialKillerWins(counts) {
+  return counts.serial_killer > 0 && counts.alive <= 2;
+}
+
+const TEAMS = {
+  village: { label: "Villagers" },
+  mafia: { label: "Mafia" },
+  serial_killer: { label: "Serial Killer" }
+};
+
+// Every role in play comes from this registry. A role's `night` block describes
+// its night action: the action type clients send, what it does when the night
+// resolves, and who it may target. A `shared` action is proposed by each team
+// member and carried out once for the whole team. Roles with `knowsTeammates`
+// see each other and get a private team chat. Roles not listed in a lobby's
+// role counts fill up with villagers.
+const ROLES = {
+  villager: {
+    label: "Villager",
+    team: "village",
+    description: "No night action. Find the killers and vote them out.",
+    minCount: 0,
+    maxCount: 0,
+    knowsTeammates: false,
+    night: null,
+    wins: villageWins
+  },
+  mafia: {
+    label: "Mafia",
+    team: "mafia",
+    description: "Agrees on one kill target per night with the rest of the mafia.",
+    minCount: 1,
+    maxCount: 4,
+    knowsTeammates: true,
+    night: {
+      action: "mafia_kill",
+      kind: "kill",
+      icon: "💀",
+      shared: true,
+      allowSelf: false,
+      allowTeammates: false,
+      lockIn: true,
+      cooldownSetting: "mafiaCooldownSeconds",
+      maxUses: null
+    },
+    wins: mafiaWins
+  },
+  guardian: {
+    label: "Guardian Angel",
+    team: "village",
+    description: "Protects one player from being killed each night.",
+    minCount: 0,
+    maxCount: 1,
+    knowsTeammates: false,
+    night: {
+      action: "guardian_save",
+      kind: "save",
+      icon: "🙏",
+      shared: false,
+      allowSelf: true,
+      allowTeammates: true,
+      lockIn: false,
+      cooldownSetting: null,
+      maxUses: null
+    },
+    wins: villageWins
+  },
+  detective: {
+    label: "Detective",
+    team: "village",
+    description: "Learns the alignment of one player each night.",
+    minCount: 0,
+    maxCount: 1,
+    knowsTeammates: false,
+    night: {
+      action: "detective_investigate",
+      kind: "investigate",
+      icon: "🔍",
+      shared: false,
+      allowSelf: false,
+      allowTeammates: true,
+      lockIn: false,
+      cooldownSetting: null,
+      maxUses: null
+    },
+    wins: villageWins
+  },
+  vigilante: {
+    label: "Vigilante",
+    team: "village",
+    description: "Can shoot one player at night, once per game.",
+    minCount: 0,
+    maxCount: 1,
+    knowsTeammates: false,
+    night: {
+      action: "vigilante_shoot",
+      kind: "kill",
+      icon: "🔫",
+      shared: false,
+      allowSelf: false,
+      allowTeammates: true,
+      lockIn: true,
+      cooldownSetting: null,
+      maxUses: 1
+    },
+    wins: villageWins
+  },
+  serial_killer: {
+    label: "Serial Killer",
+    team: "serial_killer",
+    description: "Kills one player each night and wins alone.",
+    minCount: 0,
+    maxCount: 1,
+    knowsTeammates: false,
+    night: {
+      action: "serial_kill",
+      kind: "kill",
+      icon: "🔪",
+      shared: false,
+      allowSelf: false,
+      allowTeammates: true,
+      lockIn: false,
+      cooldownSetting: null,
+      maxUses: null
+    },
+    wins: serialKillerWins
+  }
+};
+
+const DEFAULT_ROLE_COUNTS = { mafia: 1, guardian: 1 };
+
+// Every gameplay coin flip goes through `random`, so the simulator can swap in
+// a seeded generator and replay a run exactly.
+let random = Math.random;
+
+/**
+ * Replaces the random source used for role shuffles and bot choices. Called
+ * with no argument it goes back to `Math.random`.
+ */
+export function setRandomSource(source = Math.random) {
+  random = source;
+}
+
+function randomInt(max) {
+  return Math.floor(random() * max);
+}
+
+function pickRandom(items) {
+  return items.length ? items[randomInt(items.length)] : null;
+}
+
+function makeId() {
+  return crypto.randomUUID();
+}
+
+function makeSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function sanitizeName(rawName) {
+  const name = String(rawName || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_NAME_LEN);
+  return name || "Player";
+}
+
+export function sanitizeCode(rawCode) {
+  return String(rawCode || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, 5);
+}
+
+/** Returns a game id in canonical form, or "" if it is not one. */
+export function sanitizeGameId(rawGameId) {
+  const gameId = String(rawGameId || "").toLowerCase();
+  return GAME_ID_PATTERN.test(gameId) ? gameId : "";
+}
+
+/**
+ * Hashes a lobby password with the lobby's own salt. Backends hash what the
+ * client sent and hand the result to `joinLobby`, `spectateLobby` or the
+ * `set_password` action; the password itself never reaches the state. Resolves
+ * to null for an empty password, which means "no password".
+ */
+export async function passwordHashFor(state, rawPassword) {
+  const password = String(rawPassword || "").slice(0, MAX_PASSWORD_LEN);
+  if (!password) {
+    return null;
+  }
+  const bytes = new TextEncoder().encode(`${state.passwordSalt}:${password}`);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function sanitizeMessage(rawMessage, maxLength) {
+  return String(rawMessage || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
+
+export function randomCode() {
+  let code = "";
+  for (let i = 0; i < 5; i += 1) {
+    code += CODE_CHARS[randomInt(CODE_CHARS.length)];
+  }
+  return code;
+}
+
+function defaultSettings() {
+  const settings = {};
+  for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+    settings[key] = field.default;
+  }
+  return settings;
+}
+
+function settingsCatalog() {
+  return Object.entries(SETTINGS_SCHEMA).map(([key, field]) => ({
+    key,
+    label: field.label,
+    type: field.type || "number",
+    min: field.min ?? null,
+    max: field.max ?? null,
+    options: field.options
+      ? Object.entries(field.options).map(([value, label]) => ({ value, label }))
+      : null
+  }));
+}
+
+function mergeSettings(current, rawSettings) {
+  const settings = { ...current };
+  for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+    if (rawSettings?.[key] === undefined) {
+      continue;
+    }
+    if (field.type === "toggle") {
+      settings[key] = !!rawSettings[key];
+      continue;
+    }
+    if (field.type === "choice") {
+      if (!Object.hasOwn(field.options, rawSettings[key])) {
+        return { error: `Pick one of the options for ${field.label.toLowerCase()}.` };
+      }
+      settings[key] = rawSettings[key];
+      continue;
+    }
+    const value = Number(rawSettings[key]);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      return { error: `${field.label} must be between ${field.min} and ${field.max}.` };
+    }
+    settings[key] = value;
+  }
+  if (settings.minPlayers > settings.maxPlayers) {
+    return { error: "Minimum players cannot be more than maximum players." };
+  }
+  return { settings };
+}
+
+function describeSeconds(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds}s`;
+}
+
+// Joining a lobby with a password takes the matching hash. Flagged so the
+// backends can answer with 403 instead of a plain conflict.
+function passwordError(state, passwordHash) {
+  if (!state.passwordHash || passwordHash === state.passwordHash) {
+    return null;
+  }
+  const error = passwordHash ? "Wrong lobby password." : "This lobby needs a password.";
+  return { ...errorResult(error), wrongPassword: true };
+}
+
+// Bans match on the name, ignoring case and spacing.
+function nameKey(rawName) {
+  return sanitizeName(rawName).toLowerCase();
+}
+
+function sortedPairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+function roleForAction(action) {
+  return Object.keys(ROLES).find((roleId) => ROLES[roleId].night?.action === action) || null;
+}
+
+function roleCatalog() {
+  return Object.entries(ROLES).map(([id, role]) => ({
+    id,
+    label: role.label,
+    team: role.team,
+    teamLabel: TEAMS[role.team].label,
+    description: role.description,
+    minCount: role.minCount,
+    maxCount: role.maxCount
+  }));
+}
+
+function specialRoleTotal(roleCounts) {
+  return Object.values(roleCounts).reduce((sum, count) => sum + count, 0);
+}
+
+function sanitizeRoleCounts(rawCounts) {
+  const counts = {};
+  for (const [roleId, role] of Object.entries(ROLES)) {
+    if (roleId === "villager") {
+      continue;
+    }
+    const value = Number(rawCounts?.[roleId] ?? 0);
+    if (!Number.isInteger(value) || value < role.minCount || value > role.maxCount) {
+      return {
+        error: `${role.label} count must be between ${role.minCount} and ${role.maxCount}.`
+      };
+    }
+    if (value > 0) {
+      counts[roleId] = value;
+    }
+  }
+  return { counts };
+}
+
+function scaledMafiaCount(playerCount) {
+  return Math.max(1, Math.min(ROLES.mafia.maxCount, Math.floor(playerCount / 4)));
+}
+
+function describeRoleCounts(roleCounts, playerCount) {
+  const parts = Object.entries(roleCounts).map(
+    ([roleId, count]) => `${count} ${ROLES[roleId].label}`
+  );
+  const villagers = playerCount - specialRoleTotal(roleCounts);
+  if (villagers > 0) {
+    parts.push(`${villagers} ${ROLES.villager.label}`);
+  }
+  return parts.join(", ");
+}
+
+// Every state-changing call returns one of these. `changed` tells the caller
+// to save and broadcast, `closed` means the last player left and the lobby
+// should be discarded, `roundResults` lists finished nights/days to send out
+// with `roundResultFor`, and `removed` lists members the host kicked or banned
+// (`{ memberId, error }`) whose sockets should be told why and closed.
+function okResult(extra = {}) {
+  return {
+    ok: true,
+    error: null,
+    changed: true,
+    closed: false,
+    roundResults: [],
+    removed: [],
+    ...extra
+  };
+}
+
+function errorResult(error) {
+  return { ok: false, error, changed: false, closed: false, roundResults: [], removed: [] };
+}
+
+function unchangedResult() {
+  return { ok: true, error: null, changed: false, closed: false, roundResults: [], removed: [] };
+}
+
+function playerEntries(state) {
+  return Object.values(state.players);
+}
+
+function playerIds(state) {
+  return Object.keys(state.players);
+}
+
+function playerById(state, playerId) {
+  return state.players[playerId] || null;
+}
+
+// Spectators live outside `players`, so they never count toward seats,
+// role assignment or win checks.
+function spectatorEntries(state) {
+  return Object.values(state.spectators);
+}
+
+function spectatorById(state, spectatorId) {
+  return state.spectators[spectatorId] || null;
+}
+
+function memberById(state, memberId) {
+  return playerById(state, memberId) || spectatorById(state, memberId);
+}
+
+// Everything that happens during a game is also queued as a replay event
+// (see `takeNewEvents`), so the whole game can be replayed after it ends.
+// Nothing is recorded in the lobby before or after a game.
+function recordEvent(state, type, details, now) {
+  if (state.phase !== "in_round") {
+    return;
+  }
+  state.newEvents.push({ gameId: state.gameId, event: { type, at: now, ...details } });
+}
+
+// The state only keeps the latest `limit` messages of each chat. Every message
+// is also queued for the caller's append-only log (see `takeNewMessages`), so
+// older ones can still be paged in with `historyQueryFor`. Log channels are
+// scoped to the game, since starting a game clears every chat.
+function appendMessage(state, channel, messages, message, limit) {
+  messages.push(message);
+  while (messages.length > limit) {
+    messages.shift();
+  }
+  state.newMessages.push({ channel: `${state.gameNumber}:${channel}`, message });
+  recordEvent(state, "message", { channel, message }, message.at);
+}
+
+function addSystemMessage(state, text, now) {
+  appendMessage(
+    state,
+    "main",
+    state.mainMessages,
+    { id: makeId(), type: "system", fromId: null, fromName: "System", text, at: now },
+    state.settings.mainHistoryLimit
+  );
+}
+
+function chatMessage(fromMember, text, now) {
+  return {
+    id: makeId(),
+    type: "chat",
+    fromId: fromMember.id,
+    fromName: fromMember.name,
+    text,
+    at: now
+  };
+}
+
+function addTeamMessage(state, team, fromPlayer, text, now) {
+  const messages = state.teamMessages[team] || [];
+  appendMessage(
+    state,
+    `team:${team}`,
+    messages,
+    fromPlayer
+      ? chatMessage(fromPlayer, text, now)
+      : { id: makeId(), type: "system", fromId: null, fromName: "System", text, at: now },
+    state.settings.mainHistoryLimit
+  );
+  state.teamMessages[team] = messages;
+}
+
+function addDmMessage(state, fromPlayer, toPlayer, text, now) {
+  const key = sortedPairKey(fromPlayer.id, toPlayer.id);
+  const messages = state.dmThreads[key] || [];
+  appendMessage(
+    state,
+    `dm:${key}`,
+    messages,
+    {
+      id: makeId(),
+      fromId: fromPlayer.id,
+      fromName: fromPlayer.name,
+      toId: toPlayer.id,
+      text,
+      at: now
+    },
+    state.settings.dmHistoryLimit
+  );
+  state.dmThreads[key] = messages;
+}
+
+function teamMembers(state, team, aliveOnly = false) {
+  return playerEntries(state).filter(
+    (player) => ROLES[player.role].team === team && (!aliveOnly || player.isAlive)
+  );
+}
+
+function knowsTeamOf(viewer, player) {
+  return ROLES[viewer.role].knowsTeammates && ROLES[viewer.role].team === ROLES[player.role].team;
+}
+
+function teamProposalCounts(state, team) {
+  const counts = {};
+  for (const member of teamMembers(state, team, true)) {
+    const targetId = state.nightActions[member.id];
+    if (targetId && playerById(state, targetId)?.isAlive) {
+      counts[targetId] = (counts[targetId] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// A shared action uses the target the team locked in. If the night ends
+// before they agree, a single most-proposed target is used instead.
+function sharedTargetFor(state, team) {
+  const locked = state.teamTargets[team];
+  if (locked) {
+    return playerById(state, locked)?.isAlive ? locked : null;
+  }
+  let topCount = 0;
+  let leaders = [];
+  for (const [targetId, count] of Object.entries(teamProposalCounts(state, team))) {
+    if (count > topCount) {
+      topCount = count;
+      leaders = [targetId];
+    } else if (count === topCount) {
+      leaders.push(targetId);
+    }
+  }
+  return leaders.length === 1 ? leaders[0] : null;
+}
+
+function roleCountsForStart(state) {
+  const counts = { ...state.roleCounts };
+  if (state.scaleMafia) {
+    counts.mafia = scaledMafiaCount(playerIds(state).length);
+  }
+  return counts;
+}
+
+function aliveTeamCounts(state) {
+  const counts = { alive: 0 };
+  for (const team of Object.keys(TEAMS)) {
+    counts[team] = 0;
+  }
+  for (const player of playerEntries(state)) {
+    if (!player.isAlive) {
+      continue;
+    }
+    counts.alive += 1;
+    counts[ROLES[player.role].team] += 1;
+  }
+  return counts;
+}
+
+function winnerFor(state) {
+  const counts = aliveTeamCounts(state);
+  for (const role of Object.values(ROLES)) {
+    if (role.wins(counts)) {
+      return TEAMS[role.team].label;
+    }
+  }
+  return null;
+}
+
+function voteCounts(state) {
+  const counts = {};
+  for (const [voterId, targetId] of Object.entries(state.votes)) {
+    if (!playerById(state, voterId)?.isAlive) {
+      continue;
+    }
+    if (targetId !== NO_LYNCH && !playerById(state, targetId)?.isAlive) {
+      continue;
+    }
+    counts[targetId] = (counts[targetId] || 0) + 1;
+  }
+  return counts;
+}
+
+function resolveVotes(state) {
+  const counts = voteCounts(state);
+  const noLynchVotes = counts[NO_LYNCH] || 0;
+  let topCount = 0;
+  let leaders = [];
+  for (const [targetId, count] of Object.entries(counts)) {
+    if (targetId === NO_LYNCH) {
+      continue;
+    }
+    if (count > topCount) {
+      topCount = count;
+      leaders = [targetId];
+    } else if (count === topCount) {
+      leaders.push(targetId);
+    }
+  }
+
+  if (!leaders.length || noLynchVotes >= topCount) {
+    return { outcome: "no_lynch", lynchedId: null, counts };
+  }
+  if (leaders.length > 1) {
+    return { outcome: "tie", lynchedId: null, counts };
+  }
+  return { outcome: "lynched", lynchedId: leaders[0], counts };
+}
+
+function clearVotesFor(state, playerId) {
+  const votes = state.votes;
+  delete votes[playerId];
+  for (const [voterId, targetId] of Object.entries(votes)) {
+    if (targetId === playerId) {
+      delete votes[voterId];
+    }
+  }
+}
+
+function clearNightActionsFor(state, playerId) {
+  const actions = state.nightActions;
+  delete actions[playerId];
+  for (const [actorId, targetId] of Object.entries(actions)) {
+    if (targetId === playerId) {
+      delete actions[actorId];
+    }
+  }
+  for (const [team, targetId] of Object.entries(state.teamTargets)) {
+    if (targetId === playerId) {
+      delete state.teamTargets[team];
+    }
+  }
+}
+
+function ensureRolesAfterDeparture(state, leaving) {
+  if (state.phase === "lobby" || !leaving.isAlive || leaving.role === "villager") {
+    return;
+  }
+
+  const candidates = playerEntries(state).filter(
+    (player) => player.isAlive && player.role === "villager"
+  );
+  if (!candidates.length) {
+    return;
+  }
+  const heir = candidates[randomInt(candidates.length)];
+  heir.role = leaving.role;
+  heir.usesLeft = leaving.usesLeft;
+  heir.lastActionAt = leaving.lastActionAt;
+}
+
+function namesFor(state, ids) {
+  return (ids || []).map((id) => playerById(state, id)?.name || "Unknown");
+}
+
+// Roles announced when the players died, when the lobby reveals them publicly.
+function revealedRolesFor(state, entry) {
+  return (entry.revealed || []).map((reveal) => ({
+    name: playerById(state, reveal.playerId)?.name || "Unknown",
+    role: reveal.role
+  }));
+}
+
+function mapHistoryEntry(state, entry) {
+  return {
+    id: entry.id,
+    round: entry.round,
+    killedNames: namesFor(state, entry.killedIds),
+    savedNames: namesFor(state, entry.savedIds),
+    eliminatedNames: namesFor(state, entry.eliminatedIds),
+    survivedBySaveNames: namesFor(state, entry.survivedBySaveIds),
+    voteOutcome: entry.voteOutcome || null,
+    lynchedName: entry.lynchedId ? playerById(state, entry.lynchedId)?.name || "Unknown" : null,
+    wills: (entry.wills || []).map((will) => ({
+      name: playerById(state, will.playerId)?.name || "Unknown",
+      text: will.text
+    })),
+    revealedRoles: revealedRolesFor(state, entry),
+    at: entry.at
+  };
+}
+
+function dmThreadsForViewer(state, viewerId) {
+  const threads = [];
+  for (const [key, messages] of Object.entries(state.dmThreads)) {
+    const [a, b] = key.split(":");
+    if (a !== viewerId && b !== viewerId) {
+      continue;
+    }
+    const peerId = a === viewerId ? b : a;
+    const peer = playerById(state, peerId);
+    if (!peer) {
+      continue;
+    }
+    threads.push({
+      peerId,
+      peerName: peer.name,
+      messages
+    });
+  }
+  threads.sort((x, y) => {
+    const xAt = x.messages.length ? x.messages[x.messages.length - 1].at : 0;
+    const yAt = y.messages.length ? y.messages[y.messages.length - 1].at : 0;
+    return yAt - xAt;
+  });
+  return threads;
+}
+
+// Everyone sees every role once the game is over. Before that the dead do
+// too, unless the lobby plays a closed setup.
+function shouldRevealRoles(state, viewer) {
+  if (state.phase === "ended") {
+    return true;
+  }
+  return !viewer.isAlive && state.settings.deathReveal !== "closed";
+}
+
+// With public reveals a dead player's role is shown to everyone.
+function roleShownPublicly(state, player) {
+  return !player.isAlive && state.settings.deathReveal === "public";
+}
+
+function revealedRoles(state) {
+  return playerEntries(state)
+    .filter((player) => player.role !== "villager")
+    .map((player) => ({ name: player.name, role: player.role }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function cooldownMsFor(state, night) {
+  return night.cooldownSetting ? state.settings[night.cooldownSetting] * 1000 : 0;
+}
+
+function nightActionForViewer(state, viewer) {
+  const night = ROLES[viewer.role]?.night;
+  if (state.phase !== "in_round" || !night) {
+    return null;
+  }
+  const team = ROLES[viewer.role].team;
+  const teamTargetId = night.shared ? state.teamTargets[team] || null : null;
+  const targetId = teamTargetId || state.nightActions[viewer.id] || null;
+  const lastActionAt = night.shared ? state.teamLastActionAt[team] || 0 : viewer.lastActionAt || 0;
+  return {
+    action: night.action,
+    kind: night.kind,
+    icon: night.icon,
+    shared: night.shared,
+    allowSelf: night.allowSelf,
+    allowTeammates: night.allowTeammates,
+    targetId,
+    lockedIn: night.lockIn && (night.shared ? !!teamTargetId : !!targetId),
+    cooldownEndsAt: night.cooldownSetting ? lastActionAt + cooldownMsFor(state, night) : 0,
+    usesLeft: night.maxUses ? viewer.usesLeft : null,
+    proposals: night.shared
+      ? Object.entries(teamProposalCounts(state, team)).map(([id, count]) => ({
+          targetId: id,
+          count
+        }))
+      : []
+  };
+}
+
+// The graveyard is shared by eliminated players and spectators, and nobody
+// alive can read it.
+function canUseGraveyard(state, memberId) {
+  if (spectatorById(state, memberId)) {
+    return true;
+  }
+  const player = playerById(state, memberId);
+  return !!player && state.phase !== "lobby" && !player.isAlive;
+}
+
+function graveyardFieldsFor(state, memberId) {
+  const allowed = canUseGraveyard(state, memberId);
+  return {
+    canUseGraveyard: allowed,
+    graveyardMessages: allowed ? state.graveyardMessages : []
+  };
+}
+
+// A closed setup keeps roles from spectators too, since they share the
+// graveyard with the dead.
+function spectatorsSeeRoles(state) {
+  if (state.phase === "ended") {
+    return true;
+  }
+  return state.settings.spectatorsSeeRoles && state.settings.deathReveal !== "closed";
+}
+
+// Fields every viewer gets, whether they hold a seat or are watching.
+function publicStateFields(state, now) {
+  const isDay = state.phase === "in_round" && state.stage === "day";
+  const counts = isDay ? voteCounts(state) : {};
+  return {
+    lobbyCode: state.code,
+    gameId: state.gameId,
+    hasPassword: !!state.passwordHash,
+    phase: state.phase,
+    started: state.phase !== "lobby",
+    minPlayers: state.settings.minPlayers,
+    settings: state.settings,
+    settingsCatalog: settingsCatalog(),
+    hostId: state.hostId,
+    winner: state.winner,
+    reconnectGraceMs: state.reconnectGraceMs,
+    roleCatalog: roleCatalog(),
+    roleCounts: state.roleCounts,
+    scaleMafia: state.scaleMafia,
+    roundNumber: state.roundNumber,
+    stage: state.stage,
+    roundEndsAt: state.roundEndsAt,
+    timeLeftMs:
+      state.phase === "in_round" && state.roundEndsAt ? Math.max(0, state.roundEndsAt - now) : 0,
+    pausedTimeLeftMs: state.pausedRemainingMs ?? null,
+    startsAt: state.startsAt ?? null,
+    voteTally: Object.entries(counts).map(([targetId, count]) => ({ targetId, count })),
+    mainMessages: state.mainMessages,
+    history: state.history.map((entry) => mapHistoryEntry(state, entry)),
+    pastResults: state.pastResults,
+    spectators: spectatorEntries(state)
+      .map((spectator) => ({
+        id: spectator.id,
+        name: spectator.name,
+        isConnected: !spectator.disconnectedAt
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+function viewForSpectator(state, spectator, now) {
+  const revealRoles = state.phase !== "lobby" && spectatorsSeeRoles(state);
+  const players = playerEntries(state)
+    .map((player) => ({
+      id: player.id,
+      name: player.name,
+      isSelf: false,
+      isHost: player.id === state.hostId,
+      isAlive: player.isAlive,
+      isConnected: !player.disconnectedAt,
+      isBot: !!player.isBot,
+      isReady: !!player.isReady,
+      mutedUntil: player.mutedUntil,
+      roleVisible: revealRoles || roleShownPublicly(state, player) ? player.role : null
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    ...publicStateFields(state, now),
+    youId: spectator.id,
+    youName: spectator.name,
+    isSpectator: true,
+    youRole: null,
+    youAreAlive: false,
+    canChat: false,
+    yourAlias: null,
+    yourWill: "",
+    lastWordsEndsAt: null,
+    nightAction: null,
+    investigations: [],
+    yourVoteId: null,
+    players,
+    teamChannel: null,
+    teamMessages: [],
+    teammates: [],
+    dmThreads: [],
+    ...graveyardFieldsFor(state, spectator.id),
+    spectatorMessages: state.spectatorMessages,
+    revealRoles: revealRoles ? revealedRoles(state) : null
+  };
+}
+
+/**
+ * Builds what one player or spectator is allowed to see. Returns null for an
+ * id that is not in the lobby.
+ */
+export function viewFor(state, viewerId, now) {
+  const spectator = spectatorById(state, viewerId);
+  if (spectator) {
+    return viewForSpectator(state, spectator, now);
+  }
+  const viewer = playerById(state, viewerId);
+  if (!viewer) {
+    return null;
+  }
+
+  const revealRoles = shouldRevealRoles(state, viewer);
+  const isDay = state.phase === "in_round" && state.stage === "day";
+  const viewerTeam = ROLES[viewer.role].team;
+  const hasTeam = state.phase !== "lobby" && ROLES[viewer.role].knowsTeammates;
+
+  const players = playerEntries(state)
+    .map((player) => {
+      let roleVisible = null;
+      if (
+        state.phase !== "lobby" &&
+        (player.id === viewerId ||
+          revealRoles ||
+          knowsTeamOf(viewer, player) ||
+          roleShownPublicly(state, player))
+      ) {
+        roleVisible = player.role;
+      }
+      return {
+        id: player.id,
+        name: player.name,
+        isSelf: player.id === viewerId,
+        isHost: player.id === state.hostId,
+        isAlive: player.isAlive,
+        isConnected: !player.disconnectedAt,
+        isBot: !!player.isBot,
+        isReady: !!player.isReady,
+        mutedUntil: player.mutedUntil,
+        roleVisible
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    ...publicStateFields(state, now),
+    youId: viewer.id,
+    youName: viewer.name,
+    isSpectator: false,
+    youRole: state.phase === "lobby" ? null : viewer.role,
+    youAreAlive: viewer.isAlive,
+    canChat: state.phase === "lobby" || viewer.isAlive,
+    yourAlias: state.phase === "in_round" ? viewer.alias || null : null,
+    yourWill: viewer.will || "",
+    lastWordsEndsAt: viewer.lastWordsUntil > now ? viewer.lastWordsUntil : null,
+    nightAction: nightActionForViewer(state, viewer),
+    investigations: (viewer.investigations || []).map((entry) => ({
+      round: entry.round,
+      targetName: playerById(state, entry.targetId)?.name || "Unknown",
+      teamLabel: TEAMS[entry.team].label
+    })),
+    yourVoteId: isDay ? state.votes[viewer.id] || null : null,
+    players,
+    teamChannel: hasTeam ? TEAMS[viewerTeam].label : null,
+    teamMessages: hasTeam ? state.teamMessages[viewerTeam] || [] : [],
+    teammates: hasTeam
+      ? teamMembers(state, viewerTeam)
+          .filter((player) => player.id !== viewer.id)
+          .map((player) => ({ id: player.id, name: player.name, isAlive: player.isAlive }))
+      : [],
+    dmThreads: dmThreadsForViewer(state, viewerId),
+    ...graveyardFieldsFor(state, viewerId),
+    spectatorMessages: [],
+    revealRoles: revealRoles && state.phase !== "lobby" ? revealedRoles(state) : null
+  };
+}
+
+/**
+ * Builds one viewer's copy of a round result returned by `applyAction` or
+ * `tick`.
+ */
+export function roundResultFor(state, viewerId, { summary, stage }) {
+  const viewer = playerById(state, viewerId);
+  const revealRoles = viewer ? shouldRevealRoles(state, viewer) : spectatorsSeeRoles(state);
+  return {
+    round: summary.round,
+    stage,
+    killedNames: namesFor(state, summary.killedIds),
+    savedNames: namesFor(state, summary.savedIds),
+    eliminatedNames: namesFor(state, summary.eliminatedIds),
+    survivedBySaveNames: namesFor(state, summary.survivedBySaveIds),
+    voteOutcome: summary.voteOutcome || null,
+    lynchedName: summary.lynchedId ? playerById(state, summary.lynchedId)?.name || null : null,
+    youWereEliminated:
+      stage === "day"
+        ? summary.lynchedId === viewerId
+        : (summary.eliminatedIds || []).includes(viewerId),
+    revealedRoles: revealedRolesFor(state, summary),
+    revealRoles: revealRoles && state.phase !== "lobby" ? revealedRoles(state) : null
+  };
+}
+
+/** Every id that should receive `viewFor` updates: players, then spectators. */
+export function viewerIds(state) {
+  return [...playerIds(state), ...Object.keys(state.spectators)];
+}
+
+export function hasMember(state, memberId) {
+  return !!memberById(state, memberId);
+}
+
+export function isSpectator(state, memberId) {
+  return !!spectatorById(state, memberId);
+}
+
+/** Returns the player or spectator holding this session, or null. */
+export function memberForSession(state, memberId, sessionSecret) {
+  const member = memberById(state, String(memberId || ""));
+  if (!member || member.sessionSecret !== String(sessionSecret || "")) {
+    return null;
+  }
+  return member;
+}
+
+/**
+ * Returns the messages added since the last call as `{ channel, message }`
+ * entries, oldest first, and clears the queue. Callers append them to the
+ * lobby's message log before saving the state.
+ */
+export function takeNewMessages(state) {
+  const entries = state.newMessages;
+  state.newMessages = [];
+  return entries;
+}
+
+/**
+ * Returns the replay events recorded since the last call as `{ gameId, event }`
+ * entries, oldest first, and clears the queue. A `game_ended` event means the
+ * game's log is complete and can be passed to `buildReplay`.
+ */
+export function takeNewEvents(state) {
+  const entries = state.newEvents;
+  state.newEvents = [];
+  return entries;
+}
+
+/**
+ * Assembles the downloadable replay of one finished game from its events, in
+ * the order they were recorded. Roles and DMs are all included, since the game
+ * is over.
+ */
+export function buildReplay(gameId, events) {
+  const started = events.find((event) => event.type === "game_started");
+  const ended = events.findLast((event) => event.type === "game_ended");
+  return {
+    gameId,
+    lobbyCode: started?.lobbyCode || null,
+    startedAt: started?.at || null,
+    endedAt: ended?.at || null,
+    winner: ended?.winner || null,
+    players: started?.players || [],
+    roleCatalog: roleCatalog(),
+    nightActions: Object.values(ROLES)
+      .filter((role) => role.night)
+      .map((role) => ({
+        action: role.night.action,
+        kind: role.night.kind,
+        icon: role.night.icon,
+        roleLabel: role.label
+      })),
+    events
+  };
+}
+
+/**
+ * Checks a `fetch_messages` request (`{ channel, peerId, before, limit }`)
+ * against what the viewer may read. Returns `{ ok: true, channel, before,
+ * limit }` naming the log channel to page through, or `{ ok: false, error }`.
+ */
+export function historyQueryFor(state, viewerId, request) {
+  const requested = String(request?.channel || "");
+  const viewer = playerById(state, viewerId);
+  let channel = null;
+
+  if (requested === "main") {
+    channel = "main";
+  } else if (requested === "graveyard" && canUseGraveyard(state, viewerId)) {
+    channel = "graveyard";
+  } else if (requested === "spectators" && spectatorById(state, viewerId)) {
+    channel = "spectators";
+  } else if (
+    requested === "team" &&
+    viewer &&
+    state.phase !== "lobby" &&
+    ROLES[viewer.role].knowsTeammates
+  ) {
+    channel = `team:${ROLES[viewer.role].team}`;
+  } else if (requested === "dm" && viewer) {
+    const peer = playerById(state, String(request.peerId || ""));
+    if (!peer || peer.id === viewer.id) {
+      return errorResult("Select a valid player for private chat.");
+    }
+    channel = `dm:${sortedPairKey(viewer.id, peer.id)}`;
+  }
+  if (!channel) {
+    return errorResult("You cannot read that chat.");
+  }
+
+  const limit = Number(request.limit) || HISTORY_PAGE_SIZE;
+  return {
+    ok: true,
+    error: null,
+    channel: `${state.gameNumber}:${channel}`,
+    before: request.before ? String(request.before) : null,
+    limit: Math.min(Math.max(Math.floor(limit), 1), MAX_HISTORY_PAGE_SIZE)
+  };
+}
+
+/**
+ * What the public lobby browser shows for this lobby, or null while the host
+ * keeps it private. Backends report it to their lobby list whenever it changes.
+ * `playerCount` only counts people; bots holding seats are in `botCount`.
+ */
+export function lobbyListing(state) {
+  if (!state.settings.publicLobby || state.passwordHash) {
+    return null;
+  }
+  const botCount = playerEntries(state).filter((player) => player.isBot).length;
+  return {
+    code: state.code,
+    hostName: playerById(state, state.hostId)?.name || null,
+    phase: state.phase,
+    playerCount: playerIds(state).length - botCount,
+    botCount,
+    minPlayers: state.settings.minPlayers,
+    maxPlayers: state.settings.maxPlayers,
+    nightSeconds: state.settings.nightSeconds,
+    daySeconds: state.settings.daySeconds,
+    roles: describeRoleCounts(roleCountsForStart(state), 0)
+  };
+}
+
+/**
+ * Picks the listings someone could join right now, fullest first, so the
+ * browser and quick-match fill lobbies up before starting new ones.
+ */
+export function openLobbies(listings) {
+  return listings
+    .filter(
+      (listing) =>
+        listing.phase === "lobby" &&
+        listing.playerCount + (listing.botCount || 0) < listing.maxPlayers
+    )
+    .sort((a, b) => b.playerCount - a.playerCount || a.code.localeCompare(b.code));
+}
+
+/**
+ * The earliest time `tick` has work to do: the start countdown, the round
+ * deadline, a bot's turn or a disconnected seat running out of grace. Null
+ * when nothing is pending. A paused round has no deadline and its bots wait.
+ */
+export function nextWakeAt(state) {
+  const times = [];
+  if (state.startsAt) {
+    times.push(state.startsAt);
+  }
+  if (state.phase === "in_round" && state.roundEndsAt) {
+    times.push(state.roundEndsAt);
+  }
+  if (state.phase === "in_round" && !isPaused(state)) {
+    for (const bot of botEntries(state)) {
+      if (bot.botActAt) {
+        times.push(bot.botActAt);
+      }
+    }
+  }
+  for (const member of [...playerEntries(state), ...spectatorEntries(state)]) {
+    if (member.disconnectedAt) {
+      times.push(member.disconnectedAt + state.reconnectGraceMs);
+    }
+  }
+  return times.length ? Math.min(...times) : null;
+}
+
+/**
+ * Creates an empty lobby. `options.reconnectGraceMs` sets how long a dropped
+ * seat is held before the player is removed.
+ */
+export function createLobby(code, options = {}) {
+  return {
+    code,
+    reconnectGraceMs: Number(options.reconnectGraceMs) || DEFAULT_RECONNECT_GRACE_MS,
+    hostId: null,
+    phase: "lobby",
+    winner: null,
+    gameNumber: 0,
+    gameId: null,
+    roundNumber: 0,
+    stage: null,
+    roundEndsAt: null,
+    pausedRemainingMs: null,
+    pausedAt: null,
+    startsAt: null,
+    settings: defaultSettings(),
+    roleCounts: { ...DEFAULT_ROLE_COUNTS },
+    scaleMafia: false,
+    passwordSalt: makeSecret(),
+    passwordHash: null,
+    nightActions: {},
+    teamTargets: {},
+    teamLastActionAt: {},
+    votes: {},
+    mainMessages: [],
+    teamMessages: {},
+    dmThreads: {},
+    graveyardMessages: [],
+    spectatorMessages: [],
+    history: [],
+    pastResults: [],
+    bannedNames: [],
+    newMessages: [],
+    newEvents: [],
+    players: {},
+    spectators: {}
+  };
+}
+
+/** Sets or, with null, clears the lobby password. See `passwordHashFor`. */
+export function setPasswordHash(state, passwordHash) {
+  state.passwordHash = passwordHash || null;
+}
+
+/**
+ * Seats a new player. Joining is only open before the game starts and while
+ * there is room, and needs `options.passwordHash` if the lobby has a password.
+ * New seats count as disconnected until `connectMember`, so a join that never
+ * connects still frees its seat.
+ */
+export function joinLobby(state, rawName, now, options = {}) {
+  const wrongPassword = passwordError(state, options.passwordHash);
+  if (wrongPassword) {
+    return wrongPassword;
+  }
+  if (state.phase !== "lobby") {
+    return errorResult("Game already started. You can still watch as a spectator.");
+  }
+  if (playerIds(state).length >= state.settings.maxPlayers) {
+    return errorResult("Lobby is full.");
+  }
+  if (state.bannedNames.includes(nameKey(rawName))) {
+    return errorResult("You are banned from this lobby.");
+  }
+
+  const name = sanitizeName(rawName);
+  const playerId = makeId();
+  const sessionSecret = makeSecret();
+  state.players[playerId] = {
+    id: playerId,
+    sessionSecret,
+    name,
+    role: "villager",
+    isAlive: true,
+    joinedAt: now,
+    eliminatedAt: null,
+    usesLeft: null,
+    lastActionAt: 0,
+    investigations: [],
+    will: "",
+    lastWordsUntil: null,
+    mutedUntil: null,
+    isReady: false,
+    isBot: false,
+    disconnectedAt: now,
+    hasConnected: false
+  };
+
+  if (!state.hostId) {
+    state.hostId = playerId;
+  }
+
+  addSystemMessage(state, `${name} joined the lobby.`, now);
+  return okResult({ playerId, sessionSecret });
+}
+
+/**
+ * Adds a spectator. Spectators can join in any phase, unless banned, and need
+ * the password like players do.
+ */
+export function spectateLobby(state, rawName, now, options = {}) {
+  const wrongPassword = passwordError(state, options.passwordHash);
+  if (wrongPassword) {
+    return wrongPassword;
+  }
+  if (state.bannedNames.includes(nameKey(rawName))) {
+    return errorResult("You are banned from this lobby.");
+  }
+  const name = sanitizeName(rawName);
+  const spectatorId = makeId();
+  const sessionSecret = makeSecret();
+  state.spectators[spectatorId] = {
+    id: spectatorId,
+    sessionSecret,
+    name,
+    joinedAt: now,
+    disconnectedAt: now,
+    hasConnected: false
+  };
+  recordEvent(state, "spectator_joined", { spectatorId, name }, now);
+  return okResult({ playerId: spectatorId, sessionSecret, spectator: true });
+}
+
+/** Marks a member's first socket as open. Unchanged if they were already connected. */
+export function connectMember(state, memberId, now) {
+  const member = memberById(state, memberId);
+  if (!member || !member.disconnectedAt) {
+    return unchangedResult();
+  }
+  if (member.hasConnected && playerById(state, memberId)) {
+    addSystemMessage(state, `${member.name} reconnected.`, now);
+  }
+  member.disconnectedAt = null;
+  member.hasConnected = true;
+  return okResult();
+}
+
+/** Starts the grace window for a member whose last socket closed. */
+export function disconnectMember(state, memberId, now) {
+  const member = memberById(state, memberId);
+  if (!member || member.disconnectedAt) {
+    return unchangedResult();
+  }
+  member.disconnectedAt = now;
+  if (playerById(state, memberId)) {
+    const graceSeconds = Math.round(state.reconnectGraceMs / 1000);
+    addSystemMessage(
+      state,
+      `${member.name} disconnected. Their seat is held for ${graceSeconds} seconds.`,
+      now
+    );
+  }
+  return okResult();
+}
+
+function removeSpectator(state, spectatorId, now) {
+  const { name } = state.spectators[spectatorId];
+  delete state.spectators[spectatorId];
+  recordEvent(state, "spectator_left", { spectatorId, name }, now);
+  return okResult();
+}
+
+function removePlayer(state, playerId, reasonText, now) {
+  const leaving = playerById(state, playerId);
+  if (!leaving) {
+    return unchangedResult();
+  }
+
+  recordEvent(state, "player_left", { playerId, reason: reasonText }, now);
+  delete state.players[playerId];
+  // Bots cannot host or keep a lobby going on their own.
+  const people = playerEntries(state).filter((player) => !player.isBot);
+  if (people.length === 0) {
+    return okResult({ closed: true });
+  }
+
+  if (state.hostId === playerId) {
+    state.hostId = people[0].id;
+  }
+  if (state.startsAt) {
+    cancelCountdown(state, `${leaving.name} left`, now);
+  }
+  clearNightActionsFor(state, playerId);
+  clearVotesFor(state, playerId);
+
+  ensureRolesAfterDeparture(state, leaving);
+  addSystemMessage(state, `${leaving.name} ${reasonText}.`, now);
+  if (state.phase === "in_round") {
+    const winner = winnerFor(state);
+    if (winner) {
+      endGame(state, winner, now);
+    }
+  }
+  return okResult();
+}
+
+// Why the lobby cannot start right now, or null when it can.
+function startGameError(state) {
+  const { minPlayers, requireReady } = state.settings;
+  const playerCount = playerIds(state).length;
+  if (playerCount < minPlayers) {
+    return `Need at least ${minPlayers} players to start.`;
+  }
+  const roleCounts = roleCountsForStart(state);
+  if (specialRoleTotal(roleCounts) > playerCount) {
+    return "There are more roles picked than players in the lobby.";
+  }
+  if (roleCounts.mafia * 2 >= playerCount) {
+    return "The mafia must be outnumbered by everyone else at the start.";
+  }
+  if (requireReady && playerEntries(state).some((player) => !player.isReady)) {
+    return "Everyone needs to be ready first.";
+  }
+  return null;
+}
+
+// `start_game` opens a short countdown before the roles are dealt, so anyone
+// away from the screen has a moment to get back or back out.
+function startCountdown(state, now) {
+  state.startsAt = now + START_COUNTDOWN_MS;
+  addSystemMessage(
+    state,
+    `The game starts in ${Math.round(START_COUNTDOWN_MS / 1000)} seconds.`,
+    now
+  );
+}
+
+function cancelCountdown(state, reason, now) {
+  state.startsAt = null;
+  addSystemMessage(state, `The start was called off: ${reason}.`, now);
+}
+
+function startGame(state, now) {
+  state.startsAt = null;
+  const ids = playerIds(state);
+  for (let i = ids.length - 1; i > 0; i -= 1) {
+    const j = randomInt(i + 1);
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  const roleCounts = roleCountsForStart(state);
+  const deck = [];
+  for (const [roleId, count] of Object.entries(roleCounts)) {
+    for (let i = 0; i < count; i += 1) {
+      deck.push(roleId);
+    }
+  }
+  const aliases = state.settings.anonymous ? shuffledAliases(ids.length) : [];
+  ids.forEach((id, index) => {
+    const player = playerById(state, id);
+    player.isAlive = true;
+    player.eliminatedAt = null;
+    player.role = deck[index] || "villager";
+    player.usesLeft = ROLES[player.role].night?.maxUses ?? null;
+    player.lastActionAt = 0;
+    player.investigations = [];
+    player.alias = aliases[index] || null;
+  });
+
+  state.phase = "in_round";
+  state.stage = "night";
+  state.winner = null;
+  state.gameNumber += 1;
+  state.gameId = makeId();
+  state.roundNumber = 1;
+  state.roundEndsAt = now + state.settings.nightSeconds * 1000;
+  state.pausedRemainingMs = null;
+  state.pausedAt = null;
+  state.nightActions = {};
+  state.teamTargets = {};
+  state.teamLastActionAt = {};
+  state.votes = {};
+  state.mainMessages = [];
+  state.teamMessages = {};
+  state.dmThreads = {};
+  state.graveyardMessages = [];
+  state.spectatorMessages = [];
+  state.history = [];
+
+  recordEvent(
+    state,
+    "game_started",
+    {
+      lobbyCode: state.code,
+      settings: state.settings,
+      roleCounts,
+      players: ids.map((id) => ({
+        id,
+        name: state.players[id].name,
+        role: state.players[id].role,
+        alias: state.players[id].alias,
+        isBot: !!state.players[id].isBot
+      }))
+    },
+    now
+  );
+  const { nightSeconds, daySeconds } = state.settings;
+  addSystemMessage(
+    state,
+    `Game started. Each round is a ${describeSeconds(nightSeconds)} night for the night roles, then a ${describeSeconds(daySeconds)} day vote.`,
+    now
+  );
+  addSystemMessage(state, `Roles in play: ${describeRoleCounts(roleCounts, ids.length)}.`, now);
+  for (const team of Object.keys(TEAMS)) {
+    const members = teamMembers(state, team).filter((player) => ROLES[player.role].knowsTeammates);
+    if (members.length) {
+      addTeamMessage(
+        state,
+        team,
+        null,
+        `Your team: ${members.map((player) => player.name).join(", ")}. Only you can read this chat.`,
+        now
+      );
+    }
+  }
+  scheduleBots(state, now);
+}
+
+function endGame(state, winner, now) {
+  recordEvent(state, "game_ended", { winner }, now);
+  state.phase = "ended";
+  state.winner = winner;
+  state.stage = null;
+  state.roundEndsAt = null;
+  state.pausedRemainingMs = null;
+  state.pausedAt = null;
+  addSystemMessage(state, `Game over: ${winner} won.`, now);
+  const aliased = playerEntries(state).filter((player) => player.alias);
+  if (aliased.length) {
+    const names = aliased.map((player) => `${player.alias} was ${player.name}`);
+    addSystemMessage(state, `Aliases: ${names.join(", ")}.`, now);
+  }
+}
+
+// Distinct "<Color> <Animal>" names for an anonymous game, in random order.
+function shuffledAliases(count) {
+  const aliases = ALIAS_COLORS.flatMap((color) =>
+    ALIAS_ANIMALS.map((animal) => `${color} ${animal}`)
+  );
+  for (let i = aliases.length - 1; i > 0; i -= 1) {
+    const j = randomInt(i + 1);
+    [aliases[i], aliases[j]] = [aliases[j], aliases[i]];
+  }
+  return aliases.slice(0, count);
+}
+
+// Host tools that act on another player: kick, ban, mute and handing over the
+// host role. They work in every phase.
+function applyModeration(state, host, type, action, now) {
+  if (state.hostId !== host.id) {
+    return errorResult("Only the host can do that.");
+  }
+  const target = playerById(state, String(action.targetId || ""));
+  if (!target || target.id === host.id) {
+    return errorResult("Pick another player in the lobby.");
+  }
+  if (type === "transfer_host" && target.isBot) {
+    return errorResult("Bots cannot be the host.");
+  }
+
+  if (type === "kick_player" || type === "ban_player") {
+    const banned = type === "ban_player";
+    if (banned && !state.bannedNames.includes(nameKey(target.name))) {
+      state.bannedNames.push(nameKey(target.name));
+    }
+    const result = removePlayer(
+      state,
+      target.id,
+      banned ? "was banned by the host" : "was kicked by the host",
+      now
+    );
+    result.removed.push({
+      memberId: target.id,
+      error: banned ? "You were banned from the lobby." : "You were kicked from the lobby."
+    });
+    return result;
+  }
+
+  if (type === "mute_player") {
+    const seconds = Number(action.seconds);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_MUTE_SECONDS) {
+      return errorResult(`Mute for 0 to ${MAX_MUTE_SECONDS} seconds.`);
+    }
+    if (!seconds) {
+      target.mutedUntil = null;
+      addSystemMessage(state, `${target.name} can chat again.`, now);
+      return okResult();
+    }
+    target.mutedUntil = now + seconds * 1000;
+    addSystemMessage(state, `${target.name} was muted for ${describeSeconds(seconds)}.`, now);
+    return okResult();
+  }
+
+  state.hostId = target.id;
+  addSystemMessage(state, `${host.name} made ${target.name} the host.`, now);
+  return okResult();
+}
+
+function botEntries(state) {
+  return playerEntries(state).filter((player) => player.isBot);
+}
+
+// Bots are seats the host fills from the lobby. They never have a socket, so
+// they are always connected and only ever act from `tick`.
+function addBot(state, now) {
+  const taken = new Set(playerEntries(state).map((player) => nameKey(player.name)));
+  let name = BOT_NAMES.map((botName) => `Bot ${botName}`).find(
+    (botName) => !taken.has(nameKey(botName))
+  );
+  for (let number = 1; !name; number += 1) {
+    if (!taken.has(nameKey(`Bot ${number}`))) {
+      name = `Bot ${number}`;
+    }
+  }
+  const playerId = makeId();
+  state.players[playerId] = {
+    id: playerId,
+    sessionSecret: makeSecret(),
+    name,
+    role: "villager",
+    isAlive: true,
+    joinedAt: now,
+    eliminatedAt: null,
+    usesLeft: null,
+    lastActionAt: 0,
+    investigations: [],
+    will: "",
+    lastWordsUntil: null,
+    mutedUntil: null,
+    isReady: true,
+    isBot: true,
+    botActAt: null,
+    disconnectedAt: null,
+    hasConnected: true
+  };
+  addSystemMessage(state, `${name} joined the lobby.`, now);
+}
+
+// Gives every living bot one turn at a random point of the night or day that
+// just began.
+function scheduleBots(state, now) {
+  const stageSeconds =
+    state.stage === "day" ? state.settings.daySeconds : state.settings.nightSeconds;
+  const [from, to] = BOT_DELAY_RANGE;
+  for (const bot of botEntries(state)) {
+    bot.botActAt = bot.isAlive
+      ? now + Math.round(stageSeconds * 1000 * (from + random() * (to - from)))
+      : null;
+  }
+}
+
+// Mafia bots back a teammate's proposal, the vigilante keeps its one shot for
+// a later night most of the time, and the detective checks someone new.
+function botNightTarget(state, bot, night) {
+  const team = ROLES[bot.role].team;
+  if (night.shared) {
+    if (state.teamTargets[team]) {
+      return null;
+    }
+    const proposed = Object.keys(teamProposalCounts(state, team));
+    if (proposed.length) {
+      return pickRandom(proposed);
+    }
+  }
+  if (night.maxUses && randomInt(3) > 0) {
+    return null;
+  }
+  const checkedIds = new Set(bot.investigations.map((entry) => entry.targetId));
+  const candidates = playerEntries(state).filter(
+    (player) =>
+      player.isAlive &&
+      (night.allowSelf || player.id !== bot.id) &&
+      (night.allowTeammates || ROLES[player.role].team !== team) &&
+      !(night.kind === "investigate" && checkedIds.has(player.id))
+  );
+  return pickRandom(candidates)?.id || null;
+}
+
+// A bot votes for a suspect it investigated, otherwise joins the leading
+// vote, otherwise picks someone at random. It never votes for a known teammate.
+function botVoteTarget(state, bot) {
+  const suspect = bot.investigations.find(
+    (entry) => entry.team !== "village" && playerById(state, entry.targetId)?.isAlive
+  );
+  if (suspect) {
+    return suspect.targetId;
+  }
+  const candidates = playerEntries(state).filter(
+    (player) => player.isAlive && player.id !== bot.id && !knowsTeamOf(bot, player)
+  );
+  const candidateIds = new Set(candidates.map((player) => player.id));
+  let leaderId = null;
+  let topCount = 0;
+  for (const [targetId, count] of Object.entries(voteCounts(state))) {
+    if (candidateIds.has(targetId) && count > topCount) {
+      topCount = count;
+      leaderId = targetId;
+    }
+  }
+  return leaderId || pickRandom(candidates)?.id || null;
+}
+
+/**
+ * The actions a bot in this player's seat would send right now: a night
+ * target, or a vote and maybe a chat line by day. The simulator uses it to
+ * play seats that are not bots with the same heuristics.
+ */
+export function botActionsFor(state, playerId) {
+  const bot = playerById(state, playerId);
+  if (!bot?.isAlive || state.phase !== "in_round") {
+    return [];
+  }
+  if (state.stage === "night") {
+    const night = ROLES[bot.role].night;
+    const targetId = night ? botNightTarget(state, bot, night) : null;
+    return targetId ? [{ type: night.action, targetId }] : [];
+  }
+  const actions = [];
+  const targetId = botVoteTarget(state, bot);
+  if (targetId) {
+    actions.push({ type: "cast_vote", targetId });
+  }
+  if (random() < BOT_CHAT_CHANCE) {
+    const name = playerById(state, targetId)?.name || "someone";
+    const text = pickRandom(BOT_CHAT_LINES).replace("{name}", name);
+    actions.push({ type: "send_main_message", text });
+  }
+  return actions;
+}
+
+// Bots go through `applyAction` like everyone else, so the usual rules,
+// cooldowns and mutes apply. A rejected move is simply skipped.
+function takeBotTurn(state, bot, now) {
+  for (const action of botActionsFor(state, bot.id)) {
+    applyAction(state, bot.id, action, now);
+  }
+}
+
+function isPaused(state) {
+  return state.pausedRemainingMs !== null && state.pausedRemainingMs !== undefined;
+}
+
+// Host controls for the round clock. Pausing keeps the time that was left and
+// drops the deadline, so the backends have no alarm to fire until the resume.
+function applyRoundControl(state, host, type, action, now) {
+  if (state.hostId !== host.id) {
+    return errorResult("Only the host can control the round timer.");
+  }
+  if (state.phase !== "in_round") {
+    return errorResult("There is no round running.");
+  }
+  const stageName = state.stage === "day" ? "day" : "night";
+
+  if (type === "pause_game") {
+    if (isPaused(state)) {
+      return errorResult("The game is already paused.");
+    }
+    state.pausedRemainingMs = Math.max(0, state.roundEndsAt - now);
+    state.pausedAt = now;
+    state.roundEndsAt = null;
+    addSystemMessage(state, "The host paused the game.", now);
+    return okResult();
+  }
+
+  if (type === "resume_game") {
+    if (!isPaused(state)) {
+      return errorResult("The game is not paused.");
+    }
+    resumeClock(state, now);
+    addSystemMessage(state, "The host resumed the game.", now);
+    return okResult();
+  }
+
+  if (type === "extend_round") {
+    const seconds = Number(action.seconds);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_EXTEND_SECONDS) {
+      return errorResult(`Add 1 to ${MAX_EXTEND_SECONDS} seconds.`);
+    }
+    if (isPaused(state)) {
+      state.pausedRemainingMs += seconds * 1000;
+    } else {
+      state.roundEndsAt += seconds * 1000;
+    }
+    addSystemMessage(state, `The host added ${describeSeconds(seconds)} to the ${stageName}.`, now);
+    return okResult();
+  }
+
+  if (isPaused(state)) {
+    resumeClock(state, now);
+  }
+  addSystemMessage(state, `The host ended the ${stageName} early.`, now);
+  const roundResult = state.stage === "day" ? finishDay(state, now) : finishNight(state, now);
+  return okResult({ roundResults: [roundResult] });
+}
+
+// Restarts a paused clock with the time it had left. Bot turns move back by
+// as long as the pause lasted.
+function resumeClock(state, now) {
+  state.roundEndsAt = now + state.pausedRemainingMs;
+  for (const bot of botEntries(state)) {
+    if (bot.botActAt) {
+      bot.botActAt += now - state.pausedAt;
+    }
+  }
+  state.pausedRemainingMs = null;
+  state.pausedAt = null;
+}
+
+// Files the finished game under `pastResults` and puts everyone back in the
+// lobby with the same seats, code and settings. Main chat and DMs carry on.
+function returnToLobby(state, now) {
+  state.pastResults.push({
+    gameNumber: state.gameNumber,
+    gameId: state.gameId,
+    winner: state.winner,
+    rounds: state.roundNumber,
+    players: playerEntries(state)
+      .filter((player) => !player.isBot)
+      .map((player) => ({ name: player.name, role: player.role, survived: player.isAlive }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  });
+  if (state.pastResults.length > PAST_RESULTS_LIMIT) {
+    state.pastResults.splice(0, state.pastResults.length - PAST_RESULTS_LIMIT);
+  }
+
+  for (const player of playerEntries(state)) {
+    player.isAlive = true;
+    player.eliminatedAt = null;
+    player.role = "villager";
+    player.usesLeft = null;
+    player.lastActionAt = 0;
+    player.investigations = [];
+    player.will = "";
+    player.lastWordsUntil = null;
+    player.alias = null;
+    player.isReady = !!player.isBot;
+  }
+  state.phase = "lobby";
+  state.winner = null;
+  state.gameId = null;
+  state.roundNumber = 0;
+  state.stage = null;
+  state.roundEndsAt = null;
+  state.pausedRemainingMs = null;
+  state.pausedAt = null;
+  state.nightActions = {};
+  state.teamTargets = {};
+  state.teamLastActionAt = {};
+  state.votes = {};
+  state.teamMessages = {};
+  state.graveyardMessages = [];
+  state.history = [];
+  addSystemMessage(state, "The host brought everyone back to the lobby.", now);
+}
+
+// The eliminated player gets a short window for one last public message.
+function eliminate(player, now) {
+  player.isAlive = false;
+  player.eliminatedAt = now;
+  player.lastWordsUntil = now + LAST_WORDS_SECONDS * 1000;
+}
+
+// Posts what the players just eliminated leave behind: their role when the
+// lobby reveals roles publicly, then their will. Both are filed under the
+// round's history entry.
+function revealDeaths(state, summary, playerIds, now) {
+  summary.revealed = summary.revealed || [];
+  summary.wills = summary.wills || [];
+  for (const playerId of playerIds) {
+    const player = playerById(state, playerId);
+    if (roleShownPublicly(state, player)) {
+      summary.revealed.push({ playerId, role: player.role });
+      addSystemMessage(state, `${player.name} was the ${ROLES[player.role].label}.`, now);
+    }
+    if (player.will) {
+      summary.wills.push({ playerId, text: player.will });
+      addSystemMessage(state, `${player.name} left a will: ${player.will}`, now);
+    }
+  }
+}
+
+function resolveNightActions(state, now) {
+  const savedIds = new Set();
+  const killedIds = new Set();
+  const sharedTeams = new Set();
+  for (const [actorId, targetId] of Object.entries(state.nightActions)) {
+    const actor = playerById(state, actorId);
+    const target = playerById(state, targetId);
+    const night = ROLES[actor?.role]?.night;
+    if (!actor?.isAlive || !target?.isAlive || !night) {
+      continue;
+    }
+    if (night.shared) {
+      sharedTeams.add(ROLES[actor.role].team);
+      continue;
+    }
+    if (night.maxUses) {
+      actor.usesLeft = Math.max(0, actor.usesLeft - 1);
+    }
+    if (night.kind === "save") {
+      savedIds.add(targetId);
+    } else if (night.kind === "kill") {
+      killedIds.add(targetId);
+    } else if (night.kind === "investigate") {
+      actor.investigations.push({
+        round: state.roundNumber,
+        targetId,
+        team: ROLES[target.role].team
+      });
+    }
+  }
+
+  for (const team of sharedTeams) {
+    const targetId = sharedTargetFor(state, team);
+    if (targetId) {
+      killedIds.add(targetId);
+    }
+  }
+
+  const eliminatedIds = [];
+  const survivedBySaveIds = [];
+  for (const targetId of killedIds) {
+    if (savedIds.has(targetId)) {
+      survivedBySaveIds.push(targetId);
+      continue;
+    }
+    eliminate(playerById(state, targetId), now);
+    eliminatedIds.push(targetId);
+  }
+
+  return {
+    killedIds: [...killedIds],
+    savedIds: [...savedIds],
+    eliminatedIds,
+    survivedBySaveIds
+  };
+}
+
+function finishNight(state, now) {
+  const outcome = resolveNightActions(state, now);
+  const summary = {
+    id: makeId(),
+    round: state.roundNumber,
+    ...outcome,
+    voteOutcome: null,
+    lynchedId: null,
+    voteCounts: null,
+    at: now
+  };
+  state.history.push(summary);
+  state.nightActions = {};
+  state.teamTargets = {};
+  recordEvent(state, "round_ended", { stage: "night", round: summary.round, ...outcome }, now);
+
+  const killedNames = namesFor(state, summary.killedIds).join(", ") || "No one";
+  const savedNames = namesFor(state, summary.savedIds).join(", ") || "No one";
+  addSystemMessage(
+    state,
+    `Night ${summary.round} ended. Killed: ${killedNames}. Saved: ${savedNames}.`,
+    now
+  );
+  revealDeaths(state, summary, summary.eliminatedIds, now);
+
+  const winner = winnerFor(state);
+  if (winner) {
+    endGame(state, winner, now);
+  } else {
+    state.stage = "day";
+    state.votes = {};
+    state.roundEndsAt = now + state.settings.daySeconds * 1000;
+    addSystemMessage(state, `Day ${summary.round} has begun. Vote for a suspect to eliminate.`, now);
+    scheduleBots(state, now);
+  }
+  return { summary, stage: "night" };
+}
+
+function finishDay(state, now) {
+  const { outcome, lynchedId, counts } = resolveVotes(state);
+  const round = state.roundNumber;
+  let summary = state.history.find((entry) => entry.round === round);
+  if (!summary) {
+    summary = {
+      id: makeId(),
+      round,
+      killedIds: [],
+      savedIds: [],
+      eliminatedIds: [],
+      survivedBySaveIds: [],
+      at: now
+    };
+    state.history.push(summary);
+  }
+  summary.voteOutcome = outcome;
+  summary.lynchedId = lynchedId;
+  summary.voteCounts = counts;
+  recordEvent(
+    state,
+    "round_ended",
+    { stage: "day", round, voteOutcome: outcome, lynchedId, voteCounts: counts },
+    now
+  );
+
+  if (lynchedId) {
+    const target = playerById(state, lynchedId);
+    eliminate(target, now);
+    const votes = counts[lynchedId];
+    addSystemMessage(
+      state,
+      `Day ${round} ended. ${target.name} was voted out (${votes} vote${votes === 1 ? "" : "s"}).`,
+      now
+    );
+  } else if (outcome === "tie") {
+    addSystemMessage(state, `Day ${round} ended in a tie. No one was eliminated.`, now);
+  } else {
+    addSystemMessage(state, `Day ${round} ended with no elimination.`, now);
+  }
+  revealDeaths(state, summary, lynchedId ? [lynchedId] : [], now);
+  state.votes = {};
+
+  const winner = winnerFor(state);
+  if (winner) {
+    endGame(state, winner, now);
+  } else {
+    state.roundNumber += 1;
+    state.stage = "night";
+    state.roundEndsAt = now + state.settings.nightSeconds * 1000;
+    scheduleBots(state, now);
+  }
+  return { summary, stage: "day" };
+}
+
+/**
+ * Advances time: frees seats whose grace ran out, deals the roles once the
+ * start countdown is over, lets bots whose turn has come act, then ends the
+ * current night or day if its deadline has passed.
+ */
+export function tick(state, now) {
+  const result = unchangedResult();
+  const cutoff = now - state.reconnectGraceMs;
+  for (const spectator of spectatorEntries(state)) {
+    if (spectator.disconnectedAt && spectator.disconnectedAt <= cutoff) {
+      removeSpectator(state, spectator.id, now);
+      result.changed = true;
+    }
+  }
+  for (const player of playerEntries(state)) {
+    if (player.disconnectedAt && player.disconnectedAt <= cutoff) {
+      const removed = removePlayer(state, player.id, "lost connection", now);
+      result.changed = true;
+      if (removed.closed) {
+        result.closed = true;
+        return result;
+      }
+    }
+  }
+
+  if (state.phase === "lobby" && state.startsAt && now >= state.startsAt) {
+    const error = startGameError(state);
+    if (error) {
+      cancelCountdown(state, error.replace(/\.$/, "").toLowerCase(), now);
+    } else {
+      startGame(state, now);
+    }
+    result.changed = true;
+  }
+
+  for (const bot of botEntries(state)) {
+    if (state.phase === "in_round" && !isPaused(state) && bot.botActAt && bot.botActAt <= now) {
+      bot.botActAt = null;
+      takeBotTurn(state, bot, now);
+      result.changed = true;
+    }
+  }
+
+  if (state.phase === "in_round" && state.roundEndsAt && now >= state.roundEndsAt) {
+    result.roundResults.push(
+      state.stage === "day" ? finishDay(state, now) : finishNight(state, now)
+    );
+    result.changed = true;
+  }
+  return result;
+}
+
+function applyNightAction(state, player, roleId, action, now) {
+  const role = ROLES[roleId];
+  const night = role.night;
+  if (state.phase !== "in_round" || state.stage !== "night") {
+    return errorResult("Night actions can only happen at night.");
+  }
+  if (isPaused(state)) {
+    return errorResult("The game is paused.");
+  }
+  if (player.role !== roleId || !player.isAlive) {
+    return errorResult(`Only an alive ${role.label.toLowerCase()} can use this action.`);
+  }
+  if (night.maxUses && player.usesLeft <= 0) {
+    return errorResult("You have already used this action.");
+  }
+  const team = role.team;
+  const alreadyLocked = night.shared ? !!state.teamTargets[team] : !!state.nightActions[player.id];
+  if (night.lockIn && alreadyLocked) {
+    return errorResult(`${role.label} can only pick one target per night.`);
+  }
+  const lastActionAt = night.shared ? state.teamLastActionAt[team] || 0 : player.lastActionAt || 0;
+  const cooldownMs = Math.max(0, cooldownMsFor(state, night) - (now - lastActionAt));
+  if (cooldownMs > 0) {
+    return errorResult(`${night.icon} cooldown active (${Math.ceil(cooldownMs / 1000)}s left).`);
+  }
+
+  const targetId = String(action.targetId || "");
+  const target = playerById(state, targetId);
+  if (!target || !target.isAlive || (!night.allowSelf && target.id === player.id)) {
+    return errorResult(
+      night.allowSelf ? "Pick an alive target." : "Pick an alive target other than yourself."
+    );
+  }
+  if (!night.allowTeammates && ROLES[target.role].team === team) {
+    return errorResult("You cannot target your own team.");
+  }
+
+  state.nightActions[player.id] = targetId;
+  recordEvent(state, "night_action", { actorId: player.id, action: night.action, targetId }, now);
+  if (night.shared) {
+    const members = teamMembers(state, team, true);
+    const support = teamProposalCounts(state, team)[targetId] || 0;
+    addTeamMessage(state, team, null, `${player.name} proposed ${target.name}.`, now);
+    if (support >= Math.floor(members.length / 2) + 1) {
+      state.teamTargets[team] = targetId;
+      state.teamLastActionAt[team] = now;
+      addTeamMessage(state, team, null, `Target confirmed: ${target.name}.`, now);
+    }
+  } else {
+    player.lastActionAt = now;
+  }
+  return okResult();
+}
+
+function applyGraveyardMessage(state, member, action, now) {
+  if (!canUseGraveyard(state, member.id)) {
+    return errorResult("Only eliminated players and spectators can use the graveyard.");
+  }
+  const text = sanitizeMessage(action.text, state.settings.maxChatLength);
+  if (!text) {
+    return errorResult("Message is empty.");
+  }
+  appendMessage(
+    state,
+    "graveyard",
+    state.graveyardMessages,
+    chatMessage(member, text, now),
+    state.settings.mainHistoryLimit
+  );
+  return okResult();
+}
+
+function applySpectatorAction(state, spectator, type, action, now) {
+  if (type === "leave_lobby") {
+    return removeSpectator(state, spectator.id, now);
+  }
+
+  if (type === "send_spectator_message") {
+    const text = sanitizeMessage(action.text, state.settings.maxChatLength);
+    if (!text) {
+      return errorResult("Message is empty.");
+    }
+    appendMessage(
+      state,
+      "spectators",
+      state.spectatorMessages,
+      chatMessage(spectator, text, now),
+      state.settings.mainHistoryLimit
+    );
+    return okResult();
+  }
+
+  if (type === "send_graveyard_message") {
+    return applyGraveyardMessage(state, spectator, action, now);
+  }
+
+  return errorResult("Spectators can only watch and use the spectator chat.");
+}
+
+/**
+ * Applies one client action (`{ type, ...payload }`) from a player or
+ * spectator. Returns `{ ok: false, error }` when the action is rejected.
+ */
+export function applyAction(state, playerId, action, now) {
+  const type = String(action?.type || "");
+  if (!type || type === "ack") {
+    return errorResult("Invalid action.");
+  }
+
+  const spectator = spectatorById(state, playerId);
+  if (spectator) {
+    return applySpectatorAction(state, spectator, type, action, now);
+  }
+  const player = playerById(state, playerId);
+  if (!player) {
+    return errorResult("Session no longer exists.");
+  }
+
+  if (type === "leave_lobby") {
+    return removePlayer(state, playerId, "left the lobby", now);
+  }
+
+  if (
+    type === "kick_player" ||
+    type === "ban_player" ||
+    type === "mute_player" ||
+    type === "transfer_host"
+  ) {
+    return applyModeration(state, player, type, action, now);
+  }
+
+  if (
+    type === "pause_game" ||
+    type === "resume_game" ||
+    type === "extend_round" ||
+    type === "skip_round"
+  ) {
+    return applyRoundControl(state, player, type, action, now);
+  }
+
+  if (CHAT_ACTIONS.has(type) && player.mutedUntil > now) {
+    const seconds = Math.ceil((player.mutedUntil - now) / 1000);
+    return errorResult(`The host muted you. You can chat again in ${seconds}s.`);
+  }
+
+  if (type === "start_game") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can start the game.");
+    }
+    if (state.phase !== "lobby") {
+      return errorResult("Game already started.");
+    }
+    if (state.startsAt) {
+      return errorResult("The game is already starting.");
+    }
+    const error = startGameError(state);
+    if (error) {
+      return errorResult(error);
+    }
+    startCountdown(state, now);
+    return okResult();
+  }
+
+  if (type === "cancel_start") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can call off the start.");
+    }
+    if (!state.startsAt) {
+      return errorResult("The game is not starting.");
+    }
+    cancelCountdown(state, "the host stopped it", now);
+    return okResult();
+  }
+
+  if (type === "set_ready") {
+    if (state.phase !== "lobby") {
+      return errorResult("The game already started.");
+    }
+    player.isReady = !!action.ready;
+    if (!player.isReady && state.startsAt) {
+      cancelCountdown(state, `${player.name} is not ready`, now);
+    }
+    return okResult();
+  }
+
+  if (type === "add_bot") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can add bots.");
+    }
+    if (state.phase !== "lobby") {
+      return errorResult("Bots can only be added before the game starts.");
+    }
+    if (playerIds(state).length >= state.settings.maxPlayers) {
+      return errorResult("Lobby is full.");
+    }
+    addBot(state, now);
+    return okResult();
+  }
+
+  if (type === "set_password") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can change the password.");
+    }
+    setPasswordHash(state, action.passwordHash);
+    const change = state.passwordHash ? "set a new" : "removed the";
+    addSystemMessage(state, `The host ${change} lobby password.`, now);
+    return okResult();
+  }
+
+  // `rematch` is `return_to_lobby` followed by `start_game`, checked up front
+  // so a lobby that cannot start again is left as it was. Going back to the
+  // lobby clears everyone's ready flag, so with the ready check on the next
+  // game waits in the lobby until everyone readies up again.
+  if (type === "return_to_lobby" || type === "rematch") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can start a new game.");
+    }
+    if (state.phase !== "ended") {
+      return errorResult("The game is not over yet.");
+    }
+    const error = type === "rematch" ? startGameError(state) : null;
+    if (error) {
+      return errorResult(error);
+    }
+    returnToLobby(state, now);
+    if (type === "rematch") {
+      const notReady = startGameError(state);
+      if (notReady) {
+        addSystemMessage(state, notReady, now);
+      } else {
+        startCountdown(state, now);
+      }
+    }
+    return okResult();
+  }
+
+  if (type === "set_will") {
+    if (!player.isAlive) {
+      return errorResult("Your will was already read out.");
+    }
+    player.will = sanitizeMessage(action.text, MAX_WILL_LEN);
+    return okResult();
+  }
+
+  if (type === "send_main_message") {
+    const lastWords = state.phase !== "lobby" && !player.isAlive;
+    if (lastWords && !(player.lastWordsUntil > now)) {
+      return errorResult("Eliminated players can only chat in the graveyard.");
+    }
+    const text = sanitizeMessage(action.text, state.settings.maxChatLength);
+    if (!text) {
+      return errorResult("Message is empty.");
+    }
+    const message = chatMessage(player, text, now);
+    // An anonymous game hides who is talking in the main chat until it ends.
+    if (state.phase === "in_round" && player.alias) {
+      message.fromId = null;
+      message.fromName = player.alias;
+      message.anonymous = true;
+    }
+    if (lastWords) {
+      message.lastWords = true;
+      player.lastWordsUntil = null;
+    }
+    appendMessage(state, "main", state.mainMessages, message, state.settings.mainHistoryLimit);
+    return okResult();
+  }
+
+  if (type === "send_team_message") {
+    const team = ROLES[player.role].team;
+    if (state.phase === "lobby" || !ROLES[player.role].knowsTeammates) {
+      return errorResult("You do not have a team chat.");
+    }
+    if (!player.isAlive) {
+      return errorResult("Eliminated players can only chat in the graveyard.");
+    }
+    const text = sanitizeMessage(action.text, state.settings.maxChatLength);
+    if (!text) {
+      return errorResult("Message is empty.");
+    }
+    addTeamMessage(state, team, player, text, now);
+    return okResult();
+  }
+
+  if (type === "send_private_message") {
+    if (state.phase !== "lobby" && !player.isAlive) {
+      return errorResult("Eliminated players can only chat in the graveyard.");
+    }
+    const recipient = playerById(state, String(action.toId || ""));
+    if (!recipient || recipient.id === player.id) {
+      return errorResult("Select a valid player for private chat.");
+    }
+    const text = sanitizeMessage(action.text, state.settings.maxChatLength);
+    if (!text) {
+      return errorResult("Message is empty.");
+    }
+    addDmMessage(state, player, recipient, text, now);
+    return okResult();
+  }
+
+  if (type === "send_spectator_message") {
+    return errorResult("Only spectators can use the spectator chat.");
+  }
+
+  if (type === "send_graveyard_message") {
+    return applyGraveyardMessage(state, player, action, now);
+  }
+
+  if (type === "update_settings") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can change settings.");
+    }
+    if (state.phase !== "lobby") {
+      return errorResult("Settings are locked once the game starts.");
+    }
+    const { settings, error } = mergeSettings(state.settings, action.settings);
+    if (error) {
+      return errorResult(error);
+    }
+    state.settings = settings;
+    return okResult();
+  }
+
+  if (type === "set_role_counts") {
+    if (state.hostId !== playerId) {
+      return errorResult("Only the host can change the roles.");
+    }
+    if (state.phase !== "lobby") {
+      return errorResult("Roles are locked once the game starts.");
+    }
+    const { counts, error } = sanitizeRoleCounts(action.roleCounts);
+    if (error) {
+      return errorResult(error);
+    }
+    state.roleCounts = counts;
+    state.scaleMafia = !!action.scaleMafia;
+    return okResult();
+  }
+
+  const actionRoleId = roleForAction(type);
+  if (actionRoleId) {
+    return applyNightAction(state, player, actionRoleId, action, now);
+  }
+
+  if (type === "cast_vote") {
+    if (state.phase !== "in_round" || state.stage !== "day") {
+      return errorResult("Votes can only be cast during the day.");
+    }
+    if (isPaused(state)) {
+      return errorResult("The game is paused.");
+    }
+    if (!player.isAlive) {
+      return errorResult("Eliminated players cannot vote.");
+    }
+    const targetId = String(action.targetId || "");
+    if (targetId !== NO_LYNCH) {
+      const target = playerById(state, targetId);
+      if (!target || !target.isAlive || target.id === player.id) {
+        return errorResult("Vote for an alive player other than yourself.");
+      }
+    }
+    state.votes[player.id] = targetId;
+    recordEvent(state, "vote", { voterId: player.id, targetId }, now);
+    return okResult();
+  }
+
+  return errorResult("Unknown action.");
+}
@@ -0,0 +1,103 @@
+// Token buckets that keep one client from flooding a lobby or the API. Used by
+// the Worker and by server.js: one bucket per player for WebSocket actions and
+// one per IP address for the REST routes and socket upgrades.
+
+// Each limit allows a burst of `burst` requests, then `perSecond` after that.
+// The API limit is shared by everyone behind one IP, and each join costs a
+// join-lobby, a socket upgrade and a lobby list, so it leaves room for a party
+// joining by QR code on the same Wi-Fi.
+const DEFAULT_LIMITS = {
+  action: { burst: 20, perSecond: 5 },
+  api: { burst: 120, perSecond: 2 }
+};
+
+// Past this many tracked keys, buckets that have filled back up are dropped.
+const PRUNE_AT = 10_000;
+
+function limitFrom(burst, perSecond, fallback) {
+  const parsedBurst = Number(burst);
+  const parsedRate = Number(perSecond);
+  return {
+    burst: Number.isFinite(parsedBurst) && parsedBurst >= 0 ? parsedBurst : fallback.burst,
+    perSecond: Number.isFinite(parsedRate) && parsedRate > 0 ? parsedRate : fallback.perSecond
+  };
+}
+
+/**
+ * Reads the limits from Worker vars or `process.env`. `ACTION_RATE_BURST` and
+ * `ACTION_RATE_PER_SECOND` cover each player's socket actions; `API_RATE_BURST`
+ * and `API_RATE_PER_SECOND` cover each IP's REST requests. A burst of 0 turns
+ * that limit off.
+ */
+export function rateLimitsFromEnv(env = {}) {
+  return {
+    action: limitFrom(env.ACTION_RATE_BURST, env.ACTION_RATE_PER_SECOND, DEFAULT_LIMITS.action),
+    api: limitFrom(env.API_RATE_BURST, env.API_RATE_PER_SECOND, DEFAULT_LIMITS.api)
+  };
+}
+
+/**
+ * One token bucket per key. Kept in memory only, so a restart (or a Durable
+ * Object waking from hibernation) starts everyone with a full bucket.
+ */
+export class RateLimiter {
+  constructor({ burst, perSecond }) {
+    this.burst = burst;
+    this.perSecond = perSecond;
+    // key -> { tokens, at }
+    this.buckets = new Map();
+  }
+
+  tokensAt(bucket, now) {
+    const refilled = ((now - bucket.at) / 1000) * this.perSecond;
+    return Math.min(this.burst, bucket.tokens + Math.max(0, refilled));
+  }
+
+  /**
+   * Spends a token for `key`. Returns 0 when the request may go ahead, or how
+   * many milliseconds to wait until the next token.
+   */
+  take(key, now) {
+    if (!this.burst) {
+      return 0;
+    }
+    const bucket = this.buckets.get(key);
+    const tokens = bucket ? this.tokensAt(bucket, now) : this.burst;
+    if (tokens < 1) {
+      return Math.ceil(((1 - tokens) / this.perSecond) * 1000);
+    }
+    if (!bucket && this.buckets.size >= PRUNE_AT) {
+      this.prune(now);
+    }
+    this.buckets.set(key, { tokens: tokens - 1, at: now });
+    return 0;
+  }
+
+  prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (this.tokensAt(bucket, now) >= this.burst) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/** The `ack` sent back when a player's socket action is turned away. */
+export function rateLimitedAck(retryAfterMs) {
+  return {
+    ok: false,
+    code: "rate_limited",
+    error: `You're going too fast. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`,
+    retryAfterMs
+  };
+}
+
+/** The JSON body of a 429 from the REST routes. */
+export function rateLimitedBody(retryAfterMs) {
+  return {
+    ok: false,
+    code: "rate_limited",
+    error: "Too many requests. Try again shortly.",
+    retryAfterMs
+  };
+}
@@ -0,0 +1,257 @@
+// Turns successive `viewFor` results into small patches, so a chat message or
+// a vote sends one event instead of the whole lobby. Used by the Worker and by
+// server.js; public/app.js has the matching `applyStateEvent`.
+//
+// Wire format, per viewer:
+//   { type: "state", seq, state }            full snapshot (on connect/resync)
+//   { type: "patch", seq, prevSeq, events }  applies on top of `prevSeq`
+// A client whose last seq is not `prevSeq` has missed something and sends
+// `{ type: "resync" }` to get a fresh snapshot.
+
+// Chat lists in a view and the channel name their events use.
+const MESSAGE_CHANNELS = {
+  mainMessages: "main",
+  teamMessages: "team",
+  graveyardMessages: "graveyard",
+  spectatorMessages: "spectators"
+};
+
+const PHASE_FIELDS = new Set(["phase", "started", "stage", "roundNumber", "roundEndsAt", "winner"]);
+
+// Derived from `roundEndsAt` at the moment the view was built; clients count
+// down from `roundEndsAt` instead.
+const IGNORED_FIELDS = new Set(["timeLeftMs"]);
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Returns the messages appended to `previous`, or null when the list changed
+// in some other way (edited, reordered, cleared, replaced by a new game's).
+// Dropping the oldest entries to stay under the history cap still counts as
+// appending, as long as some of `previous` is left at the start of `next`.
+function appendedMessages(previous, next) {
+  const previousIds = new Set(previous.map((message) => message.id));
+  let kept = 0;
+  while (kept < next.length && previousIds.has(next[kept].id)) {
+    kept += 1;
+  }
+  if (previous.length && !kept) {
+    return null;
+  }
+  const added = next.slice(kept);
+  const tail = kept ? previous.slice(-kept) : [];
+  if (added.some((message) => previousIds.has(message.id))) {
+    return null;
+  }
+  if (!sameValue(next.slice(0, kept), tail)) {
+    return null;
+  }
+  return added;
+}
+
+function messageEvents(channel, previous, next, extra = {}) {
+  const added = appendedMessages(previous, next);
+  if (!added) {
+    return null;
+  }
+  return added.map((message) => ({
+    type: "message_added",
+    channel,
+    ...extra,
+    message,
+    keep: next.length
+  }));
+}
+
+function playerEvents(previous, next) {
+  const events = [];
+  const previousById = new Map(previous.map((player) => [player.id, player]));
+  const nextIds = new Set();
+  for (const player of next) {
+    nextIds.add(player.id);
+    if (!sameValue(previousById.get(player.id), player)) {
+      events.push({ type: "player_updated", player });
+    }
+  }
+  for (const player of previous) {
+    if (!nextIds.has(player.id)) {
+      events.push({ type: "player_removed", playerId: player.id });
+    }
+  }
+  return events;
+}
+
+// DM threads only ever gain messages or appear; anything else (a peer leaving,
+// a rename) resends the thread list.
+function dmEvents(previous, next) {
+  const previousByPeer = new Map(previous.map((thread) => [thread.peerId, thread]));
+  if (previous.some((thread) => !next.some((other) => other.peerId === thread.peerId))) {
+    return null;
+  }
+  const events = [];
+  for (const thread of next) {
+    const before = previousByPeer.get(thread.peerId);
+    if (before && before.peerName !== thread.peerName) {
+      return null;
+    }
+    const added = messageEvents("dm", before?.messages || [], thread.messages, {
+      peerId: thread.peerId,
+      peerName: thread.peerName
+    });
+    if (!added) {
+      return null;
+    }
+    events.push(...added);
+  }
+  return events;
+}
+
+/**
+ * Lists the events that turn one viewer's `previous` view into `next`.
+ * Returns an empty list when nothing they can see changed.
+ */
+export function diffViews(previous, next) {
+  const events = [];
+  const changedFields = {};
+  const phaseFields = {};
+
+  for (const key of Object.keys(next)) {
+    if (IGNORED_FIELDS.has(key) || sameValue(previous[key], next[key])) {
+      continue;
+    }
+    let fieldEvents = null;
+    if (MESSAGE_CHANNELS[key]) {
+      fieldEvents = messageEvents(MESSAGE_CHANNELS[key], previous[key] || [], next[key]);
+    } else if (key === "players") {
+      fieldEvents = playerEvents(previous.players || [], next.players);
+    } else if (key === "dmThreads") {
+      fieldEvents = dmEvents(previous.dmThreads || [], next.dmThreads);
+    } else if (PHASE_FIELDS.has(key)) {
+      phaseFields[key] = next[key];
+      continue;
+    }
+
+    if (fieldEvents) {
+      events.push(...fieldEvents);
+    } else {
+      changedFields[key] = next[key];
+    }
+  }
+
+  if (Object.keys(phaseFields).length) {
+    events.unshift({ type: "phase_changed", fields: phaseFields });
+  }
+  if (Object.keys(changedFields).length) {
+    events.push({ type: "fields_changed", fields: changedFields });
+  }
+  return events;
+}
+
+/**
+ * Remembers the last view sent to each viewer and hands out snapshots and
+ * patches against it. Kept in memory only: after a restart every viewer
+ * simply gets a fresh snapshot on the next change.
+ */
+export class ViewStreams {
+  constructor() {
+    this.seq = 0;
+    this.streams = new Map();
+  }
+
+  /** Starts a new version; call once per committed change. */
+  advance() {
+    this.seq += 1;
+  }
+
+  /**
+   * Returns the message that brings a viewer up to `view`: a snapshot if they
+   * have none yet, a patch if something changed, or null.
+   */
+  update(viewerId, view) {
+    const stream = this.streams.get(viewerId);
+    if (!stream) {
+      const copy = structuredClone(view);
+      this.streams.set(viewerId, { view: copy, seq: this.seq });
+      return { type: "state", seq: this.seq, state: copy };
+    }
+    const events = diffViews(stream.view, view);
+    if (!events.length) {
+      return null;
+    }
+    const message = { type: "patch", seq: this.seq, prevSeq: stream.seq, events };
+    stream.view = structuredClone(view);
+    stream.seq = this.seq;
+    return message;
+  }
+
+  /** A full copy of `view` for one socket that just connected or resynced. */
+  snapshot(viewerId, view) {
+    const stream = this.streams.get(viewerId);
+    if (!stream || diffViews(stream.view, view).length) {
+      this.streams.set(viewerId, { view: structuredClone(view), seq: this.seq });
+    }
+    const current = this.streams.get(viewerId);
+    return { type: "state", seq: current.seq, state: current.view };
+  }
+
+  /** Drops streams for anyone who is no longer in the lobby. */
+  retain(viewerIds) {
+    const keep = new Set(viewerIds);
+    for (const viewerId of this.streams.keys()) {
+      if (!keep.has(viewerId)) {
+        this.streams.delete(viewerId);
+      }
+    }
+  }
+}
+
+function messageListFor(state, event) {
+  if (event.channel !== "dm") {
+    const key = Object.keys(MESSAGE_CHANNELS).find(
+      (field) => MESSAGE_CHANNELS[field] === event.channel
+    );
+    state[key] = state[key] || [];
+    return state[key];
+  }
+  let thread = state.dmThreads.find((entry) => entry.peerId === event.peerId);
+  if (!thread) {
+    thread = { peerId: event.peerId, peerName: event.peerName, messages: [] };
+    state.dmThreads.push(thread);
+  }
+  return thread.messages;
+}
+
+function lastMessageAt(thread) {
+  return thread.messages.length ? thread.messages[thread.messages.length - 1].at : 0;
+}
+
+/**
+ * Applies a patch's events to a client-side copy of the state, in place. This
+ * is the reference for `applyStateEvent` in public/app.js.
+ */
+export function applyPatch(state, events) {
+  for (const event of events) {
+    if (event.type === "phase_changed" || event.type === "fields_changed") {
+      Object.assign(state, event.fields);
+    } else if (event.type === "player_updated") {
+      const index = state.players.findIndex((player) => player.id === event.player.id);
+      if (index === -1) {
+        state.players.push(event.player);
+      } else {
+        state.players[index] = event.player;
+      }
+      state.players.sort((a, b) => a.name.localeCompare(b.name));
+    } else if (event.type === "player_removed") {
+      state.players = state.players.filter((player) => player.id !== event.playerId);
+    } else if (event.type === "message_added") {
+      const messages = messageListFor(state, event);
+      messages.push(event.message);
+      messages.splice(0, Math.max(0, messages.length - event.keep));
+      if (event.channel === "dm") {
+        state.dmThreads.sort((a, b) => lastMessageAt(b) - lastMessageAt(a));
+      }
+    }
+  }
+  return state;
+}
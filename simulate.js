@@ -0,0 +1,308 @@
+import { parseArgs } from "node:util";
+import { pathToFileURL } from "node:url";
+import {
+  applyAction,
+  botActionsFor,
+  connectMember,
+  createLobby,
+  joinLobby,
+  nextWakeAt,
+  setRandomSource,
+  takeNewEvents,
+  takeNewMessages,
+  tick,
+  viewFor
+} from "./shared/engine.js";
+
+// A game that is still going after this many rounds is counted as unfinished.
+const MAX_ROUNDS = 100;
+const NO_LYNCH = "no_lynch";
+
+const USAGE = `Usage: node simulate.js [options]
+
+Plays many games against the engine with no sockets or clocks and prints the
+results for each player count.
+
+  --players <n,n,...>   Player counts to simulate (default 5,10)
+  --games <n>           Games per player count (default 1000)
+  --roles <role=n,...>  Role counts, e.g. mafia=1,guardian=1 (default: lobby defaults)
+  --scale-mafia         Scale the mafia with the player count (1 per 4 players)
+  --settings <key=n,..> Lobby settings, e.g. mafiaCooldownSeconds=60,nightSeconds=120
+  --strategy <name>     "bots" plays every seat with the bot heuristics,
+                        "random" picks legal targets and votes at random (default bots)
+  --seed <n>            Seed for the random number generator (default 1)
+  --format <name>       "csv" or "json" (default csv)
+  --help                Show this message`;
+
+// mulberry32: small, fast and good enough to shuffle roles reproducibly.
+function seededRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseCounts(raw, label) {
+  const counts = {};
+  for (const pair of String(raw || "").split(",").filter(Boolean)) {
+    const [key, value] = pair.split("=");
+    const number = Number(value);
+    if (!key || !Number.isFinite(number)) {
+      throw new Error(`Could not read ${label} entry "${pair}". Use key=number.`);
+    }
+    counts[key.trim()] = number;
+  }
+  return counts;
+}
+
+function pickRandom(random, items) {
+  return items.length ? items[Math.floor(random() * items.length)] : null;
+}
+
+// Picks from what the player can see in their own view, as a real client would.
+function randomActionsFor(state, playerId, random, now) {
+  const view = viewFor(state, playerId, now);
+  if (!view.youAreAlive) {
+    return [];
+  }
+  const teammateIds = new Set(view.teammates.map((player) => player.id));
+  const alive = view.players.filter((player) => player.isAlive);
+  if (state.stage === "night") {
+    const night = view.nightAction;
+    if (!night || night.lockedIn) {
+      return [];
+    }
+    const target = pickRandom(
+      random,
+      alive.filter(
+        (player) =>
+          (night.allowSelf || !player.isSelf) &&
+          (night.allowTeammates || !teammateIds.has(player.id))
+      )
+    );
+    return target ? [{ type: night.action, targetId: target.id }] : [];
+  }
+  const target = pickRandom(random, [
+    ...alive.filter((player) => !player.isSelf).map((player) => player.id),
+    NO_LYNCH
+  ]);
+  return [{ type: "cast_vote", targetId: target }];
+}
+
+/**
+ * Plays one game to the end and returns `{ winner, rounds, saves,
+ * savesThatMattered }`. With the "bots" strategy the host seat is played by
+ * the simulator with the bot heuristics and every other seat is a bot; with
+ * "random" every seat is a player the simulator moves at random.
+ */
+function playGame({ players, roleCounts, scaleMafia, settings, strategy }, random) {
+  const state = createLobby("SIMUL");
+  let now = 0;
+  const playerIds = [];
+  const seat = () => {
+    const joined = joinLobby(state, `Player ${playerIds.length + 1}`, now);
+    connectMember(state, joined.playerId, now);
+    playerIds.push(joined.playerId);
+  };
+  seat();
+  const [hostId] = playerIds;
+  const setup = [
+    { type: "update_settings", settings: { maxPlayers: Math.max(players, 4), ...settings } },
+    { type: "set_role_counts", roleCounts: roleCounts || state.roleCounts, scaleMafia }
+  ];
+  for (let i = 1; i < players; i += 1) {
+    if (strategy === "bots") {
+      setup.push({ type: "add_bot" });
+    } else {
+      seat();
+    }
+  }
+  setup.push({ type: "start_game" });
+  for (const action of setup) {
+    const result = applyAction(state, hostId, action, now);
+    if (!result.ok) {
+      throw new Error(result.error);
+    }
+  }
+  // Let the start countdown run out.
+  now = nextWakeAt(state);
+  tick(state, now);
+
+  // The simulator's own seats move as soon as each night or day begins; bots
+  // wait for their turn in `tick`.
+  let movedStage = null;
+  while (state.phase === "in_round" && state.roundNumber <= MAX_ROUNDS) {
+    const stageKey = `${state.roundNumber}:${state.stage}`;
+    if (movedStage !== stageKey) {
+      movedStage = stageKey;
+      for (const playerId of playerIds) {
+        const actions =
+          strategy === "bots"
+            ? botActionsFor(state, playerId)
+            : randomActionsFor(state, playerId, random, now);
+        for (const action of actions) {
+          applyAction(state, playerId, action, now);
+        }
+      }
+    }
+    now = nextWakeAt(state);
+    tick(state, now);
+    // Nothing reads the logs here, so keep the queues from growing.
+    takeNewMessages(state);
+    takeNewEvents(state);
+  }
+
+  let saves = 0;
+  let savesThatMattered = 0;
+  for (const entry of state.history) {
+    saves += entry.savedIds.length;
+    savesThatMattered += entry.survivedBySaveIds.length;
+  }
+  return {
+    winner: state.phase === "ended" ? state.winner : null,
+    rounds: state.roundNumber,
+    saves,
+    savesThatMattered
+  };
+}
+
+function ratio(part, whole) {
+  return whole ? Number((part / whole).toFixed(4)) : 0;
+}
+
+/**
+ * Runs `options.games` games for each entry of `options.players` and returns
+ * one summary row per player count. Seeded, so the same options always give
+ * the same rows.
+ */
+export function simulate(options) {
+  const random = seededRandom(options.seed);
+  setRandomSource(random);
+  try {
+    return options.players.map((players) => {
+      const wins = {};
+      let unfinished = 0;
+      let rounds = 0;
+      let saves = 0;
+      let savesThatMattered = 0;
+      for (let game = 0; game < options.games; game += 1) {
+        const result = playGame({ ...options, players }, random);
+        if (result.winner) {
+          wins[result.winner] = (wins[result.winner] || 0) + 1;
+        } else {
+          unfinished += 1;
+        }
+        rounds += result.rounds;
+        saves += result.saves;
+        savesThatMattered += result.savesThatMattered;
+      }
+      const winRates = {};
+      for (const [winner, count] of Object.entries(wins)) {
+        winRates[winner] = ratio(count, options.games);
+      }
+      return {
+        players,
+        games: options.games,
+        winRates,
+        unfinished,
+        averageRounds: ratio(rounds, options.games),
+        saves,
+        saveSuccessRate: ratio(savesThatMattered, saves)
+      };
+    });
+  } finally {
+    setRandomSource();
+  }
+}
+
+/** Flattens the rows into CSV with one win-rate column per winning team seen. */
+export function toCsv(rows) {
+  const teams = [...new Set(rows.flatMap((row) => Object.keys(row.winRates)))].sort();
+  const header = [
+    "players",
+    "games",
+    ...teams.map((team) => `winRate:${team}`),
+    "unfinished",
+    "averageRounds",
+    "saves",
+    "saveSuccessRate"
+  ];
+  const lines = rows.map((row) =>
+    [
+      row.players,
+      row.games,
+      ...teams.map((team) => row.winRates[team] || 0),
+      row.unfinished,
+      row.averageRounds,
+      row.saves,
+      row.saveSuccessRate
+    ].join(",")
+  );
+  return [header.join(","), ...lines].join("\n");
+}
+
+function optionsFromArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      players: { type: "string", default: "5,10" },
+      games: { type: "string", default: "1000" },
+      roles: { type: "string" },
+      "scale-mafia": { type: "boolean", default: false },
+      settings: { type: "string" },
+      strategy: { type: "string", default: "bots" },
+      seed: { type: "string", default: "1" },
+      format: { type: "string", default: "csv" },
+      help: { type: "boolean", default: false }
+    }
+  });
+  if (values.help) {
+    return null;
+  }
+  const players = values.players.split(",").map(Number);
+  if (!players.length || players.some((count) => !Number.isInteger(count) || count < 4)) {
+    throw new Error("--players needs whole numbers of at least 4.");
+  }
+  const games = Number(values.games);
+  if (!Number.isInteger(games) || games < 1) {
+    throw new Error("--games must be a positive whole number.");
+  }
+  if (values.strategy !== "bots" && values.strategy !== "random") {
+    throw new Error('--strategy must be "bots" or "random".');
+  }
+  if (values.format !== "csv" && values.format !== "json") {
+    throw new Error('--format must be "csv" or "json".');
+  }
+  return {
+    players,
+    games,
+    roleCounts: values.roles ? parseCounts(values.roles, "--roles") : null,
+    scaleMafia: values["scale-mafia"],
+    settings: parseCounts(values.settings, "--settings"),
+    strategy: values.strategy,
+    seed: Number(values.seed) || 0,
+    format: values.format
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = optionsFromArgs(process.argv.slice(2));
+    if (!options) {
+      // eslint-disable-next-line no-console
+      console.log(USAGE);
+    } else {
+      const rows = simulate(options);
+      // eslint-disable-next-line no-console
+      console.log(options.format === "json" ? JSON.stringify(rows, null, 2) : toCsv(rows));
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`${error.message}\nRun with --help for the options.`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,917 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyAction,
+  buildReplay,
+  connectMember,
+  createLobby,
+  disconnectMember,
+  historyQueryFor,
+  joinLobby,
+  memberForSession,
+  nextWakeAt,
+  passwordHashFor,
+  sanitizeCode,
+  sanitizeName,
+  setPasswordHash,
+  spectateLobby,
+  takeNewEvents,
+  takeNewMessages,
+  tick,
+  viewFor
+} from "../shared/engine.js";
+
+const T0 = 1_700_000_000_000;
+const NO_LYNCH = "no_lynch";
+
+function lobbyWith(names, options) {
+  const state = createLobby("ABCDE", options);
+  const ids = {};
+  for (const name of names) {
+    const joined = joinLobby(state, name, T0);
+    connectMember(state, joined.playerId, T0);
+    ids[name] = joined.playerId;
+  }
+  return { state, ids };
+}
+
+// Starts the countdown and lets it run out, so the first night opens at T0.
+function dealRoles(state, hostId) {
+  const started = applyAction(state, hostId, { type: "start_game" }, T0 - 5000);
+  tick(state, T0);
+  return started;
+}
+
+function startedLobby(names) {
+  const lobby = lobbyWith(names);
+  const hostId = lobby.ids[names[0]];
+  assert.equal(dealRoles(lobby.state, hostId).ok, true);
+  return lobby;
+}
+
+function playersWithRole(state, role) {
+  return Object.values(state.players).filter((player) => player.role === role);
+}
+
+test("sanitizes names and lobby codes", () => {
+  assert.equal(sanitizeName("  Ada   Lovelace "), "Ada Lovelace");
+  assert.equal(sanitizeName(""), "Player");
+  assert.equal(sanitizeCode("ab-c d9xyz"), "ABCD9");
+});
+
+test("the first player to join hosts the lobby", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  assert.equal(state.hostId, ids.Ana);
+  assert.equal(viewFor(state, ids.Ben, T0).hostId, ids.Ana);
+});
+
+test("start_game is host only and needs enough players", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy"]);
+  assert.equal(
+    applyAction(state, ids.Ben, { type: "start_game" }, T0).error,
+    "Only the host can start the game."
+  );
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "start_game" }, T0).error,
+    "Need at least 4 players to start."
+  );
+});
+
+test("start_game assigns the configured roles and opens the first night", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee", "Eve"]);
+  assert.equal(state.phase, "in_round");
+  assert.equal(state.stage, "night");
+  assert.equal(state.roundNumber, 1);
+  assert.equal(state.roundEndsAt, T0 + state.settings.nightSeconds * 1000);
+  assert.equal(playersWithRole(state, "mafia").length, 1);
+  assert.equal(playersWithRole(state, "guardian").length, 1);
+  assert.equal(playersWithRole(state, "villager").length, 3);
+});
+
+test("start_game counts down, and the countdown can be called off", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  assert.equal(applyAction(state, ids.Ana, { type: "start_game" }, T0).ok, true);
+  assert.equal(state.phase, "lobby");
+  assert.equal(viewFor(state, ids.Ben, T0).startsAt, T0 + 5000);
+  assert.equal(nextWakeAt(state), T0 + 5000);
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "start_game" }, T0).error,
+    "The game is already starting."
+  );
+  assert.equal(
+    applyAction(state, ids.Ben, { type: "cancel_start" }, T0).error,
+    "Only the host can call off the start."
+  );
+  applyAction(state, ids.Ana, { type: "cancel_start" }, T0);
+  assert.equal(state.startsAt, null);
+  assert.equal(state.mainMessages.at(-1).text, "The start was called off: the host stopped it.");
+
+  applyAction(state, ids.Ana, { type: "start_game" }, T0);
+  applyAction(state, ids.Dee, { type: "leave_lobby" }, T0 + 1000);
+  assert.equal(state.startsAt, null);
+  tick(state, T0 + 5000);
+  assert.equal(state.phase, "lobby");
+});
+
+test("with the ready check on, everyone has to be ready to start", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  const settings = { requireReady: true };
+  applyAction(state, ids.Ana, { type: "update_settings", settings }, T0);
+  applyAction(state, ids.Ana, { type: "add_bot" }, T0);
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "start_game" }, T0).error,
+    "Everyone needs to be ready first."
+  );
+  for (const name of ["Ana", "Ben", "Cy", "Dee"]) {
+    applyAction(state, ids[name], { type: "set_ready", ready: true }, T0);
+  }
+  const readiness = viewFor(state, ids.Ana, T0).players.map((player) => player.isReady);
+  assert.deepEqual(readiness, [true, true, true, true, true]);
+
+  applyAction(state, ids.Ana, { type: "start_game" }, T0);
+  applyAction(state, ids.Cy, { type: "set_ready", ready: false }, T0 + 1000);
+  assert.equal(state.startsAt, null);
+  assert.equal(state.mainMessages.at(-1).text, "The start was called off: Cy is not ready.");
+
+  applyAction(state, ids.Cy, { type: "set_ready", ready: true }, T0 + 2000);
+  applyAction(state, ids.Ana, { type: "start_game" }, T0 + 2000);
+  tick(state, T0 + 7000);
+  assert.equal(state.phase, "in_round");
+  assert.equal(
+    applyAction(state, ids.Cy, { type: "set_ready", ready: false }, T0 + 7000).error,
+    "The game already started."
+  );
+});
+
+test("players only see their own role and their teammates", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee", "Eve", "Fay", "Gus", "Hal"]);
+  applyAction(state, ids.Ana, { type: "set_role_counts", roleCounts: { mafia: 2 } }, T0);
+  dealRoles(state, ids.Ana);
+
+  const [mafioso, partner] = playersWithRole(state, "mafia");
+  const mafiaView = viewFor(state, mafioso.id, T0);
+  assert.equal(mafiaView.youRole, "mafia");
+  assert.deepEqual(
+    mafiaView.teammates.map((teammate) => teammate.id),
+    [partner.id]
+  );
+  const villager = playersWithRole(state, "villager")[0];
+  const villagerView = viewFor(state, villager.id, T0);
+  const visibleRoles = villagerView.players.filter((player) => player.roleVisible);
+  assert.deepEqual(
+    visibleRoles.map((player) => player.id),
+    [villager.id]
+  );
+});
+
+test("update_settings validates ranges and locks once the game starts", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "update_settings", settings: { nightSeconds: 5 } }, T0).ok,
+    false
+  );
+  assert.equal(
+    applyAction(
+      state,
+      ids.Ana,
+      { type: "update_settings", settings: { minPlayers: 10, maxPlayers: 6 } },
+      T0
+    ).error,
+    "Minimum players cannot be more than maximum players."
+  );
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "update_settings", settings: { nightSeconds: 45 } }, T0).ok,
+    true
+  );
+  assert.equal(state.settings.nightSeconds, 45);
+
+  dealRoles(state, ids.Ana);
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "update_settings", settings: { nightSeconds: 60 } }, T0)
+      .error,
+    "Settings are locked once the game starts."
+  );
+});
+
+test("the mafia kill lands unless the guardian saves the target", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee", "Eve"]);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [guardian] = playersWithRole(state, "guardian");
+  const [first, second] = playersWithRole(state, "villager");
+
+  applyAction(state, mafioso.id, { type: "mafia_kill", targetId: first.id }, T0);
+  applyAction(state, guardian.id, { type: "guardian_save", targetId: second.id }, T0);
+  const result = tick(state, state.roundEndsAt);
+
+  assert.equal(result.changed, true);
+  assert.equal(result.roundResults.length, 1);
+  assert.equal(result.roundResults[0].stage, "night");
+  assert.deepEqual(result.roundResults[0].summary.killedIds, [first.id]);
+  assert.equal(first.isAlive, false);
+  assert.equal(state.stage, "day");
+});
+
+test("a saved target survives the night", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee", "Eve"]);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [guardian] = playersWithRole(state, "guardian");
+  const [target] = playersWithRole(state, "villager");
+
+  applyAction(state, mafioso.id, { type: "mafia_kill", targetId: target.id }, T0);
+  applyAction(state, guardian.id, { type: "guardian_save", targetId: target.id }, T0);
+  const { roundResults } = tick(state, state.roundEndsAt);
+
+  assert.equal(target.isAlive, true);
+  assert.deepEqual(roundResults[0].summary.survivedBySaveIds, [target.id]);
+});
+
+function startedWithRoles(names, roleCounts) {
+  const lobby = lobbyWith(names);
+  const hostId = lobby.ids[names[0]];
+  const picked = applyAction(lobby.state, hostId, { type: "set_role_counts", roleCounts }, T0);
+  assert.equal(picked.ok, true);
+  assert.equal(dealRoles(lobby.state, hostId).ok, true);
+  return lobby;
+}
+
+const EIGHT = ["Ana", "Ben", "Cy", "Dee", "Eve", "Fay", "Gus", "Hal"];
+
+test("a split mafia does not lock in a kill", () => {
+  const { state } = startedWithRoles(EIGHT, { mafia: 2 });
+  const [first, second] = playersWithRole(state, "mafia");
+  const [victim, other] = playersWithRole(state, "villager");
+  applyAction(state, first.id, { type: "mafia_kill", targetId: victim.id }, T0);
+  applyAction(state, second.id, { type: "mafia_kill", targetId: other.id }, T0);
+
+  assert.deepEqual(state.teamTargets, {});
+  const night = viewFor(state, first.id, T0).nightAction;
+  assert.equal(night.lockedIn, false);
+  assert.deepEqual(
+    night.proposals.map((proposal) => proposal.count),
+    [1, 1]
+  );
+  const { roundResults } = tick(state, state.roundEndsAt);
+  assert.deepEqual(roundResults[0].summary.killedIds, []);
+  assert.equal(victim.isAlive, true);
+  assert.equal(other.isAlive, true);
+});
+
+test("a majority of the mafia locks in the kill", () => {
+  const { state } = startedWithRoles(EIGHT, { mafia: 3 });
+  const [first, second, third] = playersWithRole(state, "mafia");
+  const [victim, other] = playersWithRole(state, "villager");
+  applyAction(state, first.id, { type: "mafia_kill", targetId: victim.id }, T0);
+  applyAction(state, second.id, { type: "mafia_kill", targetId: other.id }, T0);
+  assert.deepEqual(state.teamTargets, {});
+  applyAction(state, third.id, { type: "mafia_kill", targetId: victim.id }, T0);
+
+  assert.equal(state.teamTargets.mafia, victim.id);
+  assert.equal(viewFor(state, second.id, T0).nightAction.lockedIn, true);
+  assert.equal(state.teamMessages.mafia.at(-1).text, `Target confirmed: ${victim.name}.`);
+  const late = applyAction(state, second.id, { type: "mafia_kill", targetId: other.id }, T0);
+  assert.equal(late.error, "Mafia can only pick one target per night.");
+
+  tick(state, state.roundEndsAt);
+  assert.equal(victim.isAlive, false);
+  assert.equal(other.isAlive, true);
+});
+
+test("team messages only reach the team", () => {
+  const { state } = startedWithRoles(EIGHT, { mafia: 2 });
+  const [mafioso, partner] = playersWithRole(state, "mafia");
+  const [villager] = playersWithRole(state, "villager");
+  const watcher = spectateLobby(state, "Watcher", T0).playerId;
+
+  const sent = applyAction(state, mafioso.id, { type: "send_team_message", text: "Ben?" }, T0);
+  assert.equal(sent.ok, true);
+  const partnerView = viewFor(state, partner.id, T0);
+  assert.equal(partnerView.teamChannel, "Mafia");
+  assert.equal(partnerView.teamMessages.at(-1).text, "Ben?");
+  assert.deepEqual(viewFor(state, villager.id, T0).teamMessages, []);
+  assert.deepEqual(viewFor(state, watcher, T0).teamMessages, []);
+  assert.ok(!viewFor(state, villager.id, T0).mainMessages.some((m) => m.text === "Ben?"));
+  assert.equal(
+    applyAction(state, villager.id, { type: "send_team_message", text: "hi" }, T0).error,
+    "You do not have a team chat."
+  );
+});
+
+test("the detective learns the team of the player they investigate", () => {
+  const { state } = startedWithRoles(["Ana", "Ben", "Cy", "Dee", "Eve"], {
+    mafia: 1,
+    detective: 1
+  });
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [detective] = playersWithRole(state, "detective");
+  const investigate = { type: "detective_investigate", targetId: mafioso.id };
+  assert.equal(applyAction(state, detective.id, investigate, T0).ok, true);
+  assert.deepEqual(viewFor(state, detective.id, T0).investigations, []);
+
+  const { roundResults } = tick(state, state.roundEndsAt);
+  assert.deepEqual(roundResults[0].summary.eliminatedIds, []);
+  assert.deepEqual(viewFor(state, detective.id, T0).investigations, [
+    { round: 1, targetName: mafioso.name, teamLabel: "Mafia" }
+  ]);
+  assert.deepEqual(viewFor(state, mafioso.id, T0).investigations, []);
+});
+
+test("the vigilante gets one shot per game, which passes on with the role", () => {
+  const { state } = startedWithRoles(["Ana", "Ben", "Cy", "Dee", "Eve", "Fay"], {
+    mafia: 1,
+    vigilante: 1
+  });
+  const [vigilante] = playersWithRole(state, "vigilante");
+  const [first, second] = playersWithRole(state, "villager");
+  const shoot = (targetId) =>
+    applyAction(state, vigilante.id, { type: "vigilante_shoot", targetId }, T0);
+  assert.equal(viewFor(state, vigilante.id, T0).nightAction.usesLeft, 1);
+  assert.equal(shoot(first.id).ok, true);
+  assert.equal(shoot(second.id).error, "Vigilante can only pick one target per night.");
+
+  tick(state, state.roundEndsAt);
+  assert.equal(first.isAlive, false);
+  assert.equal(vigilante.usesLeft, 0);
+  tick(state, state.roundEndsAt);
+  assert.equal(state.stage, "night");
+  assert.equal(shoot(second.id).error, "You have already used this action.");
+
+  // Whoever inherits the role after a departure inherits the spent shot too.
+  applyAction(state, vigilante.id, { type: "leave_lobby" }, T0);
+  const [heir] = playersWithRole(state, "vigilante");
+  assert.ok(heir.isAlive);
+  assert.equal(heir.usesLeft, 0);
+  const [mafioso] = playersWithRole(state, "mafia");
+  assert.equal(
+    applyAction(state, heir.id, { type: "vigilante_shoot", targetId: mafioso.id }, T0).error,
+    "You have already used this action."
+  );
+});
+
+test("the serial killer wins alone once two players are left", () => {
+  const { state } = startedWithRoles(["Ana", "Ben", "Cy", "Dee"], {
+    mafia: 1,
+    serial_killer: 1
+  });
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [killer] = playersWithRole(state, "serial_killer");
+  const [victim] = playersWithRole(state, "villager");
+  applyAction(state, killer.id, { type: "serial_kill", targetId: mafioso.id }, T0);
+  applyAction(state, mafioso.id, { type: "mafia_kill", targetId: victim.id }, T0);
+  tick(state, state.roundEndsAt);
+
+  assert.equal(mafioso.isAlive, false);
+  assert.equal(victim.isAlive, false);
+  assert.equal(state.phase, "ended");
+  assert.equal(state.winner, "Serial Killer");
+});
+
+test("day votes only count during the day and ties eliminate no one", () => {
+  const { state, ids } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  assert.equal(
+    applyAction(state, ids.Ana, { type: "cast_vote", targetId: ids.Ben }, T0).error,
+    "Votes can only be cast during the day."
+  );
+  tick(state, state.roundEndsAt);
+
+  const dayEnds = state.roundEndsAt;
+  applyAction(state, ids.Ana, { type: "cast_vote", targetId: ids.Ben }, T0);
+  applyAction(state, ids.Ben, { type: "cast_vote", targetId: ids.Ana }, T0);
+  const { roundResults } = tick(state, dayEnds);
+
+  assert.equal(roundResults[0].summary.voteOutcome, "tie");
+  assert.equal(Object.values(state.players).every((player) => player.isAlive), true);
+  assert.equal(state.stage, "night");
+  assert.equal(state.roundNumber, 2);
+});
+
+test("no lynch wins when it matches the top suspect", () => {
+  const { state, ids } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  tick(state, state.roundEndsAt);
+
+  applyAction(state, ids.Ana, { type: "cast_vote", targetId: ids.Ben }, T0);
+  applyAction(state, ids.Cy, { type: "cast_vote", targetId: NO_LYNCH }, T0);
+  const { roundResults } = tick(state, state.roundEndsAt);
+
+  assert.equal(roundResults[0].summary.voteOutcome, "no_lynch");
+  assert.equal(state.players[ids.Ben].isAlive, true);
+});
+
+test("an eliminated player's will is read out and they get one last message", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee", "Eve"]);
+  const [doomed] = playersWithRole(state, "villager");
+  const will = applyAction(state, doomed.id, { type: "set_will", text: "  Watch   Ben. " }, T0);
+  assert.equal(will.ok, true);
+  assert.equal(viewFor(state, doomed.id, T0).yourWill, "Watch Ben.");
+
+  tick(state, state.roundEndsAt);
+  for (const player of Object.values(state.players)) {
+    if (player.id !== doomed.id) {
+      applyAction(state, player.id, { type: "cast_vote", targetId: doomed.id }, T0);
+    }
+  }
+  const dayEnds = state.roundEndsAt;
+  tick(state, dayEnds);
+  assert.equal(doomed.isAlive, false);
+  assert.equal(state.mainMessages.at(-1).text, `${doomed.name} left a will: Watch Ben.`);
+  assert.deepEqual(viewFor(state, doomed.id, dayEnds).history[0].wills, [
+    { name: doomed.name, text: "Watch Ben." }
+  ]);
+  const rewrite = applyAction(state, doomed.id, { type: "set_will", text: "Too late" }, dayEnds);
+  assert.equal(rewrite.ok, false);
+
+  const say = (text, at) => applyAction(state, doomed.id, { type: "send_main_message", text }, at);
+  assert.equal(viewFor(state, doomed.id, dayEnds).lastWordsEndsAt, dayEnds + 30_000);
+  assert.equal(say("It was the butler", dayEnds + 1000).ok, true);
+  assert.equal(state.mainMessages.at(-1).lastWords, true);
+  assert.equal(say("One more thing", dayEnds + 2000).ok, false);
+});
+
+test("the host can pause, extend and skip the round", () => {
+  const { state, ids } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  const control = (type, at, extra = {}) => applyAction(state, ids.Ana, { type, ...extra }, at);
+  assert.equal(applyAction(state, ids.Ben, { type: "pause_game" }, T0).ok, false);
+
+  const nightEnds = state.roundEndsAt;
+  assert.equal(control("pause_game", T0 + 1000).ok, true);
+  assert.equal(nextWakeAt(state), null);
+  assert.equal(tick(state, nightEnds + 60_000).changed, false);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const kill = applyAction(state, mafioso.id, { type: "mafia_kill", targetId: ids.Ana }, T0);
+  assert.equal(kill.error, "The game is paused.");
+
+  assert.equal(control("extend_round", T0 + 2000, { seconds: 30 }).ok, true);
+  assert.equal(control("extend_round", T0 + 2000, { seconds: 0 }).ok, false);
+  assert.equal(control("resume_game", T0 + 5000).ok, true);
+  assert.equal(state.roundEndsAt, nightEnds + 4000 + 30_000);
+  assert.equal(state.mainMessages.at(-1).text, "The host resumed the game.");
+
+  const skipped = control("skip_round", T0 + 6000);
+  assert.equal(skipped.roundResults[0].stage, "night");
+  assert.equal(state.stage, "day");
+  assert.equal(state.roundEndsAt, T0 + 6000 + state.settings.daySeconds * 1000);
+});
+
+test("a pause does not outlive the game it was called in", () => {
+  const { state, ids } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  applyAction(state, ids.Ana, { type: "pause_game" }, T0 + 1000);
+  const leavers = Object.values(state.players).filter(
+    (player) => player.role !== "mafia" && player.id !== ids.Ana
+  );
+  for (const player of leavers) {
+    if (state.phase === "in_round") {
+      applyAction(state, player.id, { type: "leave_lobby" }, T0 + 2000);
+    }
+  }
+  assert.equal(state.phase, "ended");
+
+  applyAction(state, ids.Ana, { type: "return_to_lobby" }, T0 + 3000);
+  applyAction(state, ids.Ana, { type: "add_bot" }, T0 + 3000);
+  applyAction(state, ids.Ana, { type: "add_bot" }, T0 + 3000);
+  applyAction(state, ids.Ana, { type: "start_game" }, T0 + 4000);
+  tick(state, T0 + 9000);
+  assert.equal(state.phase, "in_round");
+  assert.equal(viewFor(state, ids.Ana, T0 + 9000).pausedTimeLeftMs, null);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const target = Object.values(state.players).find((player) => player.role !== "mafia");
+  const kill = { type: "mafia_kill", targetId: target.id };
+  assert.equal(applyAction(state, mafioso.id, kill, T0 + 9000).ok, true);
+});
+
+function startedWithSettings(names, settings) {
+  const lobby = lobbyWith(names);
+  const hostId = lobby.ids[names[0]];
+  const updated = applyAction(lobby.state, hostId, { type: "update_settings", settings }, T0);
+  assert.equal(updated.ok, true);
+  assert.equal(dealRoles(lobby.state, hostId).ok, true);
+  return lobby;
+}
+
+// Votes out one villager at the end of the first day and returns them.
+function lynchVillager(state) {
+  const [doomed] = playersWithRole(state, "villager");
+  tick(state, state.roundEndsAt);
+  for (const player of Object.values(state.players)) {
+    if (player.id !== doomed.id) {
+      applyAction(state, player.id, { type: "cast_vote", targetId: doomed.id }, T0);
+    }
+  }
+  tick(state, state.roundEndsAt);
+  return doomed;
+}
+
+test("role reveals follow the lobby's death reveal mode", () => {
+  const lobby = lobbyWith(["Ana"]);
+  const bad = { type: "update_settings", settings: { deathReveal: "sometimes" } };
+  assert.equal(applyAction(lobby.state, lobby.ids.Ana, bad, T0).ok, false);
+
+  const open = startedWithSettings(["Ana", "Ben", "Cy", "Dee", "Eve"], { deathReveal: "public" });
+  const shown = lynchVillager(open.state);
+  const [living] = Object.values(open.state.players).filter((player) => player.isAlive);
+  const view = viewFor(open.state, living.id, T0);
+  assert.equal(view.players.find((player) => player.id === shown.id).roleVisible, "villager");
+  assert.deepEqual(view.history[0].revealedRoles, [{ name: shown.name, role: "villager" }]);
+  assert.ok(open.state.mainMessages.some((msg) => msg.text === `${shown.name} was the Villager.`));
+
+  const closed = startedWithSettings(["Ana", "Ben", "Cy", "Dee", "Eve"], {
+    deathReveal: "closed",
+    spectatorsSeeRoles: true
+  });
+  const hidden = lynchVillager(closed.state);
+  const deadView = viewFor(closed.state, hidden.id, T0);
+  assert.equal(deadView.revealRoles, null);
+  assert.equal(deadView.players.filter((player) => player.roleVisible).length, 1);
+  assert.deepEqual(deadView.history[0].revealedRoles, []);
+  const watcher = spectateLobby(closed.state, "Zed", T0);
+  assert.equal(viewFor(closed.state, watcher.playerId, T0).revealRoles, null);
+});
+
+test("anonymous games show aliases in the main chat until the game ends", () => {
+  const { state, ids } = startedWithSettings(["Ana", "Ben", "Cy", "Dee"], { anonymous: true });
+  const alias = viewFor(state, ids.Ben, T0).yourAlias;
+  assert.match(alias, /^\w+ \w+$/);
+  applyAction(state, ids.Ben, { type: "send_main_message", text: "Not me" }, T0);
+  const message = state.mainMessages.at(-1);
+  assert.equal(message.fromName, alias);
+  assert.equal(message.fromId, null);
+  assert.equal(message.anonymous, true);
+
+  const [mafioso] = playersWithRole(state, "mafia");
+  tick(state, state.roundEndsAt);
+  for (const player of Object.values(state.players)) {
+    if (player.id !== mafioso.id) {
+      applyAction(state, player.id, { type: "cast_vote", targetId: mafioso.id }, T0);
+    }
+  }
+  tick(state, state.roundEndsAt);
+  assert.equal(state.phase, "ended");
+  assert.match(state.mainMessages.at(-1).text, new RegExp(`${alias} was Ben`));
+  assert.equal(viewFor(state, ids.Ben, T0).yourAlias, null);
+});
+
+test("a departure that ends an anonymous game still reveals the aliases", () => {
+  const { state } = startedWithSettings(["Ana", "Ben", "Cy", "Dee"], { anonymous: true });
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [first, second] = playersWithRole(state, "villager");
+  applyAction(state, first.id, { type: "leave_lobby" }, T0);
+  takeNewEvents(state);
+  applyAction(state, second.id, { type: "leave_lobby" }, T0);
+
+  assert.equal(state.phase, "ended");
+  assert.equal(state.winner, "Mafia");
+  const texts = state.mainMessages.slice(-2).map((message) => message.text);
+  assert.equal(texts[0], "Game over: Mafia won.");
+  assert.match(texts[1], new RegExp(`${mafioso.alias} was ${mafioso.name}`));
+  const ended = takeNewEvents(state).filter((entry) => entry.event.type === "game_ended");
+  assert.equal(ended.length, 1);
+
+  // Leaving the finished game does not end it again.
+  applyAction(state, mafioso.id, { type: "leave_lobby" }, T0);
+  assert.equal(state.mainMessages.at(-1).text, `${mafioso.name} left the lobby.`);
+  assert.deepEqual(takeNewEvents(state), []);
+});
+
+test("voting out the last mafioso ends the game for the village", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  tick(state, state.roundEndsAt);
+
+  const [mafioso] = playersWithRole(state, "mafia");
+  for (const player of Object.values(state.players)) {
+    if (player.id !== mafioso.id) {
+      applyAction(state, player.id, { type: "cast_vote", targetId: mafioso.id }, T0);
+    }
+  }
+  tick(state, state.roundEndsAt);
+
+  assert.equal(state.phase, "ended");
+  assert.equal(state.winner, "Villagers");
+  assert.equal(nextWakeAt(state), null);
+});
+
+// Plays a game to the end by voting out the mafioso on the first day.
+function finishedLobby(names) {
+  const lobby = startedLobby(names);
+  return { ...lobby, mafioso: voteOutMafioso(lobby.state) };
+}
+
+function voteOutMafioso(state) {
+  const [mafioso] = playersWithRole(state, "mafia");
+  tick(state, state.roundEndsAt);
+  for (const player of Object.values(state.players)) {
+    if (player.id !== mafioso.id) {
+      applyAction(state, player.id, { type: "cast_vote", targetId: mafioso.id }, T0);
+    }
+  }
+  tick(state, state.roundEndsAt);
+  return mafioso;
+}
+
+test("the host can bring a finished game back to the lobby", () => {
+  const running = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  const early = applyAction(running.state, running.ids.Ana, { type: "return_to_lobby" }, T0);
+  assert.equal(early.ok, false);
+
+  const { state, ids, mafioso } = finishedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  const gameId = state.gameId;
+  assert.equal(state.phase, "ended");
+  assert.equal(applyAction(state, ids.Ben, { type: "return_to_lobby" }, T0).ok, false);
+
+  assert.equal(applyAction(state, ids.Ana, { type: "return_to_lobby" }, T0).ok, true);
+  assert.equal(state.phase, "lobby");
+  assert.equal(state.code, "ABCDE");
+  assert.equal(state.hostId, ids.Ana);
+  assert.equal(playersWithRole(state, "villager").length, 4);
+  assert.ok(Object.values(state.players).every((player) => player.isAlive));
+
+  const view = viewFor(state, ids.Ben, T0);
+  assert.equal(view.youRole, null);
+  assert.equal(view.gameId, null);
+  assert.deepEqual(
+    view.pastResults.map((result) => [result.gameNumber, result.gameId, result.winner]),
+    [[1, gameId, "Villagers"]]
+  );
+  assert.deepEqual(
+    view.pastResults[0].players.find((player) => player.name === mafioso.name),
+    { name: mafioso.name, role: "mafia", survived: false }
+  );
+  assert.equal(joinLobby(state, "Eve", T0).ok, true);
+});
+
+test("rematch counts down to the next game when the lobby can start", () => {
+  const { state, ids } = finishedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  const firstGameId = state.gameId;
+  assert.equal(applyAction(state, ids.Ana, { type: "rematch" }, T0).ok, true);
+  assert.equal(state.phase, "lobby");
+  assert.equal(state.startsAt, T0 + 5000);
+  tick(state, T0 + 5000);
+  assert.equal(state.phase, "in_round");
+  assert.equal(state.gameNumber, 2);
+  assert.notEqual(state.gameId, firstGameId);
+  assert.equal(state.pastResults.length, 1);
+
+  applyAction(state, ids.Cy, { type: "leave_lobby" }, T0);
+  applyAction(state, ids.Dee, { type: "leave_lobby" }, T0);
+  assert.equal(state.phase, "ended");
+  const rematch = applyAction(state, ids.Ana, { type: "rematch" }, T0);
+  assert.equal(rematch.ok, false);
+  assert.match(rematch.error, /Need at least/);
+  assert.equal(state.phase, "ended");
+  assert.equal(state.pastResults.length, 1);
+});
+
+test("with the ready check on, rematch waits for everyone to ready up again", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  applyAction(state, ids.Ana, { type: "update_settings", settings: { requireReady: true } }, T0);
+  for (const playerId of Object.values(ids)) {
+    applyAction(state, playerId, { type: "set_ready", ready: true }, T0);
+  }
+  dealRoles(state, ids.Ana);
+  voteOutMafioso(state);
+  assert.equal(state.phase, "ended");
+
+  assert.equal(applyAction(state, ids.Ana, { type: "rematch" }, T0).ok, true);
+  assert.equal(state.phase, "lobby");
+  assert.equal(state.startsAt, null);
+  assert.equal(state.mainMessages.at(-1).text, "Everyone needs to be ready first.");
+});
+
+test("the graveyard is open to the dead and to spectators only", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee", "Eve"]);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [victim, bystander] = playersWithRole(state, "villager");
+  applyAction(state, mafioso.id, { type: "mafia_kill", targetId: victim.id }, T0);
+  tick(state, state.roundEndsAt);
+
+  const message = { type: "send_graveyard_message", text: "boo" };
+  assert.equal(applyAction(state, bystander.id, message, T0).ok, false);
+  assert.equal(applyAction(state, victim.id, message, T0).ok, true);
+
+  const watcher = spectateLobby(state, "Watcher", T0);
+  assert.equal(applyAction(state, watcher.playerId, message, T0).ok, true);
+  assert.equal(viewFor(state, watcher.playerId, T0).graveyardMessages.length, 2);
+  assert.deepEqual(viewFor(state, bystander.id, T0).graveyardMessages, []);
+});
+
+test("late joiners are turned away but can watch", () => {
+  const { state } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  assert.equal(
+    joinLobby(state, "Late", T0).error,
+    "Game already started. You can still watch as a spectator."
+  );
+
+  const watcher = spectateLobby(state, "Late", T0);
+  const view = viewFor(state, watcher.playerId, T0);
+  assert.equal(view.isSpectator, true);
+  assert.equal(view.youRole, null);
+  assert.equal(
+    applyAction(state, watcher.playerId, { type: "cast_vote", targetId: NO_LYNCH }, T0).error,
+    "Spectators can only watch and use the spectator chat."
+  );
+});
+
+test("a disconnected seat is held for the grace period", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"], { reconnectGraceMs: 10_000 });
+  disconnectMember(state, ids.Ben, T0);
+  assert.equal(nextWakeAt(state), T0 + 10_000);
+
+  assert.equal(tick(state, T0 + 9_999).changed, false);
+  connectMember(state, ids.Ben, T0 + 9_999);
+  assert.equal(nextWakeAt(state), null);
+
+  disconnectMember(state, ids.Ben, T0 + 20_000);
+  assert.equal(tick(state, T0 + 30_000).changed, true);
+  assert.equal(state.players[ids.Ben], undefined);
+});
+
+test("the host passes on when the host leaves, and the last one out closes the lobby", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  applyAction(state, ids.Ana, { type: "leave_lobby" }, T0);
+  assert.equal(state.hostId, ids.Ben);
+  assert.equal(applyAction(state, ids.Ben, { type: "leave_lobby" }, T0).closed, true);
+});
+
+function botsOf(state) {
+  return Object.values(state.players).filter((player) => player.isBot);
+}
+
+test("the host can fill seats with bots, which never host or keep a lobby open", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  assert.equal(applyAction(state, ids.Ben, { type: "add_bot" }, T0).ok, false);
+  assert.equal(applyAction(state, ids.Ana, { type: "add_bot" }, T0).ok, true);
+  assert.equal(applyAction(state, ids.Ana, { type: "add_bot" }, T0).ok, true);
+
+  const bots = viewFor(state, ids.Ben, T0).players.filter((player) => player.isBot);
+  assert.deepEqual(bots.map((player) => [player.name, player.isConnected]), [
+    ["Bot Ada", true],
+    ["Bot Basil", true]
+  ]);
+  const [bot] = botsOf(state);
+  const handOver = applyAction(state, ids.Ana, { type: "transfer_host", targetId: bot.id }, T0);
+  assert.equal(handOver.error, "Bots cannot be the host.");
+
+  assert.equal(dealRoles(state, ids.Ana).ok, true);
+  assert.equal(applyAction(state, ids.Ana, { type: "add_bot" }, T0).ok, false);
+
+  applyAction(state, ids.Ana, { type: "leave_lobby" }, T0);
+  assert.equal(state.hostId, ids.Ben);
+  assert.equal(applyAction(state, ids.Ben, { type: "leave_lobby" }, T0).closed, true);
+});
+
+test("bots pick night targets and votes on their own turn", () => {
+  const { state, ids } = lobbyWith(["Ana"]);
+  for (let i = 0; i < 3; i += 1) {
+    applyAction(state, ids.Ana, { type: "add_bot" }, T0);
+  }
+  dealRoles(state, ids.Ana);
+  assert.ok(nextWakeAt(state) < state.roundEndsAt);
+
+  tick(state, state.roundEndsAt - 1);
+  for (const bot of botsOf(state)) {
+    assert.equal(bot.botActAt, null);
+    if (bot.role === "mafia" || bot.role === "guardian") {
+      assert.ok(state.nightActions[bot.id], `${bot.role} bot picked a target`);
+    }
+  }
+
+  tick(state, state.roundEndsAt);
+  assert.equal(state.stage, "day");
+  tick(state, state.roundEndsAt - 1);
+  for (const bot of botsOf(state).filter((player) => player.isAlive)) {
+    assert.ok(state.votes[bot.id], `${bot.name} voted`);
+    assert.notEqual(state.votes[bot.id], bot.id);
+  }
+});
+
+test("the host can kick, ban, mute and hand over the lobby", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  const kick = (type, targetId) => applyAction(state, ids.Ana, { type, targetId }, T0);
+  const byGuest = applyAction(state, ids.Ben, { type: "kick_player", targetId: ids.Cy }, T0);
+  assert.equal(byGuest.ok, false);
+  assert.equal(kick("kick_player", ids.Ana).ok, false);
+
+  const kicked = kick("kick_player", ids.Cy);
+  assert.deepEqual(kicked.removed, [
+    { memberId: ids.Cy, error: "You were kicked from the lobby." }
+  ]);
+  assert.equal(state.players[ids.Cy], undefined);
+  assert.equal(joinLobby(state, "Cy", T0).ok, true);
+
+  assert.equal(kick("ban_player", ids.Dee).removed[0].memberId, ids.Dee);
+  assert.equal(state.mainMessages.at(-1).text, "Dee was banned by the host.");
+  assert.equal(joinLobby(state, " dee ", T0).error, "You are banned from this lobby.");
+  assert.equal(spectateLobby(state, "DEE", T0).ok, false);
+
+  const mute = (seconds) =>
+    applyAction(state, ids.Ana, { type: "mute_player", targetId: ids.Ben, seconds }, T0);
+  assert.equal(mute(-1).ok, false);
+  assert.equal(mute(60).ok, true);
+  assert.equal(state.mainMessages.at(-1).text, "Ben was muted for 1 min.");
+  const say = (text, now) => applyAction(state, ids.Ben, { type: "send_main_message", text }, now);
+  assert.match(say("hey", T0 + 1000).error, /muted you\. You can chat again in 59s/);
+  assert.equal(say("hi", T0 + 60000).ok, true);
+  assert.equal(mute(60).ok, true);
+  assert.equal(mute(0).ok, true);
+  assert.equal(say("ok", T0).ok, true);
+
+  assert.equal(kick("transfer_host", ids.Ben).ok, true);
+  assert.equal(state.hostId, ids.Ben);
+  assert.equal(viewFor(state, ids.Ana, T0).hostId, ids.Ben);
+  assert.equal(kick("kick_player", ids.Ben).ok, false);
+});
+
+test("a lobby password is checked by hash and never shows up in a view", async () => {
+  const { state, ids } = lobbyWith(["Ana"]);
+  const other = createLobby("FGHIJ");
+  assert.equal(await passwordHashFor(state, ""), null);
+  assert.notEqual(await passwordHashFor(state, "hunter2"), await passwordHashFor(other, "hunter2"));
+
+  setPasswordHash(state, await passwordHashFor(state, "hunter2"));
+  const missing = joinLobby(state, "Ben", T0);
+  assert.deepEqual([missing.error, missing.wrongPassword], ["This lobby needs a password.", true]);
+  const wrong = joinLobby(state, "Ben", T0, { passwordHash: await passwordHashFor(state, "nope") });
+  assert.equal(wrong.error, "Wrong lobby password.");
+  const passwordHash = await passwordHashFor(state, "hunter2");
+  assert.equal(joinLobby(state, "Ben", T0, { passwordHash }).ok, true);
+  assert.equal(spectateLobby(state, "Cy", T0).ok, false);
+  assert.equal(spectateLobby(state, "Cy", T0, { passwordHash }).ok, true);
+
+  const view = viewFor(state, ids.Ana, T0);
+  assert.equal(view.hasPassword, true);
+  assert.ok(!JSON.stringify(view).includes(passwordHash));
+  assert.ok(!JSON.stringify(view).includes(state.passwordSalt));
+
+  const guest = Object.keys(state.players).find((id) => id !== ids.Ana);
+  const clear = { type: "set_password", passwordHash: null };
+  assert.equal(applyAction(state, guest, clear, T0).ok, false);
+  assert.equal(applyAction(state, ids.Ana, clear, T0).ok, true);
+  assert.equal(state.mainMessages.at(-1).text, "The host removed the lobby password.");
+  assert.equal(joinLobby(state, "Dee", T0).ok, true);
+});
+
+test("sessions only resume with the matching secret", () => {
+  const state = createLobby("ABCDE");
+  const joined = joinLobby(state, "Ana", T0);
+  assert.equal(memberForSession(state, joined.playerId, "nope"), null);
+  assert.equal(memberForSession(state, joined.playerId, joined.sessionSecret).id, joined.playerId);
+});
+
+test("every message is queued for the log, even once the state trims it", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  applyAction(state, ids.Ana, { type: "update_settings", settings: { mainHistoryLimit: 50 } }, T0);
+  takeNewMessages(state);
+  for (let index = 0; index < 60; index += 1) {
+    applyAction(state, ids.Ana, { type: "send_main_message", text: `m${index}` }, T0);
+  }
+
+  assert.equal(state.mainMessages.length, 50);
+  const logged = takeNewMessages(state);
+  assert.equal(logged.length, 60);
+  assert.deepEqual(logged[0], { channel: "0:main", message: logged[0].message });
+  assert.equal(logged[0].message.text, "m0");
+  assert.deepEqual(takeNewMessages(state), []);
+});
+
+test("history queries only open the chats a viewer can read", () => {
+  const { state, ids } = startedLobby(["Ana", "Ben", "Cy", "Dee"]);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [villager] = playersWithRole(state, "villager");
+  const watcher = spectateLobby(state, "Watcher", T0).playerId;
+
+  assert.equal(historyQueryFor(state, villager.id, { channel: "main" }).channel, "1:main");
+  assert.equal(historyQueryFor(state, mafioso.id, { channel: "team" }).channel, "1:team:mafia");
+  assert.equal(historyQueryFor(state, villager.id, { channel: "team" }).ok, false);
+  assert.equal(historyQueryFor(state, villager.id, { channel: "graveyard" }).ok, false);
+  assert.equal(historyQueryFor(state, watcher, { channel: "spectators" }).ok, true);
+  assert.equal(historyQueryFor(state, villager.id, { channel: "spectators" }).ok, false);
+
+  const dm = historyQueryFor(state, ids.Ana, { channel: "dm", peerId: ids.Ben, limit: 500 });
+  const reverse = historyQueryFor(state, ids.Ben, { channel: "dm", peerId: ids.Ana });
+  assert.equal(dm.channel, reverse.channel);
+  assert.equal(dm.limit, 100);
+  assert.equal(historyQueryFor(state, watcher, { channel: "dm", peerId: ids.Ana }).ok, false);
+});
+
+test("replay events are only recorded while a game is running", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  applyAction(state, ids.Ana, { type: "send_main_message", text: "before" }, T0);
+  assert.deepEqual(takeNewEvents(state), []);
+
+  dealRoles(state, ids.Ana);
+  const [mafioso] = playersWithRole(state, "mafia");
+  const [victim] = playersWithRole(state, "villager");
+  applyAction(state, mafioso.id, { type: "mafia_kill", targetId: victim.id }, T0);
+  tick(state, state.roundEndsAt);
+  const events = takeNewEvents(state);
+  assert.ok(events.every((entry) => entry.gameId === state.gameId));
+
+  const replay = buildReplay(state.gameId, events.map((entry) => entry.event));
+  assert.equal(replay.lobbyCode, "ABCDE");
+  assert.equal(replay.players.length, 4);
+  assert.deepEqual(
+    replay.events
+      .filter((event) => event.type !== "message")
+      .map((event) => event.type),
+    ["game_started", "night_action", "round_ended"]
+  );
+  const night = replay.events.find((event) => event.type === "round_ended");
+  assert.deepEqual(night.eliminatedIds, [victim.id]);
+});
@@ -0,0 +1,15 @@
+/**
+ * Freezes `Date.now()` for the rest of the test, so time only moves when the
+ * test calls `advance`. The mock is undone when the test finishes.
+ */
+export function useClock(t) {
+  let now = Date.now();
+  t.mock.method(Date, "now", () => now);
+  return {
+    now: () => now,
+    advance(ms) {
+      now += ms;
+      return now;
+    }
+  };
+}
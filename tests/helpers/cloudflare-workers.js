@@ -0,0 +1,7 @@
+// Just enough of `cloudflare:workers` for LobbyRoom to be constructed in Node.
+export class DurableObject {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
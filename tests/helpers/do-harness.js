@@ -0,0 +1,356 @@
+// A local stand-in for the parts of the Workers runtime that LobbyRoom uses:
+// Durable Object storage and alarms, hibernatable WebSockets with tags and
+// attachments, and a namespace binding that routes by lobby code. Requests go
+// through the Worker's own `fetch`, so routing and the internal DO API are
+// exercised exactly as deployed.
+import worker, { GameReplay, LobbyRegistry, LobbyRoom } from "../../worker/src/worker.js";
+import { replayState } from "./state-replay.js";
+
+const OPEN = 1;
+const CLOSED = 3;
+
+// Node's Response refuses status 101, which the Worker uses to hand back the
+// client end of a WebSocket pair.
+class WorkerResponse extends Response {
+  constructor(body, init = {}) {
+    const { webSocket = null, ...rest } = init;
+    const upgraded = rest.status === 101;
+    super(body, upgraded ? { ...rest, status: 200 } : rest);
+    this.webSocket = webSocket;
+    if (upgraded) {
+      Object.defineProperty(this, "status", { value: 101 });
+    }
+  }
+}
+
+export class FakeWebSocket {
+  constructor() {
+    this.readyState = OPEN;
+    this.peer = null;
+    this.received = [];
+    this.attachment = null;
+    this.closeCode = null;
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error("WebSocket is closed.");
+    }
+    this.peer.received.push(JSON.parse(data));
+  }
+
+  close(code = 1000) {
+    this.readyState = CLOSED;
+    this.closeCode = code;
+    if (this.peer) {
+      this.peer.readyState = CLOSED;
+      this.peer.closeCode = code;
+    }
+  }
+
+  serializeAttachment(value) {
+    this.attachment = structuredClone(value);
+  }
+
+  deserializeAttachment() {
+    return structuredClone(this.attachment);
+  }
+}
+
+function webSocketPair() {
+  const client = new FakeWebSocket();
+  const server = new FakeWebSocket();
+  client.peer = server;
+  server.peer = client;
+  return { 0: client, 1: server };
+}
+
+globalThis.Response = WorkerResponse;
+globalThis.WebSocketPair = webSocketPair;
+
+// The statements LobbyRoom, GameReplay and LobbyRegistry issue, each with a JS version that
+// works on plain arrays of rows.
+const SQL_STATEMENTS = {
+  "INSERT INTO messages (channel, id, body) VALUES (?, ?, ?)": (db, [channel, id, body]) => {
+    db.insert("messages", { channel, id, body });
+  },
+  "SELECT seq FROM messages WHERE channel = ? AND id = ?": (db, [channel, id]) =>
+    db
+      .rows("messages")
+      .filter((row) => row.channel === channel && row.id === id)
+      .map((row) => ({ seq: row.seq })),
+  "SELECT body FROM messages WHERE channel = ? AND seq < ? ORDER BY seq DESC LIMIT ?": (
+    db,
+    [channel, beforeSeq, limit]
+  ) =>
+    db
+      .rows("messages")
+      .filter((row) => row.channel === channel && row.seq < beforeSeq)
+      .reverse()
+      .slice(0, limit)
+      .map((row) => ({ body: row.body })),
+  "INSERT INTO game_events (game_id, body) VALUES (?, ?)": (db, [gameId, body]) => {
+    db.insert("game_events", { game_id: gameId, body });
+  },
+  "SELECT body FROM game_events WHERE game_id = ? ORDER BY seq": (db, [gameId]) =>
+    db
+      .rows("game_events")
+      .filter((row) => row.game_id === gameId)
+      .map((row) => ({ body: row.body })),
+  "DELETE FROM game_events WHERE game_id = ?": (db, [gameId]) => {
+    db.remove("game_events", (row) => row.game_id === gameId);
+  },
+  "INSERT INTO events (body) VALUES (?)": (db, [body]) => {
+    db.insert("events", { body });
+  },
+  "SELECT body FROM events ORDER BY seq": (db) =>
+    db.rows("events").map((row) => ({ body: row.body })),
+  "INSERT OR REPLACE INTO lobbies (code, body) VALUES (?, ?)": (db, [code, body]) => {
+    db.remove("lobbies", (row) => row.code === code);
+    db.insert("lobbies", { code, body });
+  },
+  "DELETE FROM lobbies WHERE code = ?": (db, [code]) => {
+    db.remove("lobbies", (row) => row.code === code);
+  },
+  "SELECT body FROM lobbies": (db) => db.rows("lobbies").map((row) => ({ body: row.body }))
+};
+
+// Stands in for `storage.sql` by running the statements above. Anything else
+// throws, so a new query shows up here before it can pass unnoticed.
+export class FakeSqlStorage {
+  constructor() {
+    this.tables = new Map();
+    this.nextSeq = 1;
+  }
+
+  rows(table) {
+    return [...(this.tables.get(table) || [])];
+  }
+
+  insert(table, row) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    this.tables.get(table).push({ seq: this.nextSeq++, ...row });
+  }
+
+  remove(table, matches) {
+    this.tables.set(table, this.rows(table).filter((row) => !matches(row)));
+  }
+
+  exec(query, ...bindings) {
+    const statement = query.replace(/\s+/g, " ").trim();
+    if (/^CREATE (TABLE|INDEX) IF NOT EXISTS /.test(statement)) {
+      return { toArray: () => [] };
+    }
+    const run = SQL_STATEMENTS[statement];
+    if (!run) {
+      throw new Error(`FakeSqlStorage does not understand: ${statement}`);
+    }
+    const rows = run(this, bindings) || [];
+    return { toArray: () => rows };
+  }
+}
+
+// Values are cloned on the way in and out, as the real storage serializes them.
+export class FakeStorage {
+  constructor() {
+    this.data = new Map();
+    this.alarmAt = null;
+    this.sql = new FakeSqlStorage();
+  }
+
+  async get(key) {
+    return structuredClone(this.data.get(key));
+  }
+
+  async put(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  // Like the real thing, this also drops the SQL tables.
+  async deleteAll() {
+    this.data.clear();
+    this.sql = new FakeSqlStorage();
+  }
+
+  async getAlarm() {
+    return this.alarmAt;
+  }
+
+  async setAlarm(at) {
+    this.alarmAt = Number(at);
+  }
+
+  async deleteAlarm() {
+    this.alarmAt = null;
+  }
+}
+
+export class FakeDurableObjectState {
+  constructor(name) {
+    this.id = { name, toString: () => name };
+    this.storage = new FakeStorage();
+    this.sockets = [];
+  }
+
+  async blockConcurrencyWhile(callback) {
+    return callback();
+  }
+
+  acceptWebSocket(socket, tags = []) {
+    this.sockets.push({ socket, tags });
+  }
+
+  getWebSockets(tag) {
+    return this.sockets
+      .filter((entry) => entry.socket.readyState === OPEN)
+      .filter((entry) => !tag || entry.tags.includes(tag))
+      .map((entry) => entry.socket);
+  }
+}
+
+/**
+ * One end of a lobby connection as a client sees it. `send` returns the ack
+ * for the message, and `received` keeps every message the lobby pushed.
+ */
+class TestClient {
+  constructor(harness, code, socket) {
+    this.harness = harness;
+    this.code = code;
+    this.socket = socket;
+    this.nextReqId = 1;
+  }
+
+  get received() {
+    return this.socket.received;
+  }
+
+  get isOpen() {
+    return this.socket.readyState === OPEN;
+  }
+
+  messagesOfType(type) {
+    return this.received.filter((message) => message.type === type);
+  }
+
+  lastState() {
+    return replayState(this.received);
+  }
+
+  async send(message) {
+    const reqId = `req-${this.nextReqId++}`;
+    await this.harness.deliver(this.code, this.socket, JSON.stringify({ reqId, ...message }));
+    return this.received.find((entry) => entry.type === "ack" && entry.reqId === reqId) || null;
+  }
+
+  async close() {
+    this.socket.close(1001);
+    await this.harness.deliverClose(this.code, this.socket.peer);
+  }
+}
+
+/**
+ * Builds a Worker environment backed by in-memory Durable Objects: one lobby
+ * per code, one replay per finished game and the lobby registry. `evict`
+ * throws away a lobby's object (keeping its storage and sockets) to simulate
+ * hibernation.
+ */
+export function createHarness(env = {}) {
+  // binding -> { ObjectClass, states: Map<name, state>, instances: Map<name, object> }
+  const namespaces = new Map([
+    ["TEXTING_MAFIA_LOBBY", { ObjectClass: LobbyRoom, states: new Map(), instances: new Map() }],
+    ["TEXTING_MAFIA_REPLAY", { ObjectClass: GameReplay, states: new Map(), instances: new Map() }],
+    [
+      "TEXTING_MAFIA_REGISTRY",
+      { ObjectClass: LobbyRegistry, states: new Map(), instances: new Map() }
+    ]
+  ]);
+
+  function objectFor(binding, name) {
+    const { ObjectClass, states, instances } = namespaces.get(binding);
+    if (!instances.has(name)) {
+      if (!states.has(name)) {
+        states.set(name, new FakeDurableObjectState(name));
+      }
+      instances.set(name, new ObjectClass(states.get(name), harnessEnv));
+    }
+    return instances.get(name);
+  }
+
+  function roomFor(code) {
+    return objectFor("TEXTING_MAFIA_LOBBY", code);
+  }
+
+  const harnessEnv = { ...env };
+  for (const binding of namespaces.keys()) {
+    harnessEnv[binding] = {
+      idFromName: (name) => ({ name, toString: () => name }),
+      get: (id) => ({
+        fetch: (input, init) => objectFor(binding, id.name).fetch(new Request(input, init))
+      })
+    };
+  }
+
+  const harness = {
+    env: harnessEnv,
+
+    fetch(path, init) {
+      return worker.fetch(new Request(`https://mafia.test${path}`, init), harnessEnv);
+    },
+
+    async post(path, body) {
+      const response = await harness.fetch(path, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    async connect(code, playerId, sessionSecret) {
+      const params = new URLSearchParams({ pid: playerId, sec: sessionSecret });
+      const response = await harness.fetch(`/ws/${code}?${params}`, {
+        headers: { Upgrade: "websocket" }
+      });
+      if (response.status !== 101) {
+        throw new Error(`WebSocket upgrade failed with ${response.status}.`);
+      }
+      return new TestClient(harness, code, response.webSocket);
+    },
+
+    deliver(code, clientSocket, data) {
+      return roomFor(code).webSocketMessage(clientSocket.peer, data);
+    },
+
+    deliverClose(code, serverSocket) {
+      return roomFor(code).webSocketClose(serverSocket, 1001, "", true);
+    },
+
+    room(code) {
+      return roomFor(code);
+    },
+
+    storage(code) {
+      return namespaces.get("TEXTING_MAFIA_LOBBY").states.get(code)?.storage || null;
+    },
+
+    evict(code) {
+      namespaces.get("TEXTING_MAFIA_LOBBY").instances.delete(code);
+    },
+
+    // Fires every alarm that is due, like the runtime would once time passes.
+    async runDueAlarms(now = Date.now()) {
+      for (const [binding, { states }] of namespaces) {
+        for (const [name, state] of states) {
+          const at = state.storage.alarmAt;
+          if (at !== null && at <= now) {
+            state.storage.alarmAt = null;
+            await objectFor(binding, name).alarm();
+          }
+        }
+      }
+    }
+  };
+  return harness;
+}
@@ -0,0 +1,8 @@
+const WORKERS_STUB = new URL("./cloudflare-workers.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "cloudflare:workers") {
+    return { url: WORKERS_STUB, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
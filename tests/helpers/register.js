@@ -0,0 +1,5 @@
+// Loaded with `node --import` so the Worker module can be imported outside the
+// Workers runtime: `cloudflare:workers` resolves to a local stand-in.
+import { register } from "node:module";
+
+register("./loader-hooks.js", import.meta.url);
@@ -0,0 +1,24 @@
+import { applyPatch } from "../../shared/view-sync.js";
+
+/**
+ * Rebuilds what a client would hold after receiving `messages`: the latest
+ * snapshot with every later patch applied. Throws if a patch does not follow
+ * on from the previous update, which a real client would have to resync.
+ */
+export function replayState(messages) {
+  let state = null;
+  let seq = null;
+  for (const message of messages) {
+    if (message.type === "state") {
+      state = structuredClone(message.state);
+      seq = message.seq;
+    } else if (message.type === "patch" && state) {
+      if (message.prevSeq !== seq) {
+        throw new Error(`Patch ${message.seq} expects ${message.prevSeq}, client is at ${seq}.`);
+      }
+      applyPatch(state, structuredClone(message.events));
+      seq = message.seq;
+    }
+  }
+  return state;
+}
@@ -0,0 +1,462 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./helpers/do-harness.js";
+import { useClock } from "./helpers/clock.js";
+
+// Creates a lobby through the Worker API, seats everyone and opens their
+// sockets. Returns one entry per name with the player's id, secret and client.
+async function seatPlayers(harness, names) {
+  const [hostName, ...others] = names;
+  const created = await harness.post("/api/create-lobby", { name: hostName });
+  assert.equal(created.status, 200);
+  const code = created.body.code;
+
+  const seats = [created.body];
+  for (const name of others) {
+    const joined = await harness.post("/api/join-lobby", { code, name });
+    assert.equal(joined.status, 200);
+    seats.push(joined.body);
+  }
+
+  const players = {};
+  for (const [index, seat] of seats.entries()) {
+    players[names[index]] = {
+      id: seat.playerId,
+      secret: seat.sessionSecret,
+      client: await harness.connect(code, seat.playerId, seat.sessionSecret)
+    };
+  }
+  return { code, players };
+}
+
+// Starts the game and runs out the start countdown.
+async function startGame(harness, clock, names) {
+  const lobby = await seatPlayers(harness, names);
+  const host = lobby.players[names[0]];
+  assert.deepEqual(await host.client.send({ type: "start_game" }), {
+    type: "ack",
+    reqId: "req-1",
+    ok: true
+  });
+  clock.advance(harness.room(lobby.code).stateData.startsAt - Date.now());
+  await harness.runDueAlarms();
+  return lobby;
+}
+
+function byRole(players, role) {
+  return Object.values(players).filter((player) => player.client.lastState().youRole === role);
+}
+
+async function endStage(harness, clock, code) {
+  const state = harness.room(code).stateData;
+  clock.advance(state.roundEndsAt - Date.now());
+  await harness.runDueAlarms();
+}
+
+test("a full game runs from create-lobby to a village win", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee", "Eve"]);
+
+  const [mafioso] = byRole(players, "mafia");
+  const [guardian] = byRole(players, "guardian");
+  const [victim, bystander] = byRole(players, "villager");
+  assert.equal(mafioso.client.lastState().stage, "night");
+  assert.equal(harness.storage(code).alarmAt, harness.room(code).stateData.roundEndsAt);
+
+  const kill = await mafioso.client.send({ type: "mafia_kill", targetId: victim.id });
+  assert.equal(kill.ok, true);
+  await guardian.client.send({ type: "guardian_save", targetId: bystander.id });
+  await endStage(harness, clock, code);
+
+  const nightResult = bystander.client.messagesOfType("round_result").at(-1).result;
+  assert.equal(nightResult.stage, "night");
+  assert.deepEqual(nightResult.killedNames, [victim.client.lastState().youName]);
+  assert.equal(victim.client.lastState().youAreAlive, false);
+  assert.equal(bystander.client.lastState().stage, "day");
+
+  for (const voter of Object.values(players)) {
+    if (voter !== mafioso && voter !== victim) {
+      const vote = await voter.client.send({ type: "cast_vote", targetId: mafioso.id });
+      assert.equal(vote.ok, true);
+    }
+  }
+  await endStage(harness, clock, code);
+
+  for (const player of Object.values(players)) {
+    const state = player.client.lastState();
+    assert.equal(state.phase, "ended");
+    assert.equal(state.winner, "Villagers");
+  }
+  assert.equal(harness.storage(code).alarmAt, null);
+});
+
+test("the mafia wins once it matches the rest of the town", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee"]);
+  const [mafioso] = byRole(players, "mafia");
+  const town = Object.values(players).filter((player) => player !== mafioso);
+
+  await mafioso.client.send({ type: "mafia_kill", targetId: town[0].id });
+  await endStage(harness, clock, code);
+  await endStage(harness, clock, code);
+  assert.equal(mafioso.client.lastState().stage, "night");
+
+  await mafioso.client.send({ type: "mafia_kill", targetId: town[1].id });
+  await endStage(harness, clock, code);
+
+  const state = town[2].client.lastState();
+  assert.equal(state.phase, "ended");
+  assert.equal(state.winner, "Mafia");
+  assert.notEqual(state.revealRoles, null);
+});
+
+test("pausing drops the round alarm and resuming sets it for the time left", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee"]);
+  const room = harness.room(code);
+  const timeLeft = room.stateData.roundEndsAt - Date.now();
+
+  assert.equal((await players.Ana.client.send({ type: "pause_game" })).ok, true);
+  assert.equal(harness.storage(code).alarmAt, null);
+  assert.equal(players.Ben.client.lastState().pausedTimeLeftMs, timeLeft);
+
+  clock.advance(10 * 60_000);
+  assert.equal((await players.Ana.client.send({ type: "resume_game" })).ok, true);
+  assert.equal(harness.storage(code).alarmAt, Date.now() + timeLeft);
+
+  await players.Ana.client.send({ type: "skip_round" });
+  assert.equal(players.Ben.client.lastState().stage, "day");
+  assert.equal(players.Ben.client.messagesOfType("round_result").at(-1).result.stage, "night");
+});
+
+test("a rematch clears the spectator and graveyard chats on connected clients", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee"]);
+  const watching = await harness.post("/api/spectate", { code, name: "Watcher" });
+  const watcher = await harness.connect(code, watching.body.playerId, watching.body.sessionSecret);
+  await watcher.send({ type: "send_spectator_message", text: "gg" });
+  await watcher.send({ type: "send_graveyard_message", text: "boo" });
+  assert.equal(watcher.lastState().spectatorMessages.length, 1);
+  assert.equal(watcher.lastState().graveyardMessages.length, 1);
+
+  const [mafioso] = byRole(players, "mafia");
+  await endStage(harness, clock, code);
+  for (const voter of Object.values(players)) {
+    if (voter !== mafioso) {
+      await voter.client.send({ type: "cast_vote", targetId: mafioso.id });
+    }
+  }
+  await endStage(harness, clock, code);
+  assert.equal((await players.Ana.client.send({ type: "rematch" })).ok, true);
+  clock.advance(harness.room(code).stateData.startsAt - Date.now());
+  await harness.runDueAlarms();
+
+  const state = watcher.lastState();
+  assert.equal(state.phase, "in_round");
+  assert.deepEqual(state.spectatorMessages, []);
+  assert.deepEqual(state.graveyardMessages, []);
+  const history = await watcher.send({ type: "fetch_messages", channel: "spectators" });
+  assert.deepEqual(history.messages, []);
+});
+
+test("rejected actions are acked with the engine's error", async () => {
+  const harness = createHarness();
+  const { players } = await seatPlayers(harness, ["Ana", "Ben"]);
+
+  const ack = await players.Ben.client.send({ type: "start_game" });
+  assert.equal(ack.ok, false);
+  assert.equal(ack.error, "Only the host can start the game.");
+  const tooFew = await players.Ana.client.send({ type: "start_game" });
+  assert.equal(tooFew.error, "Need at least 4 players to start.");
+});
+
+test("a player sending too fast is acked with rate_limited", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness({ ACTION_RATE_BURST: "3", ACTION_RATE_PER_SECOND: "1" });
+  const { players } = await seatPlayers(harness, ["Ana", "Ben"]);
+
+  for (let i = 0; i < 3; i += 1) {
+    const sent = await players.Ana.client.send({ type: "send_main_message", text: `hi ${i}` });
+    assert.equal(sent.ok, true);
+  }
+  const flood = await players.Ana.client.send({ type: "send_main_message", text: "hi again" });
+  assert.equal(flood.ok, false);
+  assert.equal(flood.code, "rate_limited");
+  assert.equal(flood.retryAfterMs, 1000);
+  const resync = await players.Ana.client.send({ type: "resync" });
+  assert.equal(resync.code, "rate_limited");
+  const other = await players.Ben.client.send({ type: "send_main_message", text: "hello" });
+  assert.equal(other.ok, true);
+
+  clock.advance(1000);
+  const later = await players.Ana.client.send({ type: "send_main_message", text: "hi again" });
+  assert.equal(later.ok, true);
+});
+
+test("the REST routes are limited per IP", async (t) => {
+  useClock(t);
+  const harness = createHarness({ API_RATE_BURST: "2", API_RATE_PER_SECOND: "0.5" });
+  const fromIp = (ip) => harness.fetch("/api/lobbies", { headers: { "CF-Connecting-IP": ip } });
+
+  assert.equal((await fromIp("203.0.113.1")).status, 200);
+  assert.equal((await fromIp("203.0.113.1")).status, 200);
+  const limited = await fromIp("203.0.113.1");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("Retry-After"), "2");
+  assert.equal((await limited.json()).code, "rate_limited");
+  assert.equal((await fromIp("203.0.113.2")).status, 200);
+  assert.equal((await harness.fetch("/api/health")).status, 200);
+});
+
+test("the WebSocket upgrade checks the session secret", async () => {
+  const harness = createHarness();
+  const { code, players } = await seatPlayers(harness, ["Ana"]);
+
+  const response = await harness.fetch(`/ws/${code}?pid=${players.Ana.id}&sec=wrong`, {
+    headers: { Upgrade: "websocket" }
+  });
+  assert.equal(response.status, 403);
+  const plain = await harness.fetch(`/ws/${code}`);
+  assert.equal(plain.status, 426);
+});
+
+test("joining an unknown lobby fails and late joiners can spectate", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const missing = await harness.post("/api/join-lobby", { code: "ZZZZZ", name: "Ana" });
+  assert.equal(missing.status, 404);
+
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee"]);
+  const late = await harness.post("/api/join-lobby", { code, name: "Late" });
+  assert.equal(late.status, 409);
+
+  const watching = await harness.post("/api/spectate", { code, name: "Late" });
+  assert.equal(watching.body.spectator, true);
+  const watcher = await harness.connect(code, watching.body.playerId, watching.body.sessionSecret);
+  assert.equal(watcher.lastState().isSpectator, true);
+  assert.ok(
+    players.Ana.client.lastState().spectators.some((spectator) => spectator.name === "Late")
+  );
+});
+
+test("a dropped player keeps the seat until the grace period runs out", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness({ RECONNECT_GRACE_MS: "30000" });
+  const { code, players } = await seatPlayers(harness, ["Ana", "Ben"]);
+
+  await players.Ben.client.close();
+  const seen = players.Ana.client.lastState().players.find((player) => player.id === players.Ben.id);
+  assert.equal(seen.isConnected, false);
+  assert.equal(harness.storage(code).alarmAt, Date.now() + 30_000);
+
+  clock.advance(10_000);
+  const resumed = await harness.post("/api/resume", {
+    code,
+    playerId: players.Ben.id,
+    sessionSecret: players.Ben.secret
+  });
+  assert.equal(resumed.body.ok, true);
+  const client = await harness.connect(code, players.Ben.id, players.Ben.secret);
+  assert.equal(client.lastState().youId, players.Ben.id);
+  assert.equal(harness.storage(code).alarmAt, null);
+
+  await client.close();
+  clock.advance(30_000);
+  await harness.runDueAlarms();
+  assert.equal(players.Ana.client.lastState().players.length, 1);
+  const expired = await harness.post("/api/resume", {
+    code,
+    playerId: players.Ben.id,
+    sessionSecret: players.Ben.secret
+  });
+  assert.equal(expired.status, 403);
+});
+
+test("leaving closes the socket without holding the seat", async () => {
+  const harness = createHarness();
+  const { code, players } = await seatPlayers(harness, ["Ana", "Ben"]);
+
+  assert.equal((await players.Ben.client.send({ type: "leave_lobby" })).ok, true);
+  assert.equal(players.Ben.client.isOpen, false);
+  assert.equal(players.Ana.client.lastState().players.length, 1);
+  assert.equal(harness.storage(code).alarmAt, null);
+
+  await players.Ana.client.send({ type: "leave_lobby" });
+  assert.equal(harness.storage(code).data.size, 0);
+  const gone = await harness.post("/api/join-lobby", { code, name: "Cy" });
+  assert.equal(gone.status, 404);
+});
+
+test("a kicked player is told why and their socket is closed", async () => {
+  const harness = createHarness();
+  const { code, players } = await seatPlayers(harness, ["Ana", "Ben", "Cy"]);
+
+  const ack = await players.Ana.client.send({ type: "ban_player", targetId: players.Ben.id });
+  assert.equal(ack.ok, true);
+  assert.deepEqual(players.Ben.client.received.at(-1), {
+    type: "session_invalid",
+    error: "You were banned from the lobby."
+  });
+  assert.equal(players.Ben.client.isOpen, false);
+  assert.equal(players.Ana.client.lastState().players.length, 2);
+
+  const rejoin = await harness.post("/api/join-lobby", { code, name: "Ben" });
+  assert.equal(rejoin.status, 409);
+  const watch = await harness.post("/api/spectate", { code, name: "ben" });
+  assert.equal(watch.status, 409);
+});
+
+test("public lobbies show up in the browser and quick-match fills the fullest", async () => {
+  const harness = createHarness();
+  const listed = async () => (await (await harness.fetch("/api/lobbies")).json()).lobbies;
+  const small = await seatPlayers(harness, ["Ana"]);
+  const big = await seatPlayers(harness, ["Ben", "Cy"]);
+  await seatPlayers(harness, ["Dee", "Eve", "Fay"]);
+  assert.deepEqual(await listed(), []);
+
+  const makePublic = { type: "update_settings", settings: { publicLobby: true } };
+  assert.equal((await small.players.Ana.client.send(makePublic)).ok, true);
+  assert.equal((await big.players.Ben.client.send(makePublic)).ok, true);
+  assert.deepEqual(
+    (await listed()).map((lobby) => [lobby.code, lobby.playerCount, lobby.hostName]),
+    [
+      [big.code, 2, "Ben"],
+      [small.code, 1, "Ana"]
+    ]
+  );
+
+  const matched = await harness.post("/api/quick-match", { name: "Gus" });
+  assert.equal(matched.status, 200);
+  assert.equal(matched.body.code, big.code);
+  assert.equal((await listed())[0].playerCount, 3);
+
+  await small.players.Ana.client.send({ type: "leave_lobby" });
+  assert.deepEqual(
+    (await listed()).map((lobby) => lobby.code),
+    [big.code]
+  );
+  await big.players.Ben.client.send({
+    type: "update_settings",
+    settings: { maxPlayers: 4, minPlayers: 4 }
+  });
+  await harness.post("/api/quick-match", { name: "Hal" });
+  assert.deepEqual(await listed(), []);
+  const none = await harness.post("/api/quick-match", { name: "Ivy" });
+  assert.equal(none.status, 404);
+});
+
+test("a password set at creation gates joining until the host removes it", async () => {
+  const harness = createHarness();
+  const created = await harness.post("/api/create-lobby", { name: "Ana", password: "swordfish" });
+  assert.equal(created.status, 200);
+  const { code } = created.body;
+  const ana = await harness.connect(code, created.body.playerId, created.body.sessionSecret);
+  assert.equal(ana.lastState().hasPassword, true);
+
+  const wrong = await harness.post("/api/join-lobby", { code, name: "Ben", password: "trout" });
+  assert.deepEqual(wrong, { status: 403, body: { ok: false, error: "Wrong lobby password." } });
+  const watch = await harness.post("/api/spectate", { code, name: "Cy" });
+  assert.equal(watch.status, 403);
+  const right = await harness.post("/api/join-lobby", { code, name: "Ben", password: "swordfish" });
+  assert.equal(right.status, 200);
+
+  await ana.send({ type: "set_password", password: "marlin" });
+  const stale = await harness.post("/api/join-lobby", { code, name: "Dee", password: "swordfish" });
+  assert.equal(stale.status, 403);
+  await ana.send({ type: "set_password", password: "" });
+  assert.equal(ana.lastState().hasPassword, false);
+  assert.equal((await harness.post("/api/join-lobby", { code, name: "Dee" })).status, 200);
+});
+
+test("the lobby picks up where it left off after being evicted", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee"]);
+
+  harness.evict(code);
+  const ack = await players.Ana.client.send({ type: "send_main_message", text: "still here?" });
+  assert.equal(ack.ok, true);
+  const messages = players.Ben.client.lastState().mainMessages;
+  assert.equal(messages.at(-1).text, "still here?");
+
+  harness.evict(code);
+  clock.advance(harness.storage(code).alarmAt - Date.now());
+  await harness.runDueAlarms();
+  assert.equal(players.Cy.client.lastState().stage, "day");
+});
+
+test("chat older than the state's window pages in from the message log", async () => {
+  const harness = createHarness({ ACTION_RATE_BURST: "0" });
+  const { code, players } = await seatPlayers(harness, ["Ana", "Ben"]);
+  const ana = players.Ana.client;
+  await ana.send({ type: "update_settings", settings: { mainHistoryLimit: 50 } });
+  for (let index = 0; index < 80; index += 1) {
+    await ana.send({ type: "send_main_message", text: `m${index}` });
+  }
+
+  const window = players.Ben.client.lastState().mainMessages;
+  assert.equal(window.length, 50);
+  assert.equal(window[0].text, "m30");
+
+  harness.evict(code);
+  const fetch = { type: "fetch_messages", channel: "main", limit: 20 };
+  const page = await players.Ben.client.send({ ...fetch, before: window[0].id });
+  assert.deepEqual(
+    page.messages.map((message) => message.text),
+    Array.from({ length: 20 }, (_, index) => `m${index + 10}`)
+  );
+  assert.equal(page.hasMore, true);
+
+  const rest = await players.Ben.client.send({ ...fetch, before: page.messages[0].id });
+  assert.equal(rest.messages[0].text, "Ana joined the lobby.");
+  assert.equal(rest.messages.at(-1).text, "m9");
+  assert.equal(rest.hasMore, false);
+
+  const denied = await players.Ben.client.send({ type: "fetch_messages", channel: "team" });
+  assert.equal(denied.ok, false);
+});
+
+test("a finished game's replay outlives the lobby", async (t) => {
+  const clock = useClock(t);
+  const harness = createHarness();
+  const { code, players } = await startGame(harness, clock, ["Ana", "Ben", "Cy", "Dee"]);
+  const [mafioso] = byRole(players, "mafia");
+  const town = Object.values(players).filter((player) => player !== mafioso);
+  const gameId = mafioso.client.lastState().gameId;
+
+  const early = await harness.fetch(`/api/replay/${gameId}`);
+  assert.equal(early.status, 404);
+
+  await mafioso.client.send({ type: "send_private_message", toId: town[0].id, text: "psst" });
+  await mafioso.client.send({ type: "mafia_kill", targetId: town[0].id });
+  await endStage(harness, clock, code);
+  for (const voter of town.slice(1)) {
+    await voter.client.send({ type: "cast_vote", targetId: mafioso.id });
+  }
+  await endStage(harness, clock, code);
+  for (const player of Object.values(players)) {
+    await player.client.send({ type: "leave_lobby" });
+  }
+  assert.equal(harness.storage(code).data.size, 0);
+
+  const response = await harness.fetch(`/api/replay/${gameId}?download`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-disposition"), /attachment/);
+  const replay = await response.json();
+  assert.equal(replay.winner, "Villagers");
+  assert.equal(replay.players.find((player) => player.id === mafioso.id).role, "mafia");
+
+  const types = replay.events.map((event) => event.type);
+  assert.equal(types[0], "game_started");
+  assert.equal(types.at(-1), "game_ended");
+  assert.ok(types.includes("night_action") && types.includes("vote"));
+  const dm = replay.events.find((event) => event.channel?.startsWith("dm:"));
+  assert.equal(dm.message.text, "psst");
+
+  const bad = await harness.fetch("/api/replay/not-a-game");
+  assert.equal(bad.status, 400);
+});
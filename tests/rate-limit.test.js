@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RateLimiter, rateLimitsFromEnv } from "../shared/rate-limit.js";
+
+const T0 = 1_700_000_000_000;
+
+test("a bucket allows a burst, then refills at the set rate", () => {
+  const limiter = new RateLimiter({ burst: 3, perSecond: 2 });
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal(limiter.take("ana", T0), 0);
+  }
+  assert.equal(limiter.take("ana", T0), 500);
+  assert.equal(limiter.take("ben", T0), 0);
+
+  assert.equal(limiter.take("ana", T0 + 250), 250);
+  assert.equal(limiter.take("ana", T0 + 500), 0);
+  assert.equal(limiter.take("ana", T0 + 500), 500);
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal(limiter.take("ana", T0 + 60_000), 0);
+  }
+});
+
+test("limits come from the env, and a burst of 0 turns a limit off", () => {
+  assert.deepEqual(rateLimitsFromEnv(), {
+    action: { burst: 20, perSecond: 5 },
+    api: { burst: 120, perSecond: 2 }
+  });
+  const limits = rateLimitsFromEnv({
+    ACTION_RATE_BURST: "5",
+    ACTION_RATE_PER_SECOND: "0.5",
+    API_RATE_BURST: "0",
+    API_RATE_PER_SECOND: "nope"
+  });
+  assert.deepEqual(limits, {
+    action: { burst: 5, perSecond: 0.5 },
+    api: { burst: 0, perSecond: 2 }
+  });
+  const unlimited = new RateLimiter(limits.api);
+  for (let i = 0; i < 100; i += 1) {
+    assert.equal(unlimited.take("ana", T0), 0);
+  }
+});
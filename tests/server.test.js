@@ -0,0 +1,291 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { createMafiaServer } from "../server.js";
+import { rateLimitsFromEnv } from "../shared/rate-limit.js";
+import { useClock } from "./helpers/clock.js";
+import { replayState } from "./helpers/state-replay.js";
+
+async function startServer(t, options) {
+  const app = createMafiaServer(options);
+  await new Promise((resolve) => app.server.listen(0, "127.0.0.1", resolve));
+  t.after(() => app.close());
+  return { app, url: `http://127.0.0.1:${app.server.address().port}` };
+}
+
+async function post(url, path, body) {
+  const response = await fetch(`${url}${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = performance.now() + timeoutMs;
+  while (!check()) {
+    if (performance.now() > deadline) {
+      throw new Error("Timed out waiting for the server.");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// Opens `/ws/:code` the way public/app.js does and collects what comes back.
+async function openClient(t, url, seat) {
+  const wsUrl = new URL(`/ws/${seat.code}`, url.replace(/^http/, "ws"));
+  wsUrl.search = new URLSearchParams({ pid: seat.playerId, sec: seat.sessionSecret });
+  const socket = new WebSocket(wsUrl);
+  t.after(() => socket.terminate());
+
+  const client = {
+    socket,
+    playerId: seat.playerId,
+    received: [],
+    nextReqId: 1,
+    get state() {
+      return replayState(this.received);
+    },
+    get roundResults() {
+      return this.received
+        .filter((message) => message.type === "round_result")
+        .map((message) => message.result);
+    },
+    async send(message) {
+      const reqId = `req-${this.nextReqId++}`;
+      socket.send(JSON.stringify({ reqId, ...message }));
+      let ack = null;
+      await waitFor(() => {
+        ack = this.received.find((entry) => entry.type === "ack" && entry.reqId === reqId);
+        return !!ack;
+      });
+      return ack;
+    }
+  };
+  socket.on("message", (data) => client.received.push(JSON.parse(String(data))));
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+  await waitFor(() => client.state);
+  return client;
+}
+
+async function seatPlayers(t, url, names) {
+  const [hostName, ...others] = names;
+  const created = await post(url, "/api/create-lobby", { name: hostName });
+  assert.equal(created.status, 200);
+  const seats = [created.body];
+  for (const name of others) {
+    const joined = await post(url, "/api/join-lobby", { code: created.body.code, name });
+    assert.equal(joined.status, 200);
+    seats.push(joined.body);
+  }
+  const clients = [];
+  for (const seat of seats) {
+    clients.push(await openClient(t, url, seat));
+  }
+  return { code: created.body.code, seats, clients };
+}
+
+test("server.js plays a full game over the Worker's protocol", async (t) => {
+  const clock = useClock(t);
+  const { app, url } = await startServer(t);
+  const { code, clients } = await seatPlayers(t, url, ["Ana", "Ben", "Cy", "Dee"]);
+  const [host, ...guests] = clients;
+  await waitFor(() => clients.every((client) => client.state.players.length === 4));
+
+  const early = await guests[0].send({ type: "start_game" });
+  assert.equal(early.error, "Only the host can start the game.");
+  assert.deepEqual(await host.send({ type: "start_game" }), {
+    type: "ack",
+    reqId: "req-1",
+    ok: true
+  });
+  await waitFor(() => clients.every((client) => client.state.startsAt));
+  clock.advance(host.state.startsAt - Date.now());
+  app.runAlarm(code);
+  await waitFor(() => clients.every((client) => client.state.stage === "night"));
+
+  const mafioso = clients.find((client) => client.state.youRole === "mafia");
+  const town = clients.filter((client) => client !== mafioso);
+
+  clock.advance(host.state.roundEndsAt - Date.now());
+  app.runAlarm(code);
+  await waitFor(() => clients.every((client) => client.state.stage === "day"));
+  assert.equal(host.roundResults.at(-1).stage, "night");
+
+  for (const voter of town) {
+    const ack = await voter.send({ type: "cast_vote", targetId: mafioso.playerId });
+    assert.equal(ack.ok, true);
+  }
+  clock.advance(host.state.roundEndsAt - Date.now());
+  app.runAlarm(code);
+  await waitFor(() => clients.every((client) => client.state.phase === "ended"));
+
+  for (const client of clients) {
+    assert.equal(client.state.winner, "Villagers");
+  }
+  assert.equal(host.roundResults.at(-1).lynchedName, mafioso.state.youName);
+
+  const replay = await (await fetch(`${url}/api/replay/${host.state.gameId}`)).json();
+  assert.equal(replay.winner, "Villagers");
+  assert.equal(replay.events.at(-1).type, "game_ended");
+});
+
+test("server.js answers the REST routes like the Worker", async (t) => {
+  const { url } = await startServer(t);
+  assert.deepEqual(await (await fetch(`${url}/api/health`)).json(), { ok: true });
+
+  const badCode = await post(url, "/api/join-lobby", { code: "AB", name: "Ana" });
+  assert.equal(badCode.status, 400);
+  const missing = await post(url, "/api/join-lobby", { code: "ZZZZZ", name: "Ana" });
+  assert.deepEqual(missing, { status: 404, body: { ok: false, error: "Lobby code not found." } });
+
+  const { code, seats } = await seatPlayers(t, url, ["Ana"]);
+  const resumed = await post(url, "/api/resume", {
+    code,
+    playerId: seats[0].playerId,
+    sessionSecret: seats[0].sessionSecret
+  });
+  assert.deepEqual(resumed.body, { ok: true, code, playerId: seats[0].playerId, spectator: false });
+  const wrong = await post(url, "/api/resume", {
+    code,
+    playerId: seats[0].playerId,
+    sessionSecret: "wrong"
+  });
+  assert.equal(wrong.status, 403);
+
+  const watching = await post(url, "/api/spectate", { code, name: "Watcher" });
+  assert.equal(watching.body.spectator, true);
+
+  const preflight = await fetch(`${url}/api/create-lobby`, { method: "OPTIONS" });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get("access-control-allow-origin"), "*");
+});
+
+test("server.js lists public lobbies and quick-matches into them", async (t) => {
+  const { url } = await startServer(t);
+  const listed = async () => (await (await fetch(`${url}/api/lobbies`)).json()).lobbies;
+  const { code, clients } = await seatPlayers(t, url, ["Ana"]);
+  assert.deepEqual(await listed(), []);
+  assert.equal((await post(url, "/api/quick-match", { name: "Ben" })).status, 404);
+
+  await clients[0].send({ type: "update_settings", settings: { publicLobby: true } });
+  assert.deepEqual(
+    (await listed()).map((lobby) => [lobby.code, lobby.playerCount]),
+    [[code, 1]]
+  );
+  const matched = await post(url, "/api/quick-match", { name: "Ben" });
+  assert.equal(matched.body.code, code);
+  assert.equal((await listed())[0].playerCount, 2);
+});
+
+test("server.js checks the lobby password like the Worker", async (t) => {
+  const { url } = await startServer(t);
+  const created = await post(url, "/api/create-lobby", { name: "Ana", password: "swordfish" });
+  const { code } = created.body;
+
+  const wrong = await post(url, "/api/join-lobby", { code, name: "Ben", password: "trout" });
+  assert.deepEqual(wrong, { status: 403, body: { ok: false, error: "Wrong lobby password." } });
+  assert.equal((await post(url, "/api/spectate", { code, name: "Cy" })).status, 403);
+  const right = await post(url, "/api/join-lobby", { code, name: "Ben", password: "swordfish" });
+  assert.equal(right.status, 200);
+
+  const ana = await openClient(t, url, created.body);
+  assert.equal(ana.state.hasPassword, true);
+  assert.equal((await ana.send({ type: "set_password", password: "" })).ok, true);
+  assert.equal((await post(url, "/api/join-lobby", { code, name: "Dee" })).status, 200);
+});
+
+test("server.js refuses WebSocket upgrades without a valid session", async (t) => {
+  const { url } = await startServer(t);
+  const { code, seats } = await seatPlayers(t, url, ["Ana"]);
+
+  const status = await new Promise((resolve) => {
+    const params = new URLSearchParams({ pid: seats[0].playerId, sec: "wrong" });
+    const socket = new WebSocket(`${url.replace(/^http/, "ws")}/ws/${code}?${params}`);
+    socket.on("unexpected-response", (request, response) => {
+      resolve(response.statusCode);
+      socket.terminate();
+    });
+    socket.on("error", () => {});
+  });
+  assert.equal(status, 403);
+});
+
+test("server.js holds a dropped seat and frees it when the grace runs out", async (t) => {
+  const clock = useClock(t);
+  const { app, url } = await startServer(t, { reconnectGraceMs: 30_000 });
+  const { code, seats, clients } = await seatPlayers(t, url, ["Ana", "Ben"]);
+  const [host, guest] = clients;
+
+  guest.socket.close();
+  await waitFor(() => host.state.players.some((player) => !player.isConnected));
+
+  const back = await openClient(t, url, seats[1]);
+  assert.equal(back.state.youId, seats[1].playerId);
+  await waitFor(() => host.state.players.every((player) => player.isConnected));
+
+  back.socket.close();
+  await waitFor(() => host.state.players.some((player) => !player.isConnected));
+  clock.advance(30_000);
+  app.runAlarm(code);
+  await waitFor(() => host.state.players.length === 1);
+});
+
+test("server.js keeps chat history past the state's window", async (t) => {
+  const { url } = await startServer(t, { rateLimits: rateLimitsFromEnv({ ACTION_RATE_BURST: 0 }) });
+  const { clients } = await seatPlayers(t, url, ["Ana", "Ben"]);
+  const [host, guest] = clients;
+  await host.send({ type: "update_settings", settings: { mainHistoryLimit: 50 } });
+  for (let index = 0; index < 60; index += 1) {
+    await host.send({ type: "send_main_message", text: `m${index}` });
+  }
+  await waitFor(() => guest.state.mainMessages.at(-1).text === "m59");
+
+  const oldest = guest.state.mainMessages[0];
+  assert.equal(oldest.text, "m10");
+  const page = await guest.send({ type: "fetch_messages", channel: "main", before: oldest.id });
+  assert.equal(page.messages.at(-1).text, "m9");
+  assert.equal(page.messages[0].text, "Ana joined the lobby.");
+  assert.equal(page.hasMore, false);
+});
+
+test("server.js rate limits socket actions per player and REST routes per IP", async (t) => {
+  useClock(t);
+  const rateLimits = rateLimitsFromEnv({ ACTION_RATE_BURST: 2, API_RATE_BURST: 4 });
+  const { url } = await startServer(t, { rateLimits });
+  const { clients } = await seatPlayers(t, url, ["Ana", "Ben"]);
+  const [host] = clients;
+
+  assert.equal((await host.send({ type: "send_main_message", text: "one" })).ok, true);
+  assert.equal((await host.send({ type: "send_main_message", text: "two" })).ok, true);
+  const flood = await host.send({ type: "send_main_message", text: "three" });
+  assert.equal(flood.code, "rate_limited");
+  assert.equal(flood.retryAfterMs, 200);
+
+  // Creating, joining and the two socket upgrades used up this IP's burst.
+  const limited = await fetch(`${url}/api/lobbies`);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("retry-after"), "1");
+  assert.equal((await fetch(`${url}/api/health`)).status, 200);
+});
+
+test("leaving over the socket closes it and invalidates the session", async (t) => {
+  const { url } = await startServer(t);
+  const { code, seats, clients } = await seatPlayers(t, url, ["Ana", "Ben"]);
+
+  const closed = new Promise((resolve) => clients[1].socket.once("close", resolve));
+  assert.equal((await clients[1].send({ type: "leave_lobby" })).ok, true);
+  assert.equal(await closed, 1000);
+  await waitFor(() => clients[0].state.players.length === 1);
+
+  const resumed = await post(url, "/api/resume", {
+    code,
+    playerId: seats[1].playerId,
+    sessionSecret: seats[1].sessionSecret
+  });
+  assert.equal(resumed.status, 403);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulate, toCsv } from "../simulate.js";
+
+const OPTIONS = {
+  players: [5, 8],
+  games: 40,
+  roleCounts: { mafia: 1, guardian: 1 },
+  scaleMafia: false,
+  settings: { mafiaCooldownSeconds: 60 },
+  strategy: "bots",
+  seed: 7
+};
+
+test("the same seed plays out the same games", () => {
+  const rows = simulate(OPTIONS);
+  assert.deepEqual(simulate(OPTIONS), rows);
+  assert.deepEqual(rows.map((row) => row.players), [5, 8]);
+  for (const row of rows) {
+    const finished = Object.values(row.winRates).reduce((sum, rate) => sum + rate, 0);
+    assert.ok(Math.abs(finished * row.games + row.unfinished - row.games) < 1e-6);
+    assert.ok(row.averageRounds >= 1);
+    assert.ok(row.saveSuccessRate >= 0 && row.saveSuccessRate <= 1);
+  }
+});
+
+test("random players finish games too, and rows flatten to CSV", () => {
+  const rows = simulate({ ...OPTIONS, players: [6], strategy: "random" });
+  const [header, line] = toCsv(rows).split("\n");
+  assert.match(header, /^players,games,(winRate:[^,]+,)+unfinished,averageRounds,saves,/);
+  assert.match(line, /^6,40,/);
+});
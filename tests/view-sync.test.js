@@ -0,0 +1,173 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyAction,
+  connectMember,
+  createLobby,
+  joinLobby,
+  tick,
+  viewFor
+} from "../shared/engine.js";
+import { ViewStreams, applyPatch, diffViews } from "../shared/view-sync.js";
+import { createHarness } from "./helpers/do-harness.js";
+
+const T0 = 1_700_000_000_000;
+
+function lobbyWith(names) {
+  const state = createLobby("ABCDE");
+  const ids = {};
+  for (const name of names) {
+    const joined = joinLobby(state, name, T0);
+    connectMember(state, joined.playerId, T0);
+    ids[name] = joined.playerId;
+  }
+  return { state, ids };
+}
+
+// `timeLeftMs` is only sent in snapshots, so it is left out of comparisons.
+function snapshot(state, viewerId) {
+  const { timeLeftMs, ...view } = structuredClone(viewFor(state, viewerId, T0));
+  return view;
+}
+
+test("a chat message turns into a single message_added event", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  const before = snapshot(state, ids.Ben);
+  applyAction(state, ids.Ana, { type: "send_main_message", text: "hi" }, T0);
+  const after = snapshot(state, ids.Ben);
+
+  const events = diffViews(before, after);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, "message_added");
+  assert.equal(events[0].channel, "main");
+  assert.equal(events[0].message.text, "hi");
+  assert.deepEqual(applyPatch(before, events), after);
+});
+
+test("messages trimmed by the history cap are dropped on the client too", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  applyAction(state, ids.Ana, { type: "update_settings", settings: { mainHistoryLimit: 50 } }, T0);
+  for (let index = 0; index < 60; index += 1) {
+    applyAction(state, ids.Ana, { type: "send_main_message", text: `m${index}` }, T0);
+  }
+  const before = snapshot(state, ids.Ben);
+  applyAction(state, ids.Ben, { type: "send_main_message", text: "last" }, T0);
+  applyAction(state, ids.Ana, { type: "send_private_message", toId: ids.Ben, text: "psst" }, T0);
+  const after = snapshot(state, ids.Ben);
+
+  const events = diffViews(before, after);
+  assert.deepEqual(
+    events.map((event) => event.type),
+    ["message_added", "message_added"]
+  );
+  assert.deepEqual(applyPatch(before, events), after);
+});
+
+test("a cleared or replaced chat list is resent whole", () => {
+  const message = (id) => ({ id, type: "chat", fromName: "Ana", text: id, at: T0 });
+  const views = [
+    { mainMessages: [message("a"), message("b")], spectatorMessages: [message("s")] },
+    { mainMessages: [message("c")], spectatorMessages: [] },
+    { mainMessages: [message("c"), message("d")], spectatorMessages: [] }
+  ];
+  const streams = new ViewStreams();
+  streams.advance();
+  const client = streams.update("ben", views[0]).state;
+
+  streams.advance();
+  const cleared = streams.update("ben", views[1]);
+  assert.deepEqual(
+    cleared.events.map((event) => event.type),
+    ["fields_changed"]
+  );
+  assert.deepEqual(Object.keys(cleared.events[0].fields), ["mainMessages", "spectatorMessages"]);
+  assert.deepEqual(applyPatch(client, cleared.events), views[1]);
+
+  streams.advance();
+  const appended = streams.update("ben", views[2]);
+  assert.deepEqual(
+    appended.events.map((event) => event.type),
+    ["message_added"]
+  );
+  assert.deepEqual(applyPatch(client, appended.events), views[2]);
+});
+
+test("starting the game sends a phase change and per-player updates", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy", "Dee"]);
+  const before = snapshot(state, ids.Ben);
+  applyAction(state, ids.Ana, { type: "start_game" }, T0);
+  tick(state, state.startsAt);
+  const after = snapshot(state, ids.Ben);
+
+  const events = diffViews(before, after);
+  assert.equal(events[0].type, "phase_changed");
+  assert.equal(events[0].fields.phase, "in_round");
+  assert.ok(events.some((event) => event.type === "player_updated" && event.player.id === ids.Ben));
+  assert.deepEqual(applyPatch(before, events), after);
+});
+
+test("a departure removes the player and resends the DM threads", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben", "Cy"]);
+  applyAction(state, ids.Ana, { type: "send_private_message", toId: ids.Ben, text: "yo" }, T0);
+  const before = snapshot(state, ids.Ben);
+  applyAction(state, ids.Ana, { type: "leave_lobby" }, T0);
+  const after = snapshot(state, ids.Ben);
+
+  const events = diffViews(before, after);
+  assert.ok(events.some((event) => event.type === "player_removed" && event.playerId === ids.Ana));
+  assert.deepEqual(applyPatch(before, events), after);
+});
+
+test("view streams chain patches and only snapshot new viewers", () => {
+  const { state, ids } = lobbyWith(["Ana", "Ben"]);
+  const streams = new ViewStreams();
+
+  streams.advance();
+  const first = streams.update(ids.Ben, viewFor(state, ids.Ben, T0));
+  assert.equal(first.type, "state");
+
+  streams.advance();
+  assert.equal(streams.update(ids.Ben, viewFor(state, ids.Ben, T0)), null);
+
+  applyAction(state, ids.Ana, { type: "send_main_message", text: "hi" }, T0);
+  streams.advance();
+  const patch = streams.update(ids.Ben, viewFor(state, ids.Ben, T0));
+  assert.equal(patch.type, "patch");
+  assert.equal(patch.prevSeq, first.seq);
+  assert.equal(streams.snapshot(ids.Ben, viewFor(state, ids.Ben, T0)).seq, patch.seq);
+});
+
+test("the lobby sends patches after the first snapshot and resyncs on request", async () => {
+  const harness = createHarness();
+  const { body: host } = await harness.post("/api/create-lobby", { name: "Ana" });
+  const { body: guest } = await harness.post("/api/join-lobby", { code: host.code, name: "Ben" });
+  const ana = await harness.connect(host.code, host.playerId, host.sessionSecret);
+  const ben = await harness.connect(host.code, guest.playerId, guest.sessionSecret);
+
+  assert.equal(ben.received[0].type, "state");
+  await ana.send({ type: "send_main_message", text: "hello" });
+  const patch = ben.received.at(-1);
+  assert.equal(patch.type, "patch");
+  assert.deepEqual(
+    patch.events.map((event) => event.type),
+    ["message_added"]
+  );
+
+  assert.equal((await ben.send({ type: "resync" })).ok, true);
+  const resynced = ben.received.at(-2);
+  assert.equal(resynced.type, "state");
+  assert.equal(resynced.seq, patch.seq);
+  assert.equal(resynced.state.mainMessages.at(-1).text, "hello");
+});
+
+test("after an eviction the next change starts everyone from a snapshot", async () => {
+  const harness = createHarness();
+  const created = await harness.post("/api/create-lobby", { name: "Ana" });
+  const code = created.body.code;
+  const ana = await harness.connect(code, created.body.playerId, created.body.sessionSecret);
+
+  harness.evict(code);
+  await ana.send({ type: "send_main_message", text: "back" });
+  assert.equal(ana.messagesOfType("state").length, 2);
+  assert.equal(ana.lastState().mainMessages.at(-1).text, "back");
+});
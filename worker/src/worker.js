@@ -1,21 +1,94 @@
 import { DurableObject } from "cloudflare:workers";
+import {
+  applyAction,
+  buildReplay,
+  connectMember,
+  createLobby,
+  disconnectMember,
+  hasMember,
+  historyQueryFor,
+  isSpectator,
+  joinLobby,
+  lobbyListing,
+  memberForSession,
+  nextWakeAt,
+  openLobbies,
+  passwordHashFor,
+  randomCode,
+  roundResultFor,
+  sanitizeCode,
+  sanitizeGameId,
+  sanitizeName,
+  setPasswordHash,
+  spectateLobby,
+  takeNewEvents,
+  takeNewMessages,
+  tick,
+  viewerIds,
+  viewFor
+} from "../../shared/engine.js";
+import { ViewStreams } from "../../shared/view-sync.js";
+import {
+  RateLimiter,
+  rateLimitedAck,
+  rateLimitedBody,
+  rateLimitsFromEnv
+} from "../../shared/rate-limit.js";
 
-const MIN_PLAYERS = 4;
-const ROUND_DURATION_MS = 2 * 60 * 1000;
-const MAFIA_COOLDOWN_MS = 60 * 1000;
-const MAX_NAME_LEN = 24;
-const MAX_CHAT_LEN = 280;
-const MAX_MAIN_MESSAGES = 200;
-const MAX_DM_MESSAGES = 120;
-
-const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
   "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Expose-Headers": "Retry-After",
   "Access-Control-Max-Age": "86400"
 };
 
+// Tables in each lobby's SQLite database. `messages` holds every chat message
+// ever sent in the lobby; the state only carries the latest few per chat and
+// `fetch_messages` pages back through the rest. `game_events` collects the
+// running game's replay until it ends and is handed to a GameReplay.
+const LOBBY_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel TEXT NOT NULL,
+    id TEXT NOT NULL,
+    body TEXT NOT NULL
+  )`,
+  "CREATE INDEX IF NOT EXISTS messages_by_channel ON messages (channel, seq)",
+  `CREATE TABLE IF NOT EXISTS game_events (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id TEXT NOT NULL,
+    body TEXT NOT NULL
+  )`,
+  "CREATE INDEX IF NOT EXISTS game_events_by_game ON game_events (game_id, seq)"
+];
+
+const REPLAY_SCHEMA = [
+  "CREATE TABLE IF NOT EXISTS events (seq INTEGER PRIMARY KEY AUTOINCREMENT, body TEXT NOT NULL)"
+];
+
+// Finished games stay downloadable for this long after they end.
+const REPLAY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// The public lobby list: one row per listed lobby, kept current by each
+// LobbyRoom. There is a single LobbyRegistry, under this name.
+const REGISTRY_SCHEMA = [
+  "CREATE TABLE IF NOT EXISTS lobbies (code TEXT PRIMARY KEY, body TEXT NOT NULL)"
+];
+const REGISTRY_NAME = "lobbies";
+
+// Per-IP buckets for the REST routes and socket upgrades. They live in the
+// isolate, so each isolate counts on its own; that is still enough to stop a
+// single client looping on create-lobby.
+const apiLimiters = new WeakMap();
+
+function apiLimiter(env) {
+  if (!apiLimiters.has(env)) {
+    apiLimiters.set(env, new RateLimiter(rateLimitsFromEnv(env).api));
+  }
+  return apiLimiters.get(env);
+}
+
 function jsonResponse(payload, status = 200, addCors = false) {
   const headers = { "content-type": "application/json; charset=utf-8" };
   if (addCors) {
@@ -24,58 +97,17 @@ function jsonResponse(payload, status = 200, addCors = false) {
   return new Response(JSON.stringify(payload), { status, headers });
 }
 
+function rateLimitedResponse(retryAfterMs) {
+  const response = jsonResponse(rateLimitedBody(retryAfterMs), 429, true);
+  response.headers.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  return response;
+}
+
 function emptyResponse(status = 204, addCors = false) {
   const headers = addCors ? CORS_HEADERS : {};
   return new Response(null, { status, headers });
 }
 
-function randomInt(max) {
-  return Math.floor(Math.random() * max);
-}
-
-function makeId() {
-  return crypto.randomUUID();
-}
-
-function makeSecret() {
-  const bytes = crypto.getRandomValues(new Uint8Array(24));
-  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
-}
-
-function sanitizeName(rawName) {
-  const name = String(rawName || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, MAX_NAME_LEN);
-  return name || "Player";
-}
-
-function sanitizeCode(rawCode) {
-  return String(rawCode || "")
-    .toUpperCase()
-    .replace(/[^A-Z0-9]/g, "")
-    .slice(0, 5);
-}
-
-function sanitizeMessage(rawMessage) {
-  return String(rawMessage || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, MAX_CHAT_LEN);
-}
-
-function sortedPairKey(a, b) {
-  return a < b ? `${a}:${b}` : `${b}:${a}`;
-}
-
-function randomCode() {
-  let code = "";
-  for (let i = 0; i < 5; i += 1) {
-    code += CODE_CHARS[randomInt(CODE_CHARS.length)];
-  }
-  return code;
-}
-
 async function parseJson(request) {
   try {
     return await request.json();
@@ -84,6 +116,19 @@ async function parseJson(request) {
   }
 }
 
+function registryStub(env) {
+  return env.TEXTING_MAFIA_REGISTRY.get(env.TEXTING_MAFIA_REGISTRY.idFromName(REGISTRY_NAME));
+}
+
+// Files a lobby's listing with the registry, or drops it when `listing` is null.
+function reportListing(env, code, listing) {
+  return registryStub(env).fetch("https://registry.internal/internal/report", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ code, listing })
+  });
+}
+
 function wsDataToText(data) {
   if (typeof data === "string") {
     return data;
@@ -109,9 +154,18 @@ export default {
       return jsonResponse({ ok: true }, 200, true);
     }
 
+    if (url.pathname.startsWith("/api/") || url.pathname.startsWith("/ws/")) {
+      const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+      const retryAfterMs = apiLimiter(env).take(ip, Date.now());
+      if (retryAfterMs) {
+        return rateLimitedResponse(retryAfterMs);
+      }
+    }
+
     if (request.method === "POST" && url.pathname === "/api/create-lobby") {
       const body = await parseJson(request);
       const name = sanitizeName(body?.name);
+      const password = body?.password;
 
       for (let attempt = 0; attempt < 200; attempt += 1) {
         const code = randomCode();
@@ -123,7 +177,7 @@ export default {
           {
             method: "POST",
             headers: { "content-type": "application/json" },
-            body: JSON.stringify({ code })
+            body: JSON.stringify({ code, password })
           }
         );
 
@@ -139,7 +193,7 @@ export default {
           {
             method: "POST",
             headers: { "content-type": "application/json" },
-            body: JSON.stringify({ name })
+            body: JSON.stringify({ name, password })
           }
         );
         const joinBody = await parseJson(joinRes);
@@ -168,13 +222,131 @@ export default {
         {
           method: "POST",
           headers: { "content-type": "application/json" },
-          body: JSON.stringify({ name })
+          body: JSON.stringify({ name, password: body?.password })
         }
       );
       const joinBody = await parseJson(joinRes);
       return jsonResponse(joinBody || { ok: false, error: "Join failed." }, joinRes.status, true);
     }
 
+    if (request.method === "GET" && url.pathname === "/api/lobbies") {
+      const listRes = await registryStub(env).fetch("https://registry.internal/internal/lobbies");
+      const listBody = await parseJson(listRes);
+      return jsonResponse(
+        listBody || { ok: false, error: "Could not load lobbies." },
+        listRes.status,
+        true
+      );
+    }
+
+    // Joins the fullest open public lobby. Lobbies that closed without the
+    // registry hearing about it are dropped on the way.
+    if (request.method === "POST" && url.pathname === "/api/quick-match") {
+      const body = await parseJson(request);
+      const name = sanitizeName(body?.name);
+      const listRes = await registryStub(env).fetch("https://registry.internal/internal/lobbies");
+      const listBody = await parseJson(listRes);
+
+      for (const listing of listBody?.lobbies || []) {
+        const stub = env.TEXTING_MAFIA_LOBBY.get(env.TEXTING_MAFIA_LOBBY.idFromName(listing.code));
+        const joinRes = await stub.fetch(
+          "https://lobby.internal/internal/join",
+          {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify({ name })
+          }
+        );
+        if (joinRes.ok) {
+          return jsonResponse(await parseJson(joinRes), 200, true);
+        }
+        if (joinRes.status === 404) {
+          await reportListing(env, listing.code, null);
+        }
+      }
+      return jsonResponse(
+        { ok: false, error: "No open public lobbies right now. Create one instead." },
+        404,
+        true
+      );
+    }
+
+    if (request.method === "POST" && url.pathname === "/api/spectate") {
+      const body = await parseJson(request);
+      const code = sanitizeCode(body?.code);
+      const name = sanitizeName(body?.name);
+      if (code.length !== 5) {
+        return jsonResponse({ ok: false, error: "Lobby code must be 5 characters." }, 400, true);
+      }
+
+      const id = env.TEXTING_MAFIA_LOBBY.idFromName(code);
+      const stub = env.TEXTING_MAFIA_LOBBY.get(id);
+      const spectateRes = await stub.fetch(
+        "https://lobby.internal/internal/spectate",
+        {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ name, password: body?.password })
+        }
+      );
+      const spectateBody = await parseJson(spectateRes);
+      return jsonResponse(
+        spectateBody || { ok: false, error: "Spectate failed." },
+        spectateRes.status,
+        true
+      );
+    }
+
+    if (request.method === "POST" && url.pathname === "/api/resume") {
+      const body = await parseJson(request);
+      const code = sanitizeCode(body?.code);
+      if (code.length !== 5) {
+        return jsonResponse({ ok: false, error: "Lobby code must be 5 characters." }, 400, true);
+      }
+
+      const id = env.TEXTING_MAFIA_LOBBY.idFromName(code);
+      const stub = env.TEXTING_MAFIA_LOBBY.get(id);
+      const resumeRes = await stub.fetch(
+        "https://lobby.internal/internal/resume",
+        {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({
+            playerId: body?.playerId,
+            sessionSecret: body?.sessionSecret
+          })
+        }
+      );
+      const resumeBody = await parseJson(resumeRes);
+      return jsonResponse(
+        resumeBody || { ok: false, error: "Resume failed." },
+        resumeRes.status,
+        true
+      );
+    }
+
+    if (request.method === "GET" && url.pathname.startsWith("/api/replay/")) {
+      const gameId = sanitizeGameId(url.pathname.slice("/api/replay/".length));
+      if (!gameId) {
+        return jsonResponse({ ok: false, error: "Invalid game id." }, 400, true);
+      }
+      const stub = env.TEXTING_MAFIA_REPLAY.get(env.TEXTING_MAFIA_REPLAY.idFromName(gameId));
+      const replayRes = await stub.fetch("https://replay.internal/internal/replay");
+      const replay = await parseJson(replayRes);
+      const response = jsonResponse(
+        replay || { ok: false, error: "Replay not found." },
+        replayRes.status,
+        true
+      );
+      if (replayRes.ok && url.searchParams.has("download")) {
+        response.headers.set(
+          "Content-Disposition",
+          `attachment; filename="mafia-replay-${gameId}.json"`
+        );
+      }
+      return response;
+    }
+
     if (url.pathname.startsWith("/ws/")) {
       if (request.headers.get("Upgrade") !== "websocket") {
         return new Response("Expected WebSocket upgrade", { status: 426 });
@@ -202,7 +374,15 @@ export class LobbyRoom extends DurableObject {
     this.ctx = ctx;
     this.env = env;
     this.stateData = null;
+    this.views = new ViewStreams();
+    // Per-player buckets for socket actions, so one client cannot flood the
+    // lobby with messages and the broadcasts they cause.
+    this.actionLimiter = new RateLimiter(rateLimitsFromEnv(env).action);
+    // JSON of the listing the registry last heard from this object. Unknown
+    // after a restart, so the next change is always reported.
+    this.reportedListing = undefined;
     this.initPromise = this.ctx.blockConcurrencyWhile(async () => {
+      this.createTables();
       this.stateData = (await this.ctx.storage.get("state")) || null;
     });
   }
@@ -222,279 +402,127 @@ export class LobbyRoom extends DurableObject {
     await this.ctx.storage.put("state", this.stateData);
   }
 
-  playersObject() {
-    return this.stateData?.players || {};
-  }
-
-  playerEntries() {
-    return Object.values(this.playersObject());
-  }
-
-  playerIds() {
-    return Object.keys(this.playersObject());
-  }
-
-  playerById(playerId) {
-    return this.playersObject()[playerId] || null;
-  }
-
-  hasLobby() {
-    return !!this.stateData;
-  }
-
-  addSystemMessage(text) {
-    const message = {
-      id: makeId(),
-      type: "system",
-      fromId: null,
-      fromName: "System",
-      text,
-      at: Date.now()
-    };
-    this.stateData.mainMessages.push(message);
-    if (this.stateData.mainMessages.length > MAX_MAIN_MESSAGES) {
-      this.stateData.mainMessages.shift();
+  // `deleteAll` drops the tables along with everything else, so a new lobby
+  // under the same code creates them again.
+  createTables() {
+    for (const statement of LOBBY_SCHEMA) {
+      this.ctx.storage.sql.exec(statement);
     }
   }
 
-  addMainMessage(fromPlayer, text) {
-    const message = {
-      id: makeId(),
-      type: "chat",
-      fromId: fromPlayer.id,
-      fromName: fromPlayer.name,
-      text,
-      at: Date.now()
-    };
-    this.stateData.mainMessages.push(message);
-    if (this.stateData.mainMessages.length > MAX_MAIN_MESSAGES) {
-      this.stateData.mainMessages.shift();
-    }
-  }
-
-  addDmMessage(fromPlayer, toPlayer, text) {
-    const key = sortedPairKey(fromPlayer.id, toPlayer.id);
-    const current = this.stateData.dmThreads[key] || [];
-    current.push({
-      id: makeId(),
-      fromId: fromPlayer.id,
-      fromName: fromPlayer.name,
-      toId: toPlayer.id,
-      text,
-      at: Date.now()
-    });
-    if (current.length > MAX_DM_MESSAGES) {
-      current.shift();
-    }
-    this.stateData.dmThreads[key] = current;
-  }
-
-  applyRoles() {
-    const players = this.playersObject();
-    for (const player of Object.values(players)) {
-      player.role = "villager";
-    }
-    if (this.stateData.mafiaId && players[this.stateData.mafiaId]) {
-      players[this.stateData.mafiaId].role = "mafia";
-    }
-    if (this.stateData.guardianId && players[this.stateData.guardianId]) {
-      players[this.stateData.guardianId].role = "guardian";
+  logMessages(entries) {
+    for (const { channel, message } of entries) {
+      this.ctx.storage.sql.exec(
+        "INSERT INTO messages (channel, id, body) VALUES (?, ?, ?)",
+        channel,
+        message.id,
+        JSON.stringify(message)
+      );
     }
   }
 
-  alivePlayerIds() {
-    return this.playerEntries()
-      .filter((player) => player.isAlive)
-      .map((player) => player.id);
-  }
-
-  winnerForLobby() {
-    const mafia = this.playerById(this.stateData.mafiaId);
-    if (!mafia || !mafia.isAlive) {
-      return "Villagers";
-    }
-    const aliveNonMafia = this.playerEntries().filter(
-      (player) => player.isAlive && player.id !== this.stateData.mafiaId
-    ).length;
-    if (aliveNonMafia <= 1) {
-      return "Mafia";
+  // Returns the ids of games whose last event was just logged.
+  logGameEvents(entries) {
+    const endedGameIds = [];
+    for (const { gameId, event } of entries) {
+      this.ctx.storage.sql.exec(
+        "INSERT INTO game_events (game_id, body) VALUES (?, ?)",
+        gameId,
+        JSON.stringify(event)
+      );
+      if (event.type === "game_ended") {
+        endedGameIds.push(gameId);
+      }
     }
-    return null;
+    return endedGameIds;
   }
 
-  ensureRolesAfterDeparture() {
-    if (this.stateData.phase === "lobby") {
+  // Moves a finished game's events into its own GameReplay object, which
+  // outlives the lobby. The rows stay here if that fails.
+  async archiveReplay(gameId) {
+    const events = this.ctx.storage.sql
+      .exec("SELECT body FROM game_events WHERE game_id = ? ORDER BY seq", gameId)
+      .toArray()
+      .map((row) => JSON.parse(row.body));
+    try {
+      const stub = this.env.TEXTING_MAFIA_REPLAY.get(
+        this.env.TEXTING_MAFIA_REPLAY.idFromName(gameId)
+      );
+      const response = await stub.fetch("https://replay.internal/internal/store", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(buildReplay(gameId, events))
+      });
+      if (!response.ok) {
+        return;
+      }
+    } catch {
       return;
     }
-
-    const players = this.playersObject();
-    if (this.stateData.mafiaId && !players[this.stateData.mafiaId]) {
-      this.stateData.mafiaId = null;
-    }
-    if (this.stateData.guardianId && !players[this.stateData.guardianId]) {
-      this.stateData.guardianId = null;
-    }
-
-    const aliveIds = this.alivePlayerIds();
-    if (!this.stateData.mafiaId) {
-      const candidates = aliveIds.filter((id) => id !== this.stateData.guardianId);
-      this.stateData.mafiaId = candidates.length ? candidates[randomInt(candidates.length)] : null;
-    }
-    if (!this.stateData.guardianId) {
-      const candidates = aliveIds.filter((id) => id !== this.stateData.mafiaId);
-      this.stateData.guardianId = candidates.length ? candidates[randomInt(candidates.length)] : null;
-    }
-
-    this.applyRoles();
-  }
-
-  mapHistoryEntry(entry) {
+    this.ctx.storage.sql.exec("DELETE FROM game_events WHERE game_id = ?", gameId);
+  }
+
+  // One page of a chat's history, oldest first, ending just before the
+  // message with id `before` (or at the newest message).
+  readMessages({ channel, before, limit }) {
+    let beforeSeq = Number.MAX_SAFE_INTEGER;
+    if (before) {
+      const [cursor] = this.ctx.storage.sql
+        .exec("SELECT seq FROM messages WHERE channel = ? AND id = ?", channel, before)
+        .toArray();
+      if (!cursor) {
+        return { messages: [], hasMore: false };
+      }
+      beforeSeq = cursor.seq;
+    }
+    const rows = this.ctx.storage.sql
+      .exec(
+        "SELECT body FROM messages WHERE channel = ? AND seq < ? ORDER BY seq DESC LIMIT ?",
+        channel,
+        beforeSeq,
+        limit + 1
+      )
+      .toArray();
     return {
-      id: entry.id,
-      round: entry.round,
-      killedName: entry.killedId ? this.playerById(entry.killedId)?.name || "Unknown" : null,
-      savedName: entry.savedId ? this.playerById(entry.savedId)?.name || "Unknown" : null,
-      eliminatedName: entry.eliminatedId
-        ? this.playerById(entry.eliminatedId)?.name || "Unknown"
-        : null,
-      survivedBySaveName: entry.survivedBySaveId
-        ? this.playerById(entry.survivedBySaveId)?.name || "Unknown"
-        : null,
-      at: entry.at
+      messages: rows
+        .slice(0, limit)
+        .reverse()
+        .map((row) => JSON.parse(row.body)),
+      hasMore: rows.length > limit
     };
   }
 
-  dmThreadsForViewer(viewerId) {
-    const threads = [];
-    for (const [key, messages] of Object.entries(this.stateData.dmThreads)) {
-      const [a, b] = key.split(":");
-      if (a !== viewerId && b !== viewerId) {
-        continue;
-      }
-      const peerId = a === viewerId ? b : a;
-      const peer = this.playerById(peerId);
-      if (!peer) {
-        continue;
+  // Keeps the public lobby list current. A registry outage only costs the
+  // listing, never the action that changed it.
+  async updateListing(code) {
+    const listing = this.stateData ? lobbyListing(this.stateData) : null;
+    const reported = JSON.stringify(listing);
+    if (reported === this.reportedListing) {
+      return;
+    }
+    try {
+      const response = await reportListing(this.env, code, listing);
+      if (response.ok) {
+        this.reportedListing = reported;
       }
-      threads.push({
-        peerId,
-        peerName: peer.name,
-        messages
-      });
+    } catch {
+      // Try again on the next change.
     }
-    threads.sort((x, y) => {
-      const xAt = x.messages.length ? x.messages[x.messages.length - 1].at : 0;
-      const yAt = y.messages.length ? y.messages[y.messages.length - 1].at : 0;
-      return yAt - xAt;
-    });
-    return threads;
   }
 
-  shouldRevealRoles(viewer) {
-    return !viewer.isAlive || this.stateData.phase === "ended";
-  }
-
-  buildStateForViewer(viewerId) {
-    const viewer = this.playerById(viewerId);
-    if (!viewer) {
-      return null;
+  // The lobby has a single alarm, so it is always set to the earliest time the
+  // engine has work to do (round deadline or a held seat expiring).
+  async scheduleAlarm() {
+    const at = this.stateData ? nextWakeAt(this.stateData) : null;
+    if (at) {
+      await this.ctx.storage.setAlarm(at);
+    } else {
+      await this.ctx.storage.deleteAlarm();
     }
-
-    const now = Date.now();
-    const revealRoles = this.shouldRevealRoles(viewer);
-    const mafiaCooldownEndsAt =
-      viewerId === this.stateData.mafiaId && this.stateData.phase === "in_round"
-        ? this.stateData.lastMafiaActionAt + MAFIA_COOLDOWN_MS
-        : 0;
-    const mafiaCooldownMs = Math.max(0, mafiaCooldownEndsAt - now);
-    const mafiaKillUsedThisRound =
-      viewerId === this.stateData.mafiaId &&
-      this.stateData.phase === "in_round" &&
-      this.stateData.mafiaKillRound === this.stateData.roundNumber;
-
-    const players = this.playerEntries()
-      .map((player) => {
-        let roleVisible = null;
-        if (this.stateData.phase !== "lobby") {
-          if (player.id === viewerId) {
-            roleVisible = player.role;
-          } else if (revealRoles && player.id === this.stateData.mafiaId) {
-            roleVisible = "mafia";
-          } else if (revealRoles && player.id === this.stateData.guardianId) {
-            roleVisible = "guardian";
-          }
-        }
-        return {
-          id: player.id,
-          name: player.name,
-          isSelf: player.id === viewerId,
-          isHost: player.id === this.stateData.hostId,
-          isAlive: player.isAlive,
-          roleVisible
-        };
-      })
-      .sort((a, b) => a.name.localeCompare(b.name));
-
-    return {
-      lobbyCode: this.stateData.code,
-      phase: this.stateData.phase,
-      started: this.stateData.phase !== "lobby",
-      minPlayers: MIN_PLAYERS,
-      hostId: this.stateData.hostId,
-      winner: this.stateData.winner,
-      youId: viewer.id,
-      youName: viewer.name,
-      youRole: this.stateData.phase === "lobby" ? null : viewer.role,
-      youAreAlive: viewer.isAlive,
-      canChat: this.stateData.phase === "lobby" || viewer.isAlive,
-      roundNumber: this.stateData.roundNumber,
-      roundDurationMs: ROUND_DURATION_MS,
-      roundEndsAt: this.stateData.roundEndsAt,
-      timeLeftMs:
-        this.stateData.phase === "in_round" && this.stateData.roundEndsAt
-          ? Math.max(0, this.stateData.roundEndsAt - now)
-          : 0,
-      mafiaCooldownMs,
-      mafiaCooldownEndsAt,
-      mafiaKillUsedThisRound,
-      pendingKillId: viewer.id === this.stateData.mafiaId ? this.stateData.pendingKillId : null,
-      pendingSaveId: viewer.id === this.stateData.guardianId ? this.stateData.pendingSaveId : null,
-      players,
-      mainMessages: this.stateData.mainMessages,
-      dmThreads: this.dmThreadsForViewer(viewerId),
-      history: this.stateData.history.map((entry) => this.mapHistoryEntry(entry)),
-      revealRoles:
-        revealRoles && this.stateData.phase !== "lobby"
-          ? {
-              mafiaName: this.playerById(this.stateData.mafiaId)?.name || null,
-              guardianName: this.playerById(this.stateData.guardianId)?.name || null
-            }
-          : null
-    };
   }
 
-  buildRoundResultForViewer(viewerId, summary) {
-    const viewer = this.playerById(viewerId);
-    const revealRoles = viewer ? !viewer.isAlive : false;
-    return {
-      round: summary.round,
-      killedName: summary.killedId ? this.playerById(summary.killedId)?.name || null : null,
-      savedName: summary.savedId ? this.playerById(summary.savedId)?.name || null : null,
-      eliminatedName: summary.eliminatedId
-        ? this.playerById(summary.eliminatedId)?.name || null
-        : null,
-      survivedBySaveName: summary.survivedBySaveId
-        ? this.playerById(summary.survivedBySaveId)?.name || null
-        : null,
-      youWereEliminated: summary.eliminatedId === viewerId,
-      revealRoles:
-        revealRoles && this.stateData.phase !== "lobby"
-          ? {
-              mafiaName: this.playerById(this.stateData.mafiaId)?.name || null,
-              guardianName: this.playerById(this.stateData.guardianId)?.name || null
-            }
-          : null
-    };
+  hasLobby() {
+    return !!this.stateData;
   }
 
   socketsForPlayer(playerId) {
@@ -522,169 +550,77 @@ export class LobbyRoom extends DurableObject {
     }
   }
 
+  // Sends each viewer only what changed for them since their last update.
   broadcastState() {
-    for (const playerId of this.playerIds()) {
-      const state = this.buildStateForViewer(playerId);
-      if (state) {
-        this.sendToPlayer(playerId, { type: "state", state });
+    const now = Date.now();
+    const ids = viewerIds(this.stateData);
+    this.views.advance();
+    for (const playerId of ids) {
+      const message = this.views.update(playerId, viewFor(this.stateData, playerId, now));
+      if (message) {
+        this.sendToPlayer(playerId, message);
+      }
+    }
+    this.views.retain(ids);
+  }
+
+  sendSnapshot(socket, playerId) {
+    this.sendToSocket(
+      socket,
+      this.views.snapshot(playerId, viewFor(this.stateData, playerId, Date.now()))
+    );
+  }
+
+  // Tells a kicked or banned member why, then closes their sockets.
+  closeRemovedMember({ memberId, error }) {
+    for (const socket of this.socketsForPlayer(memberId)) {
+      this.sendToSocket(socket, { type: "session_invalid", error });
+      socket.serializeAttachment({ playerId: memberId, ignoreClose: true });
+      try {
+        socket.close(1008, "Removed by host");
+      } catch {
+        // Ignore close errors.
       }
     }
   }
 
-  sendRoundResult(summary) {
-    for (const playerId of this.playerIds()) {
+  sendRoundResult(roundResult) {
+    for (const playerId of viewerIds(this.stateData)) {
       this.sendToPlayer(playerId, {
         type: "round_result",
-        result: this.buildRoundResultForViewer(playerId, summary)
+        result: roundResultFor(this.stateData, playerId, roundResult)
       });
     }
   }
 
-  async removePlayer(playerId, reasonText) {
-    const players = this.playersObject();
-    const leaving = players[playerId];
-    if (!leaving) {
-      return;
-    }
-
-    delete players[playerId];
-    if (Object.keys(players).length === 0) {
+  // Persists and fans out whatever an engine call changed.
+  async commit(result) {
+    if (result.closed) {
+      const { code } = this.stateData;
       this.stateData = null;
+      this.views = new ViewStreams();
       await this.saveState();
+      await this.ctx.storage.deleteAlarm();
+      await this.updateListing(code);
       return;
     }
-
-    if (this.stateData.hostId === playerId) {
-      this.stateData.hostId = Object.keys(players)[0];
-    }
-    if (this.stateData.mafiaId === playerId) {
-      this.stateData.mafiaId = null;
-    }
-    if (this.stateData.guardianId === playerId) {
-      this.stateData.guardianId = null;
-    }
-    if (this.stateData.pendingKillId === playerId) {
-      this.stateData.pendingKillId = null;
-    }
-    if (this.stateData.pendingSaveId === playerId) {
-      this.stateData.pendingSaveId = null;
+    if (!result.changed) {
+      return;
     }
-
-    this.ensureRolesAfterDeparture();
-    if (this.stateData.phase !== "lobby") {
-      const winner = this.winnerForLobby();
-      if (winner) {
-        this.stateData.phase = "ended";
-        this.stateData.winner = winner;
-        this.stateData.roundEndsAt = null;
-        await this.ctx.storage.deleteAlarm();
-      }
+    this.logMessages(takeNewMessages(this.stateData));
+    for (const gameId of this.logGameEvents(takeNewEvents(this.stateData))) {
+      await this.archiveReplay(gameId);
     }
-
-    this.addSystemMessage(`${leaving.name} ${reasonText}.`);
     await this.saveState();
+    await this.scheduleAlarm();
+    await this.updateListing(this.stateData.code);
     this.broadcastState();
-  }
-
-  startGame() {
-    const ids = this.playerIds();
-    for (let i = ids.length - 1; i > 0; i -= 1) {
-      const j = randomInt(i + 1);
-      [ids[i], ids[j]] = [ids[j], ids[i]];
+    for (const roundResult of result.roundResults) {
+      this.sendRoundResult(roundResult);
     }
-
-    this.stateData.mafiaId = ids[0] || null;
-    this.stateData.guardianId = ids[1] || null;
-    for (const player of this.playerEntries()) {
-      player.isAlive = true;
-      player.eliminatedAt = null;
-      player.role = "villager";
+    for (const removed of result.removed) {
+      this.closeRemovedMember(removed);
     }
-    this.applyRoles();
-
-    const now = Date.now();
-    this.stateData.phase = "in_round";
-    this.stateData.winner = null;
-    this.stateData.roundNumber = 1;
-    this.stateData.roundEndsAt = now + ROUND_DURATION_MS;
-    this.stateData.lastMafiaActionAt = 0;
-    this.stateData.mafiaKillRound = 0;
-    this.stateData.pendingKillId = null;
-    this.stateData.pendingSaveId = null;
-    this.stateData.mainMessages = [];
-    this.stateData.dmThreads = {};
-    this.stateData.history = [];
-
-    this.addSystemMessage(
-      "Game started. You can chat in public and private. Rounds are 2 minutes."
-    );
-  }
-
-  async finishRound() {
-    if (this.stateData.phase !== "in_round") {
-      return;
-    }
-
-    const now = Date.now();
-    let killedId = this.stateData.pendingKillId;
-    let savedId = this.stateData.pendingSaveId;
-
-    if (!killedId || !this.playerById(killedId)?.isAlive) {
-      killedId = null;
-    }
-    if (!savedId || !this.playerById(savedId)?.isAlive) {
-      savedId = null;
-    }
-
-    let eliminatedId = null;
-    let survivedBySaveId = null;
-    if (killedId && savedId && killedId === savedId) {
-      survivedBySaveId = killedId;
-    } else if (killedId) {
-      const target = this.playerById(killedId);
-      if (target && target.isAlive) {
-        target.isAlive = false;
-        target.eliminatedAt = now;
-        eliminatedId = target.id;
-      }
-    }
-
-    const summary = {
-      id: makeId(),
-      round: this.stateData.roundNumber,
-      killedId,
-      savedId,
-      eliminatedId,
-      survivedBySaveId,
-      at: now
-    };
-    this.stateData.history.push(summary);
-    this.stateData.pendingKillId = null;
-    this.stateData.pendingSaveId = null;
-    this.stateData.mafiaKillRound = 0;
-
-    const killedName = killedId ? this.playerById(killedId)?.name || "Unknown" : "No one";
-    const savedName = savedId ? this.playerById(savedId)?.name || "Unknown" : "No one";
-    this.addSystemMessage(
-      `Round ${summary.round} ended. Killed: ${killedName}. Saved: ${savedName}.`
-    );
-
-    const winner = this.winnerForLobby();
-    if (winner) {
-      this.stateData.phase = "ended";
-      this.stateData.winner = winner;
-      this.stateData.roundEndsAt = null;
-      this.addSystemMessage(`${winner} win.`);
-      await this.ctx.storage.deleteAlarm();
-    } else {
-      this.stateData.roundNumber += 1;
-      this.stateData.roundEndsAt = now + ROUND_DURATION_MS;
-      await this.ctx.storage.setAlarm(this.stateData.roundEndsAt);
-    }
-
-    await this.saveState();
-    this.broadcastState();
-    this.sendRoundResult(summary);
   }
 
   ack(socket, reqId, payload) {
@@ -696,8 +632,7 @@ export class LobbyRoom extends DurableObject {
 
   async handleAction(socket, playerId, message) {
     const reqId = typeof message.reqId === "string" ? message.reqId : null;
-    const player = this.playerById(playerId);
-    if (!player) {
+    if (!hasMember(this.stateData, playerId)) {
       this.sendToSocket(socket, { type: "session_invalid", error: "Session no longer exists." });
       try {
         socket.close(1008, "Invalid session");
@@ -706,183 +641,48 @@ export class LobbyRoom extends DurableObject {
       }
       return;
     }
-
-    const action = String(message.type || "");
-    if (!action || action === "ack") {
-      this.ack(socket, reqId, { ok: false, error: "Invalid action." });
-      return;
-    }
-
-    if (action === "leave_lobby") {
-      await this.removePlayer(playerId, "left the lobby");
-      this.ack(socket, reqId, { ok: true });
-      socket.serializeAttachment({ playerId, ignoreClose: true });
-      try {
-        socket.close(1000, "Left lobby");
-      } catch {
-        // Ignore close errors.
-      }
+    const retryAfterMs = this.actionLimiter.take(playerId, Date.now());
+    if (retryAfterMs) {
+      this.ack(socket, reqId, rateLimitedAck(retryAfterMs));
       return;
     }
-
-    if (action === "start_game") {
-      if (this.stateData.hostId !== playerId) {
-        this.ack(socket, reqId, { ok: false, error: "Only the host can start the game." });
-        return;
-      }
-      if (this.stateData.phase !== "lobby") {
-        this.ack(socket, reqId, { ok: false, error: "Game already started." });
-        return;
-      }
-      if (this.playerIds().length < MIN_PLAYERS) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: `Need at least ${MIN_PLAYERS} players to start.`
-        });
-        return;
-      }
-      this.startGame();
-      await this.ctx.storage.setAlarm(this.stateData.roundEndsAt);
-      await this.saveState();
-      this.broadcastState();
+    if (message.type === "resync") {
+      this.sendSnapshot(socket, playerId);
       this.ack(socket, reqId, { ok: true });
       return;
     }
-
-    if (action === "send_main_message") {
-      if (this.stateData.phase !== "lobby" && !player.isAlive) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Eliminated players cannot send chat messages."
-        });
+    if (message.type === "fetch_messages") {
+      const query = historyQueryFor(this.stateData, playerId, message);
+      if (!query.ok) {
+        this.ack(socket, reqId, { ok: false, error: query.error });
         return;
       }
-      const text = sanitizeMessage(message.text);
-      if (!text) {
-        this.ack(socket, reqId, { ok: false, error: "Message is empty." });
-        return;
-      }
-      this.addMainMessage(player, text);
-      await this.saveState();
-      this.broadcastState();
-      this.ack(socket, reqId, { ok: true });
+      this.ack(socket, reqId, { ok: true, ...this.readMessages(query) });
       return;
     }
 
-    if (action === "send_private_message") {
-      if (this.stateData.phase !== "lobby" && !player.isAlive) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Eliminated players cannot send chat messages."
-        });
-        return;
-      }
-      const toId = String(message.toId || "");
-      const recipient = this.playerById(toId);
-      if (!recipient || recipient.id === player.id) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Select a valid player for private chat."
-        });
-        return;
-      }
-      const text = sanitizeMessage(message.text);
-      if (!text) {
-        this.ack(socket, reqId, { ok: false, error: "Message is empty." });
-        return;
-      }
-
-      this.addDmMessage(player, recipient, text);
-      await this.saveState();
-      this.broadcastState();
-      this.ack(socket, reqId, { ok: true });
-      return;
+    // The engine only ever sees the hash of a new password.
+    if (message.type === "set_password") {
+      const passwordHash = await passwordHashFor(this.stateData, message.password);
+      message = { type: message.type, passwordHash };
     }
 
-    if (action === "mafia_kill") {
-      if (this.stateData.phase !== "in_round") {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Kills can only happen during a live round."
-        });
-        return;
-      }
-      if (player.id !== this.stateData.mafiaId || !player.isAlive) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Only the alive mafia can use this action."
-        });
-        return;
-      }
-      if (this.stateData.mafiaKillRound === this.stateData.roundNumber) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Mafia can only pick one kill target per round."
-        });
-        return;
-      }
-      const cooldownMs = Math.max(
-        0,
-        MAFIA_COOLDOWN_MS - (Date.now() - this.stateData.lastMafiaActionAt)
-      );
-      if (cooldownMs > 0) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: `Skull cooldown active (${Math.ceil(cooldownMs / 1000)}s left).`
-        });
-        return;
-      }
-
-      const targetId = String(message.targetId || "");
-      const target = this.playerById(targetId);
-      if (!target || !target.isAlive || target.id === player.id) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Pick an alive target other than yourself."
-        });
-        return;
-      }
-
-      this.stateData.pendingKillId = targetId;
-      this.stateData.lastMafiaActionAt = Date.now();
-      this.stateData.mafiaKillRound = this.stateData.roundNumber;
-      await this.saveState();
-      this.broadcastState();
-      this.ack(socket, reqId, { ok: true });
+    const result = applyAction(this.stateData, playerId, message, Date.now());
+    if (!result.ok) {
+      this.ack(socket, reqId, { ok: false, error: result.error });
       return;
     }
 
-    if (action === "guardian_save") {
-      if (this.stateData.phase !== "in_round") {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Saves can only happen during a live round."
-        });
-        return;
-      }
-      if (player.id !== this.stateData.guardianId || !player.isAlive) {
-        this.ack(socket, reqId, {
-          ok: false,
-          error: "Only the alive guardian angel can use this action."
-        });
-        return;
-      }
-
-      const targetId = String(message.targetId || "");
-      const target = this.playerById(targetId);
-      if (!target || !target.isAlive) {
-        this.ack(socket, reqId, { ok: false, error: "Pick an alive target to save." });
-        return;
+    await this.commit(result);
+    this.ack(socket, reqId, { ok: true });
+    if (message.type === "leave_lobby") {
+      socket.serializeAttachment({ playerId, ignoreClose: true });
+      try {
+        socket.close(1000, "Left lobby");
+      } catch {
+        // Ignore close errors.
       }
-
-      this.stateData.pendingSaveId = targetId;
-      await this.saveState();
-      this.broadcastState();
-      this.ack(socket, reqId, { ok: true });
-      return;
     }
-
-    this.ack(socket, reqId, { ok: false, error: "Unknown action." });
   }
 
   async fetch(request) {
@@ -899,24 +699,9 @@ export class LobbyRoom extends DurableObject {
         return jsonResponse({ ok: false, error: "Invalid lobby code." }, 400);
       }
 
-      this.stateData = {
-        code,
-        hostId: null,
-        phase: "lobby",
-        winner: null,
-        roundNumber: 0,
-        roundEndsAt: null,
-        lastMafiaActionAt: 0,
-        mafiaKillRound: 0,
-        mafiaId: null,
-        guardianId: null,
-        pendingKillId: null,
-        pendingSaveId: null,
-        mainMessages: [],
-        dmThreads: {},
-        history: [],
-        players: {}
-      };
+      this.stateData = createLobby(code, { reconnectGraceMs: this.env?.RECONNECT_GRACE_MS });
+      setPasswordHash(this.stateData, await passwordHashFor(this.stateData, body?.password));
+      this.createTables();
       await this.saveState();
       return jsonResponse({ ok: true, code }, 201);
     }
@@ -925,41 +710,59 @@ export class LobbyRoom extends DurableObject {
       if (!this.hasLobby()) {
         return jsonResponse({ ok: false, error: "Lobby code not found." }, 404);
       }
-      if (this.stateData.phase !== "lobby") {
-        return jsonResponse(
-          { ok: false, error: "Game already started. Join before the host starts." },
-          409
-        );
+
+      const body = await parseJson(request);
+      const passwordHash = await passwordHashFor(this.stateData, body?.password);
+      const result = joinLobby(this.stateData, body?.name, Date.now(), { passwordHash });
+      if (!result.ok) {
+        return jsonResponse({ ok: false, error: result.error }, result.wrongPassword ? 403 : 409);
+      }
+      await this.commit(result);
+
+      return jsonResponse({
+        ok: true,
+        code: this.stateData.code,
+        playerId: result.playerId,
+        sessionSecret: result.sessionSecret
+      });
+    }
+
+    if (request.method === "POST" && url.pathname === "/internal/spectate") {
+      if (!this.hasLobby()) {
+        return jsonResponse({ ok: false, error: "Lobby code not found." }, 404);
       }
 
       const body = await parseJson(request);
-      const name = sanitizeName(body?.name);
-      const playerId = makeId();
-      const sessionSecret = makeSecret();
-
-      this.stateData.players[playerId] = {
-        id: playerId,
-        sessionSecret,
-        name,
-        role: "villager",
-        isAlive: true,
-        joinedAt: Date.now(),
-        eliminatedAt: null
-      };
-
-      if (!this.stateData.hostId) {
-        this.stateData.hostId = playerId;
+      const passwordHash = await passwordHashFor(this.stateData, body?.password);
+      const result = spectateLobby(this.stateData, body?.name, Date.now(), { passwordHash });
+      if (!result.ok) {
+        return jsonResponse({ ok: false, error: result.error }, result.wrongPassword ? 403 : 409);
       }
+      await this.commit(result);
 
-      this.addSystemMessage(`${name} joined the lobby.`);
-      await this.saveState();
-      this.broadcastState();
+      return jsonResponse({
+        ok: true,
+        code: this.stateData.code,
+        playerId: result.playerId,
+        sessionSecret: result.sessionSecret,
+        spectator: true
+      });
+    }
 
+    if (request.method === "POST" && url.pathname === "/internal/resume") {
+      if (!this.hasLobby()) {
+        return jsonResponse({ ok: false, error: "Lobby code not found." }, 404);
+      }
+      const body = await parseJson(request);
+      const member = memberForSession(this.stateData, body?.playerId, body?.sessionSecret);
+      if (!member) {
+        return jsonResponse({ ok: false, error: "Your seat in this lobby has expired." }, 403);
+      }
       return jsonResponse({
         ok: true,
         code: this.stateData.code,
-        playerId,
-        sessionSecret
+        playerId: member.id,
+        spectator: isSpectator(this.stateData, member.id)
       });
     }
 
@@ -971,20 +774,26 @@ export class LobbyRoom extends DurableObject {
         return new Response("Lobby not found", { status: 404 });
       }
 
-      const playerId = String(url.searchParams.get("pid") || "");
-      const secret = String(url.searchParams.get("sec") || "");
-      const player = this.playerById(playerId);
-      if (!player || player.sessionSecret !== secret) {
+      const member = memberForSession(
+        this.stateData,
+        url.searchParams.get("pid"),
+        url.searchParams.get("sec")
+      );
+      if (!member) {
         return new Response("Invalid session", { status: 403 });
       }
+      const playerId = member.id;
 
       const pair = new WebSocketPair();
       const client = pair[0];
       const server = pair[1];
 
+      // Everyone already connected hears about this as a patch. The new
+      // socket joins afterwards and starts from a snapshot.
+      await this.commit(connectMember(this.stateData, playerId, Date.now()));
       this.ctx.acceptWebSocket(server, [`player:${playerId}`]);
       server.serializeAttachment({ playerId, ignoreClose: false });
-      this.sendToSocket(server, { type: "state", state: this.buildStateForViewer(playerId) });
+      this.sendSnapshot(server, playerId);
 
       return new Response(null, { status: 101, webSocket: client });
     }
@@ -1048,7 +857,7 @@ export class LobbyRoom extends DurableObject {
       return;
     }
 
-    await this.removePlayer(playerId, "disconnected");
+    await this.commit(disconnectMember(this.stateData, playerId, Date.now()));
   }
 
   async webSocketError(socket) {
@@ -1060,15 +869,109 @@ export class LobbyRoom extends DurableObject {
     if (!this.hasLobby()) {
       return;
     }
-    if (this.stateData.phase !== "in_round" || !this.stateData.roundEndsAt) {
-      return;
+
+    await this.commit(tick(this.stateData, Date.now()));
+    if (this.hasLobby()) {
+      await this.scheduleAlarm();
     }
+  }
+}
 
-    if (Date.now() >= this.stateData.roundEndsAt) {
-      await this.finishRound();
-      return;
+/**
+ * Holds the replay of one finished game, keyed by game id, so it can still be
+ * downloaded after the lobby that played it has closed. Deletes itself once
+ * the retention period runs out.
+ */
+export class GameReplay extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.ctx = ctx;
+    this.env = env;
+    for (const statement of REPLAY_SCHEMA) {
+      this.ctx.storage.sql.exec(statement);
+    }
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (request.method === "POST" && url.pathname === "/internal/store") {
+      if (await this.ctx.storage.get("replay")) {
+        return jsonResponse({ ok: false, error: "Replay already stored." }, 409);
+      }
+      const body = await parseJson(request);
+      if (!body?.gameId || !Array.isArray(body.events)) {
+        return jsonResponse({ ok: false, error: "Invalid replay." }, 400);
+      }
+      const { events, ...header } = body;
+      // Events go in their own rows, so a long game is not one huge value.
+      for (const event of events) {
+        this.ctx.storage.sql.exec("INSERT INTO events (body) VALUES (?)", JSON.stringify(event));
+      }
+      await this.ctx.storage.put("replay", header);
+      await this.ctx.storage.setAlarm(Date.now() + REPLAY_RETENTION_MS);
+      return jsonResponse({ ok: true }, 201);
+    }
+
+    if (request.method === "GET" && url.pathname === "/internal/replay") {
+      const header = await this.ctx.storage.get("replay");
+      if (!header) {
+        return jsonResponse({ ok: false, error: "Replay not found." }, 404);
+      }
+      const events = this.ctx.storage.sql
+        .exec("SELECT body FROM events ORDER BY seq")
+        .toArray()
+        .map((row) => JSON.parse(row.body));
+      return jsonResponse({ ...header, events });
+    }
+
+    return jsonResponse({ ok: false, error: "Not found." }, 404);
+  }
+
+  async alarm() {
+    await this.ctx.storage.deleteAll();
+  }
+}
+
+export class LobbyRegistry extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.ctx = ctx;
+    this.env = env;
+    for (const statement of REGISTRY_SCHEMA) {
+      this.ctx.storage.sql.exec(statement);
+    }
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (request.method === "POST" && url.pathname === "/internal/report") {
+      const body = await parseJson(request);
+      const code = sanitizeCode(body?.code);
+      if (code.length !== 5) {
+        return jsonResponse({ ok: false, error: "Invalid lobby code." }, 400);
+      }
+      if (body.listing) {
+        this.ctx.storage.sql.exec(
+          "INSERT OR REPLACE INTO lobbies (code, body) VALUES (?, ?)",
+          code,
+          JSON.stringify({ ...body.listing, code })
+        );
+      } else {
+        this.ctx.storage.sql.exec("DELETE FROM lobbies WHERE code = ?", code);
+      }
+      return jsonResponse({ ok: true });
     }
 
-    await this.ctx.storage.setAlarm(this.stateData.roundEndsAt);
+    if (request.method === "GET" && url.pathname === "/internal/lobbies") {
+      const listings = this.ctx.storage.sql
+        .exec("SELECT body FROM lobbies")
+        .toArray()
+        .map((row) => JSON.parse(row.body));
+      return jsonResponse({ ok: true, lobbies: openLobbies(listings) });
+    }
+
+    return jsonResponse({ ok: false, error: "Not found." }, 404);
   }
 }